@@ -1,33 +1,17 @@
-import { useState, useEffect, useRef } from "react";
-import { Button } from "./components/ui/button";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Button, buttonVariants } from "./components/ui/button";
 import { Input } from "./components/ui/input";
-import { Textarea } from "./components/ui/textarea";
 import { useVoiceActivityDetection } from "./hooks/useVoiceActivityDetection";
 import { speechService } from "./services/speechService";
+import { streamAvatarReply } from "./services/avatarStreamService";
 import { useApiErrorHandler } from "./hooks/useApiErrorHandler";
+import { useSessionEvents, type SessionEvent } from "./hooks/useSessionEvents";
+import { PersonaForm, type PersonaConfig, type PersonaFieldError } from "./components/PersonaForm";
+import { PersonaHistory } from "./components/PersonaHistory";
+import { SessionActivity } from "./components/SessionActivity";
+import { AvatarPicker } from "./components/AvatarPicker";
 import "./App.css";
 
-interface PersonaConfig {
-  name: string;
-  title: string;
-  education: {
-    degree: string;
-    year: string;
-    institution: string;
-  };
-  traits: string[];
-  technical: {
-    languages: string[];
-    webStack: string[];
-    projects: string[];
-  };
-  personality: {
-    style: string;
-    interests: string[];
-    goals: string[];
-  };
-}
-
 // Backend API base URL (configurable via Vite env)
 // Define VITE_SERVER_URL in .env or deployment environment
 // Default to same-origin for deployments like Vercel where API lives under /api
@@ -36,57 +20,21 @@ function App() {
   const { handleApiError, handleSuccess, handleWarning, handleInfo } = useApiErrorHandler();
   
   const [personaConfig, setPersonaConfig] = useState<PersonaConfig>({
-    name: "Surya Ghosh",
-    title: "The Passionate Tech Explorer",
-    education: {
-      degree: "B.Tech in Electronics and Communication Engineering",
-      year: "3rd Year, 6th Semester",
-      institution: "Future Institute of Engineering and Management",
-    },
-    traits: [
-      "Curious",
-      "passionate",
-      "disciplined",
-      "hardworking",
-      "socially active",
-    ],
-    technical: {
-      languages: ["Java", "C"],
-      webStack: ["React", "Next.js", "Hono.js", "Drizzle ORM", "MongoDB"],
-      projects: [
-        "Women Safety App (gender classification + SMS alerts)",
-        "CloneX – AI-powered digital human clone",
-        "Obstacle Avoiding Robot",
-        "Firefighting Robot with separate sensing unit",
-        "ReelsPro – Media sharing Next.js app",
-        "Astro.js based documentation site with login and backend",
-        "Chat + Music Sync App",
-      ],
-    },
-    personality: {
-      style:
-        "Goal-oriented, practical, and project-driven learner with a love for real-world applications",
-      interests: [
-        "Artificial Intelligence & Deep Learning",
-        "Robotics",
-        "Full Stack Web Development",
-        "Hackathons & Competitive Coding",
-        "Building tech for social good",
-      ],
-      goals: [
-        "Revise and strengthen DSA, Java, and C fundamentals",
-        "Build a successful hackathon project (April 12–13)",
-        "Contribute daily to research work",
-        "Maintain consistency despite distractions",
-        "Balance academics, project work, and personal life",
-      ],
-    },
+    name: "",
+    title: "",
+    sections: [],
   });
+  const [personaErrors, setPersonaErrors] = useState<PersonaFieldError[]>([]);
+  // Persona drafted from an uploaded PDF, reviewed in the form before it is created
+  const [personaDraft, setPersonaDraft] = useState<{ id: string; persona: PersonaConfig; warnings: string[] } | null>(null);
 
   // State variables
   const [showPersonaForm, setShowPersonaForm] = useState(false);
-  const [avatarID, setAvatarID] = useState("Katya_ProfessionalLook2_public");
-  const [voiceID, setVoiceID] = useState("a04d81d19afd436db611060682276331");
+  // Optional per-session overrides; the persona's avatar settings apply when these are empty
+  const [avatarID, setAvatarID] = useState("");
+  const [voiceID, setVoiceID] = useState("");
+  const [sessionQuality, setSessionQuality] = useState("");
+  const [showAvatarPicker, setShowAvatarPicker] = useState(false);
   const [message, setMessage] = useState("Hello, how are you today?");
   const [status, setStatus] = useState("Ready");
   const [showVideo, setShowVideo] = useState(true);
@@ -107,6 +55,7 @@ function App() {
   const [speechTranscript, setSpeechTranscript] = useState<string>("");
   const [speechLang, setSpeechLang] = useState<string>("en-US");
   const [isHoldTalking, setIsHoldTalking] = useState<boolean>(false);
+  const [streamReplies, setStreamReplies] = useState<boolean>(true);
   type TranscriptRole = 'user' | 'bot';
   interface TranscriptEntry { role: TranscriptRole; text: string; source?: 'ai' | 'rag' | 'manual'; time: number }
   const [transcript, setTranscript] = useState<TranscriptEntry[]>([]);
@@ -116,6 +65,15 @@ function App() {
     setTranscript(prev => [...prev, { role, text, source, time: Date.now() }]);
   };
 
+  // Append streamed text to the most recent avatar line
+  const appendToLastBotTranscript = (text: string) => {
+    setTranscript(prev => {
+      const last = prev[prev.length - 1];
+      if (!last || last.role !== 'bot') return prev;
+      return [...prev.slice(0, -1), { ...last, text: last.text + text }];
+    });
+  };
+
   const videoRef = useRef<HTMLVideoElement>(null);
   const canvasRef = useRef<HTMLCanvasElement>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
@@ -151,21 +109,6 @@ function App() {
     }
   }, []);
 
-  // Form state
-  const [formData, setFormData] = useState({
-    name: personaConfig.name,
-    title: personaConfig.title,
-    degree: personaConfig.education.degree,
-    year: personaConfig.education.year,
-    institution: personaConfig.education.institution,
-    languages: personaConfig.technical.languages.join(", "),
-    webStack: personaConfig.technical.webStack.join(", "),
-    projects: personaConfig.technical.projects.join("\n"),
-    style: personaConfig.personality.style,
-    interests: personaConfig.personality.interests.join(", "),
-    goals: personaConfig.personality.goals.join("\n"),
-  });
-
   // Add status message
   const addStatus = (message: string) => {
     setStatusMessages((prev) => [...prev, message]);
@@ -225,21 +168,6 @@ function App() {
         if (response.ok) {
           const data = await response.json();
           setPersonaConfig(data);
-
-          // Update form data
-          setFormData({
-            name: data.name,
-            title: data.title,
-            degree: data.education.degree,
-            year: data.education.year,
-            institution: data.education.institution,
-            languages: data.technical.languages.join(", "),
-            webStack: data.technical.webStack.join(", "),
-            projects: data.technical.projects.join("\n"),
-            style: data.personality.style,
-            interests: data.personality.interests.join(", "),
-            goals: data.personality.goals.join("\n"),
-          });
         }
       } catch (error) {
         console.error("Failed to load persona:", error);
@@ -253,7 +181,7 @@ function App() {
   useEffect(() => {
     const loadPDFs = async () => {
       try {
-        const response = await fetch(SERVER_URL + "/pdf/list");
+        const response = await fetch(SERVER_URL + "/rag/list");
         if (response.ok) {
           const data = await response.json();
           setUploadedPDFs(data.data.pdfs);
@@ -266,6 +194,62 @@ function App() {
     loadPDFs();
   }, []);
 
+  // Reset the connection after the server has stopped the session (idle timeout, HeyGen expiry)
+  const endSession = useCallback((reason: string) => {
+    setPeerConnection((connection) => {
+      connection?.close();
+      return null;
+    });
+    setSessionInfo(null);
+    setBotInitialized(false);
+    setShowVideo(false);
+    const message = `Session ended: ${reason}`;
+    setStatusMessages((prev) => [...prev, message]);
+    setStatus(message);
+  }, []);
+
+  // Keep the avatar session open while this page is visible; the server stops sessions that go idle
+  const sessionId = sessionInfo?.session_id;
+  useEffect(() => {
+    if (!sessionId) return;
+
+    const keepAlive = async () => {
+      if (document.visibilityState !== "visible") return;
+      try {
+        const response = await fetch(SERVER_URL + "/persona/heygen/session/keepalive", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ session_id: sessionId }),
+        });
+        if (response.status === 404 || response.status === 410) {
+          const data = await response.json().catch(() => ({}));
+          endSession(data.message || "the avatar session is no longer active");
+        }
+      } catch (error) {
+        console.error("Session keepalive failed:", error);
+      }
+    };
+
+    const interval = setInterval(keepAlive, 60 * 1000);
+    return () => clearInterval(interval);
+  }, [sessionId, endSession]);
+
+  // Server-pushed session activity; transcript and speech events are shown in the activity panel
+  const handleSessionEvent = (event: SessionEvent) => {
+    if (event.type === "session" && event.data.state === "expiring") {
+      handleWarning("Session Expiring", `The avatar session will be stopped at ${new Date(event.data.expires_at ?? Date.now()).toLocaleTimeString()} unless it is used.`);
+    } else if (event.type === "session" && event.data.state === "ended" && event.data.reason !== "client") {
+      endSession(`stopped by the server (${event.data.reason})`);
+    } else if (event.type === "ingestion") {
+      addStatus(`Processing ${event.data.filename}: ${event.data.stage}`);
+    }
+  };
+  const { events: sessionEventLog, connected: sessionEventsConnected } = useSessionEvents(SERVER_URL, sessionId, {
+    onEvent: handleSessionEvent,
+  });
+
   // Speech recognition subscription
   useEffect(() => {
     const unsubscribe = speechService.subscribe((state) => {
@@ -304,60 +288,137 @@ function App() {
     addStatus("🛑 Hold-to-talk: stopped");
   };
 
-  // Handle form input changes
-  const handleInputChange = (
-    e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>
-  ) => {
-    const { id, value } = e.target;
-    setFormData({
-      ...formData,
-      [id.replace("persona", "").toLowerCase()]: value,
-    });
+  // Draft a persona from the selected PDF and open it in the form for review
+  const generatePersonaFromPDF = async () => {
+    if (!selectedPDF) {
+      addStatus("Please select a PDF first");
+      return;
+    }
+
+    try {
+      addStatus(`Drafting persona from ${selectedPDF}...`);
+      const response = await fetch(SERVER_URL + "/persona/generate", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ filename: selectedPDF }),
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        addStatus(data.message || "Failed to draft persona");
+        return;
+      }
+      setPersonaDraft({ id: data.data.suggestedId, persona: data.data.persona, warnings: data.data.warnings });
+      setPersonaErrors(data.data.errors);
+      setShowPersonaForm(true);
+      addStatus("Persona draft ready for review");
+    } catch (error) {
+      addStatus("Error: " + (error as Error).message);
+    }
   };
 
-  // Update persona configuration
-  const updatePersona = async () => {
-    const newConfig = {
-      name: formData.name,
-      title: formData.title,
-      education: {
-        degree: formData.degree,
-        year: formData.year,
-        institution: formData.institution,
-      },
-      traits: personaConfig.traits,
-      technical: {
-        languages: formData.languages.split(",").map((item) => item.trim()),
-        webStack: formData.webStack.split(",").map((item) => item.trim()),
-        projects: formData.projects
-          .split("\n")
-          .map((item) => item.trim())
-          .filter(Boolean),
-      },
-      personality: {
-        style: formData.style,
-        interests: formData.interests.split(",").map((item) => item.trim()),
-        goals: formData.goals
-          .split("\n")
-          .map((item) => item.trim())
-          .filter(Boolean),
-      },
-    };
+  const createPersonaFromDraft = async (newConfig: PersonaConfig) => {
+    if (!personaDraft) return;
 
     try {
-      const response = await fetch(SERVER_URL+"/persona/update", {
+      const response = await fetch(SERVER_URL + `/persona/${personaDraft.id}`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify(newConfig),
+        body: JSON.stringify({
+          name: newConfig.name,
+          title: newConfig.title,
+          summary: newConfig.summary,
+          sections: newConfig.sections,
+          avatar: newConfig.avatar,
+          change_summary: `Generated from ${selectedPDF}`,
+        }),
       });
 
+      const data = await response.json().catch(() => ({}));
+      if (response.ok) {
+        setPersonaDraft(null);
+        setPersonaErrors([]);
+        setShowPersonaForm(false);
+        addStatus(`Persona "${data.data.name}" created with id ${data.data.id}`);
+      } else if (Array.isArray(data.errors)) {
+        setPersonaErrors(data.errors);
+        addStatus("Persona has invalid fields, please correct them");
+      } else {
+        addStatus(data.message || "Failed to create persona");
+      }
+    } catch (error) {
+      addStatus("Error: " + (error as Error).message);
+    }
+  };
+
+  // Import a persona bundle exported from another environment
+  const importPersonaBundle = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const bundle = JSON.parse(await file.text());
+      const send = (overwrite: boolean) =>
+        fetch(SERVER_URL + `/persona/import${overwrite ? "?overwrite=true" : ""}`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(bundle),
+        });
+
+      let response = await send(false);
+      if (response.status === 409 && window.confirm(`Persona "${bundle.persona?.id}" already exists. Replace it?`)) {
+        response = await send(true);
+      }
+
+      const data = await response.json().catch(() => ({}));
+      if (response.ok) {
+        addStatus(`Persona "${data.data.persona.name}" imported as ${data.data.persona.id}`);
+        data.data.warnings.forEach((warning: string) => addStatus("⚠️ " + warning));
+        if (data.data.persona.id === personaConfig.id) {
+          setPersonaConfig(data.data.persona);
+        }
+      } else if (Array.isArray(data.errors)) {
+        addStatus("Invalid persona bundle: " + data.errors.map((e: PersonaFieldError) => `${e.field} ${e.message}`).join("; "));
+      } else {
+        addStatus(data.message || "Failed to import persona");
+      }
+    } catch (error) {
+      addStatus("Error: " + (error as Error).message);
+    }
+  };
+
+  // Update persona configuration
+  const updatePersona = async (newConfig: PersonaConfig) => {
+    try {
+      const response = await fetch(SERVER_URL + `/persona/${newConfig.id ?? "update"}`, {
+        method: newConfig.id ? "PUT" : "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          name: newConfig.name,
+          title: newConfig.title,
+          sections: newConfig.sections,
+          avatar: newConfig.avatar,
+        }),
+      });
+
+      const data = await response.json().catch(() => ({}));
       if (response.ok) {
-        const data = await response.json();
         setPersonaConfig(data.data);
+        setPersonaErrors([]);
         setShowPersonaForm(false);
         addStatus("Persona updated successfully");
+      } else if (Array.isArray(data.errors)) {
+        setPersonaErrors(data.errors);
+        addStatus("Persona has invalid fields, please correct them");
       } else {
         addStatus("Failed to update persona");
       }
@@ -463,11 +524,6 @@ function App() {
 
   // Create a new Heygen session
   const createNewSession = async () => {
-    if (!avatarID) {
-      handleWarning("Avatar ID Required", "Please enter a valid Avatar ID before creating a session");
-      return;
-    }
-
     addStatus("Creating new session... please wait");
     handleInfo("Creating Session", "Connecting to HeyGen API...");
 
@@ -480,8 +536,10 @@ function App() {
             "Content-Type": "application/json",
           },
           body: JSON.stringify({
-            avatar_name: avatarID,
-            // Don't send voice_id as it's not supported by streaming avatar
+            persona_id: personaConfig.id,
+            avatar_name: avatarID || undefined,
+            voice_id: voiceID || undefined,
+            quality: sessionQuality || undefined,
           }),
         }
       );
@@ -549,9 +607,9 @@ function App() {
       }
 
       setPeerConnection(newPeerConnection);
-      addStatus("Session creation completed");
+      addStatus(data.data.pooled ? "Session creation completed (pre-warmed session)" : "Session creation completed");
       addStatus("Now you can click the start button to start the stream");
-      handleSuccess("Session Created", `Successfully created session with Avatar: ${avatarID}`);
+      handleSuccess("Session Created", `Successfully created session with Avatar: ${data.data.avatar_settings.avatarName}`);
     } catch (error) {
       addStatus("Error: " + (error as Error).message);
       handleApiError(error, "HeyGen Session Creation");
@@ -836,7 +894,8 @@ function App() {
       );
 
       if (!response.ok) {
-        throw new Error("Failed to send message");
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || errorData.message || "Failed to send message");
       }
 
       addStatus("Message sent successfully");
@@ -849,6 +908,55 @@ function App() {
     }
   };
 
+  // Queue text for the avatar to speak after anything it is already saying
+  const speakText = async (text: string) => {
+    if (!sessionInfo) {
+      throw new Error("Session not created");
+    }
+
+    const response = await fetch(SERVER_URL + "/persona/heygen/text", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        session_id: sessionInfo.session_id,
+        text,
+        generate_ai_response: false,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || errorData.message || "Failed to speak text");
+    }
+  };
+
+  // Cut the avatar off mid-sentence and drop everything still queued
+  const interruptAvatar = async () => {
+    if (!sessionInfo) {
+      addStatus("Session not created");
+      return;
+    }
+
+    try {
+      const response = await fetch(SERVER_URL + "/persona/heygen/queue/interrupt", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ session_id: sessionInfo.session_id, clear: true }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || data.message || "Failed to interrupt avatar");
+      }
+      addStatus(`Avatar interrupted (${data.data.cancelled} queued item(s) cancelled)`);
+    } catch (error) {
+      addStatus("Error: " + (error as Error).message);
+    }
+  };
+
   // Send message to get AI response
   const talkToBot = async () => {
     if (!message) {
@@ -863,6 +971,11 @@ function App() {
 
     addStatus(`Talking to bot: ${message}`);
 
+    if (streamReplies) {
+      await talkToBotStreaming();
+      return;
+    }
+
     try {
       const response = await fetch(
         SERVER_URL+"/persona/heygen/text",
@@ -880,7 +993,8 @@ function App() {
       );
 
       if (!response.ok) {
-        throw new Error("Failed to talk to bot");
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || errorData.message || "Failed to talk to bot");
       }
 
       const data = await response.json();
@@ -894,6 +1008,31 @@ function App() {
     }
   };
 
+  // Stream the AI reply: the avatar starts speaking after the first sentence
+  const talkToBotStreaming = async () => {
+    const userMessage = message;
+    addTranscript('user', userMessage, 'ai');
+    setTranscript(prev => [...prev, { role: 'bot', text: '', source: 'ai', time: Date.now() }]);
+    setMessage("");
+
+    try {
+      const result = await streamAvatarReply(
+        SERVER_URL + "/persona/heygen/text/stream",
+        { session_id: sessionInfo.session_id, text: userMessage },
+        {
+          onToken: appendToLastBotTranscript,
+          onSentence: (index) => addStatus(`Avatar speaking sentence ${index + 1}...`),
+          onError: (errorMessage) => addStatus(`Streaming error: ${errorMessage}`),
+        }
+      );
+      if (result) {
+        addStatus(`Bot response: ${result.ai_response}`);
+      }
+    } catch (error) {
+      addStatus("Error: " + (error as Error).message);
+    }
+  };
+
   // Reset peer connection state
   const resetPeerConnection = () => {
     if (peerConnection) {
@@ -1096,6 +1235,8 @@ function App() {
     handleInfo("Uploading PDF", "Processing document with RAG (Retrieval Augmented Generation)...");
     const formData = new FormData();
     formData.append('pdf', file);
+    // Processing progress is pushed to this session's event stream
+    if (sessionInfo) formData.append('session_id', sessionInfo.session_id);
 
     try {
       // Use a timeout to prevent hanging
@@ -1124,7 +1265,7 @@ function App() {
 
       const data = await response.json();
       addStatus(`PDF processed with RAG: ${data.data.filename} (${data.data.chunksCount} chunks)`);
-      setUploadedPDFs(prev => [...prev, { filename: data.data.filename, uploadDate: new Date() }]);
+      setUploadedPDFs(prev => [...prev.filter(pdf => pdf.filename !== data.data.filename), { filename: data.data.filename, chunksCount: data.data.chunksCount }]);
       handleSuccess("PDF Processed with RAG", `Successfully processed: ${data.data.filename} with ${data.data.chunksCount} knowledge chunks`);
       
       // Check connection status after upload
@@ -1176,8 +1317,8 @@ function App() {
   };
 
   const searchPDF = async () => {
-    if (!selectedPDF || !pdfQuery) {
-      handleWarning("Search Parameters Required", "Please select a PDF and enter a query");
+    if (!pdfQuery) {
+      handleWarning("Search Parameters Required", "Please enter a query");
       return;
     }
 
@@ -1196,9 +1337,10 @@ function App() {
         headers: {
           'Content-Type': 'application/json',
         },
+        // Without a selected PDF every uploaded document is searched
         body: JSON.stringify({
           query: pdfQuery,
-          filename: selectedPDF
+          filename: selectedPDF || undefined
         }),
       });
 
@@ -1226,8 +1368,8 @@ function App() {
 
   // Ask with PDF (RAG) and optionally speak via avatar
   const askWithPDF = async (speak: boolean) => {
-    if (!selectedPDF || !pdfQuery) {
-      handleWarning("Ask Parameters Required", "Please select a PDF and enter a query");
+    if (!pdfQuery) {
+      handleWarning("Ask Parameters Required", "Please enter a query");
       return;
     }
 
@@ -1250,7 +1392,7 @@ function App() {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          filename: selectedPDF,
+          filename: selectedPDF || undefined,
           query: pdfQuery
         })
       });
@@ -1324,169 +1466,62 @@ function App() {
             <h2 className="text-2xl font-bold text-gray-800">
               Persona config
             </h2>
-            <Button
-              onClick={() => setShowPersonaForm(!showPersonaForm)}
-              variant={showPersonaForm ? "outline" : "default"}
-              size="default"
-            >
-              {showPersonaForm ? "Hide Form" : "Edit Persona"}
-            </Button>
+            <div className="flex gap-2">
+              {personaConfig.id && (
+                <a
+                  href={SERVER_URL + `/persona/${personaConfig.id}/export?include_documents=true`}
+                  className={buttonVariants({ variant: "outline" })}
+                >
+                  Export
+                </a>
+              )}
+              <label className={buttonVariants({ variant: "outline", className: "cursor-pointer" })}>
+                Import
+                <input type="file" accept="application/json,.json" onChange={importPersonaBundle} className="hidden" />
+              </label>
+              <Button
+                onClick={() => setShowPersonaForm(!showPersonaForm)}
+                variant={showPersonaForm ? "outline" : "default"}
+                size="default"
+              >
+                {showPersonaForm ? "Hide Form" : "Edit Persona"}
+              </Button>
+            </div>
           </div>
 
-          {showPersonaForm && (
-            <div className="mt-4 p-5 border border-gray-200 rounded-lg bg-gray-50">
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-                <div className="space-y-2">
-                  <label className="block text-sm font-medium text-gray-700">
-                    Name
-                  </label>
-                  <Input
-                    id="personaName"
-                    value={formData.name}
-                    onChange={handleInputChange}
-                  />
-                </div>
-                <div className="space-y-2">
-                  <label className="block text-sm font-medium text-gray-700">
-                    Title
-                  </label>
-                  <Input
-                    id="personaTitle"
-                    value={formData.title}
-                    onChange={handleInputChange}
-                  />
-                </div>
-              </div>
-
-              <div className="mb-6">
-                <h3 className="text-lg font-medium text-gray-800 mb-3">
-                  Education
-                </h3>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                  <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Degree
-                    </label>
-                    <Input
-                      id="personaDegree"
-                      value={formData.degree}
-                      onChange={handleInputChange}
-                    />
-                  </div>
-                  <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Year
-                    </label>
-                    <Input
-                      id="personaYear"
-                      value={formData.year}
-                      onChange={handleInputChange}
-                    />
-                  </div>
-                  <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Institution
-                    </label>
-                    <Input
-                      id="personaInstitution"
-                      value={formData.institution}
-                      onChange={handleInputChange}
-                    />
-                  </div>
-                </div>
-              </div>
-
-              <div className="mb-6">
-                <h3 className="text-lg font-medium text-gray-800 mb-3">
-                  Technical
-                </h3>
-                <div className="grid grid-cols-1 gap-4">
-                  <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Languages (comma-separated)
-                    </label>
-                    <Input
-                      id="personaLanguages"
-                      value={formData.languages}
-                      onChange={handleInputChange}
-                    />
-                  </div>
-                  <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Web Stack (comma-separated)
-                    </label>
-                    <Input
-                      id="personaWebStack"
-                      value={formData.webStack}
-                      onChange={handleInputChange}
-                    />
-                  </div>
-                  <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Projects (one per line)
-                    </label>
-                    <Textarea
-                      id="personaProjects"
-                      value={formData.projects}
-                      onChange={handleInputChange}
-                      className="min-h-[100px]"
-                    />
-                  </div>
-                </div>
-              </div>
-
-              <div className="mb-6">
-                <h3 className="text-lg font-medium text-gray-800 mb-3">
-                  Personality
-                </h3>
-                <div className="grid grid-cols-1 gap-4">
-                  <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Style
-                    </label>
-                    <Textarea
-                      id="personaStyle"
-                      value={formData.style}
-                      onChange={handleInputChange}
-                    />
-                  </div>
-                  <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Interests (comma-separated)
-                    </label>
-                    <Input
-                      id="personaInterests"
-                      value={formData.interests}
-                      onChange={handleInputChange}
-                    />
-                  </div>
-                  <div className="space-y-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Goals (one per line)
-                    </label>
-                    <Textarea
-                      id="personaGoals"
-                      value={formData.goals}
-                      onChange={handleInputChange}
-                      className="min-h-[100px]"
-                    />
-                  </div>
-                </div>
-              </div>
-
-              <div className="flex gap-3 justify-end">
-                <Button
-                  onClick={() => setShowPersonaForm(false)}
-                  variant="outline"
-                >
-                  Cancel
-                </Button>
-                <Button onClick={updatePersona} variant="default">
-                  Update Persona
-                </Button>
-              </div>
+          {showPersonaForm && personaDraft && (
+            <div className="mt-4 p-4 border border-amber-200 rounded-lg bg-amber-50 text-sm text-amber-800">
+              <p className="font-medium">
+                Draft persona generated from {selectedPDF}; it will be saved as "{personaDraft.id}".
+              </p>
+              {personaDraft.warnings.map((warning) => (
+                <p key={warning}>{warning}</p>
+              ))}
             </div>
           )}
+          {showPersonaForm && (
+            <PersonaForm
+              persona={personaDraft ? personaDraft.persona : personaConfig}
+              errors={personaErrors}
+              onSave={personaDraft ? createPersonaFromDraft : updatePersona}
+              onCancel={() => {
+                setPersonaDraft(null);
+                setPersonaErrors([]);
+                setShowPersonaForm(false);
+              }}
+            />
+          )}
+          {showPersonaForm && !personaDraft && (
+            <PersonaHistory
+              serverUrl={SERVER_URL}
+              persona={personaConfig}
+              onRestored={(persona) => {
+                setPersonaConfig(persona);
+                setPersonaErrors([]);
+              }}
+              onStatus={addStatus}
+            />
+          )}
         </div>
 
         <div className="bg-white rounded-xl shadow-md p-6">
@@ -1500,6 +1535,7 @@ function App() {
                   <Input
                     id="avatarID"
                     value={avatarID}
+                    placeholder={personaConfig.avatar?.avatarName || "Persona default"}
                     onChange={(e) => setAvatarID(e.target.value)}
                   />
                 </div>
@@ -1510,21 +1546,51 @@ function App() {
                   <Input
                     id="voiceID"
                     value={voiceID}
+                    placeholder={personaConfig.avatar?.voiceId || "Persona default"}
                     onChange={(e) => setVoiceID(e.target.value)}
                   />
                 </div>
               </div>
+              <div className="flex items-center gap-2">
+                <label htmlFor="sessionQuality" className="text-sm font-medium text-gray-700">
+                  Quality
+                </label>
+                <select
+                  id="sessionQuality"
+                  value={sessionQuality}
+                  onChange={(e) => setSessionQuality(e.target.value)}
+                  className="h-9 px-2 border border-gray-300 rounded-md text-sm"
+                >
+                  <option value="">{personaConfig.avatar?.quality ? `Persona default (${personaConfig.avatar.quality})` : "Persona default"}</option>
+                  <option value="low">low</option>
+                  <option value="medium">medium</option>
+                  <option value="high">high</option>
+                </select>
+              </div>
+              <Button variant="outline" size="sm" onClick={() => setShowAvatarPicker(!showAvatarPicker)}>
+                {showAvatarPicker ? "Hide avatars & voices" : "Browse avatars & voices"}
+              </Button>
+              {showAvatarPicker && (
+                <AvatarPicker
+                  serverUrl={SERVER_URL}
+                  avatarId={avatarID}
+                  voiceId={voiceID}
+                  onAvatarChange={setAvatarID}
+                  onVoiceChange={setVoiceID}
+                  onStatus={addStatus}
+                />
+              )}
               <div className="flex flex-wrap gap-2 mt-2">
                 <Button
                   onClick={createNewSession}
-                  disabled={!avatarID || sessionInfo}
+                  disabled={sessionInfo}
                   variant="default"
                 >
                   New
                 </Button>
                 <Button
                   onClick={startSession}
-                  disabled={!sessionInfo || !avatarID}
+                  disabled={!sessionInfo}
                   variant={!sessionInfo ? "outline" : "default"}
                 >
                   Start
@@ -1578,8 +1644,24 @@ function App() {
                 >
                   Talk
                 </Button>
+                <Button
+                  onClick={interruptAvatar}
+                  disabled={!sessionInfo || !botInitialized}
+                  variant="outline"
+                >
+                  Interrupt
+                </Button>
+                <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={streamReplies}
+                    onChange={(e) => setStreamReplies(e.target.checked)}
+                  />
+                  Stream replies
+                </label>
               </div>
             </div>
+            {sessionInfo && <SessionActivity events={sessionEventLog} connected={sessionEventsConnected} />}
           </div>
         </div>
 
@@ -1603,14 +1685,14 @@ function App() {
               
               <div className="space-y-2">
                 <label className="block text-sm font-medium text-gray-700">
-                  Select PDF for Search
+                  Documents to Search
                 </label>
                 <select
                   value={selectedPDF}
                   onChange={(e) => setSelectedPDF(e.target.value)}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  <option value="">Select a PDF...</option>
+                  <option value="">All documents</option>
                   {uploadedPDFs.map((pdf, index) => (
                     <option key={index} value={pdf.filename}>
                       {pdf.filename}
@@ -1619,6 +1701,15 @@ function App() {
                 </select>
               </div>
 
+              <Button
+                onClick={generatePersonaFromPDF}
+                disabled={!selectedPDF}
+                variant="outline"
+                className="w-full"
+              >
+                Draft Persona from PDF
+              </Button>
+
               <div className="space-y-2">
                 <label className="block text-sm font-medium text-gray-700">
                   Search Query
@@ -1632,7 +1723,7 @@ function App() {
 
               <Button
                 onClick={searchPDF}
-                disabled={!selectedPDF || !pdfQuery}
+                disabled={!pdfQuery}
                 variant="default"
                 className="w-full"
               >
@@ -1642,7 +1733,7 @@ function App() {
               <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
                 <Button
                   onClick={() => askWithPDF(false)}
-                  disabled={!selectedPDF || !pdfQuery}
+                  disabled={!pdfQuery}
                   variant="secondary"
                   className="w-full"
                 >
@@ -1650,7 +1741,7 @@ function App() {
                 </Button>
                 <Button
                   onClick={() => askWithPDF(true)}
-                  disabled={!selectedPDF || !pdfQuery || !sessionInfo || !botInitialized}
+                  disabled={!pdfQuery || !sessionInfo || !botInitialized}
                   variant="default"
                   className="w-full"
                 >
@@ -1671,10 +1762,12 @@ function App() {
                   pdfResults.map((result, index) => (
                     <div key={index} className="p-3 bg-gray-50 rounded-lg border">
                       <div className="text-sm text-gray-600 mb-1">
+                        {result.filename && <span className="font-medium">{result.filename} · </span>}
+                        {result.citation && <span>{result.citation} · </span>}
                         Similarity: {(result.similarity * 100).toFixed(1)}%
                       </div>
                       <div className="text-sm text-gray-800">
-                        {result.content}
+                        {result.text}
                       </div>
                     </div>
                   ))
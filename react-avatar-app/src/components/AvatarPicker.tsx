@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "./ui/button";
+
+interface CatalogAvatar {
+  id: string;
+  name: string;
+  previewImageUrl: string | null;
+  defaultVoiceId: string | null;
+  gender: "male" | "female" | null;
+  language: string | null;
+}
+
+interface CatalogVoice {
+  id: string;
+  name: string;
+  language: string | null;
+  gender: "male" | "female" | null;
+  previewAudioUrl: string | null;
+  supportsInteractive: boolean;
+}
+
+interface AvatarPickerProps {
+  serverUrl: string;
+  avatarId: string;
+  voiceId: string;
+  onAvatarChange: (avatarId: string) => void;
+  onVoiceChange: (voiceId: string) => void;
+  onStatus: (message: string) => void;
+}
+
+/**
+ * Avatars and voices from the HeyGen catalog (GET /persona/heygen/avatars and /voices), with preview
+ * thumbnails and audio. Clicking the selected entry again clears it so the persona's default applies.
+ */
+export function AvatarPicker({ serverUrl, avatarId, voiceId, onAvatarChange, onVoiceChange, onStatus }: AvatarPickerProps) {
+  const [avatars, setAvatars] = useState<CatalogAvatar[]>([]);
+  const [voices, setVoices] = useState<CatalogVoice[]>([]);
+  const [gender, setGender] = useState("");
+  const [language, setLanguage] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+  const previewRef = useRef<HTMLAudioElement | null>(null);
+  // The parent's callback changes on every render; the catalog only reloads on demand
+  const onStatusRef = useRef(onStatus);
+  useEffect(() => {
+    onStatusRef.current = onStatus;
+  });
+
+  useEffect(() => {
+    const loadCatalog = async () => {
+      setLoading(true);
+      // The first load may come from the server's cache; "Refresh" asks HeyGen again
+      const refresh = reloadCount > 0;
+      try {
+        const [avatarResponse, voiceResponse] = await Promise.all([
+          fetch(serverUrl + `/persona/heygen/avatars${refresh ? "?refresh=true" : ""}`),
+          fetch(serverUrl + `/persona/heygen/voices?interactive=true${refresh ? "&refresh=true" : ""}`),
+        ]);
+        const avatarData = await avatarResponse.json().catch(() => ({}));
+        const voiceData = await voiceResponse.json().catch(() => ({}));
+        if (avatarResponse.ok) setAvatars(avatarData.data.avatars);
+        if (voiceResponse.ok) setVoices(voiceData.data.voices);
+        if (!avatarResponse.ok || !voiceResponse.ok) {
+          onStatusRef.current(avatarData.error || voiceData.error || "Failed to load avatar catalog");
+        } else if (avatarData.data.stale || voiceData.data.stale) {
+          onStatusRef.current("HeyGen is unreachable; showing the last known avatars and voices");
+        }
+      } catch (error) {
+        onStatusRef.current("Error loading avatar catalog: " + (error as Error).message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadCatalog();
+  }, [serverUrl, reloadCount]);
+
+  useEffect(() => () => previewRef.current?.pause(), []);
+
+  const playPreview = (voice: CatalogVoice) => {
+    if (!voice.previewAudioUrl) return;
+    previewRef.current?.pause();
+    previewRef.current = new Audio(voice.previewAudioUrl);
+    previewRef.current.play().catch(() => onStatus(`Cannot play the preview of ${voice.name}`));
+  };
+
+  const languages = [...new Set(voices.map((voice) => voice.language).filter((value): value is string => !!value))].sort();
+  const shownAvatars = avatars.filter((avatar) => !gender || avatar.gender === gender);
+  const shownVoices = voices.filter((voice) => (!gender || voice.gender === gender) && (!language || voice.language === language));
+
+  return (
+    <div className="space-y-3 p-4 bg-gray-50 rounded-lg">
+      <div className="flex flex-wrap items-center gap-2">
+        <select className="border rounded-md px-2 py-1 text-sm" value={gender} onChange={(e) => setGender(e.target.value)}>
+          <option value="">Any gender</option>
+          <option value="female">Female</option>
+          <option value="male">Male</option>
+        </select>
+        <select className="border rounded-md px-2 py-1 text-sm" value={language} onChange={(e) => setLanguage(e.target.value)}>
+          <option value="">Any language</option>
+          {languages.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <Button variant="outline" size="sm" onClick={() => setReloadCount((count) => count + 1)} disabled={loading}>
+          {loading ? "Loading..." : "Refresh"}
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-3 sm:grid-cols-4 gap-2 max-h-64 overflow-y-auto">
+        {shownAvatars.map((avatar) => (
+          <button
+            key={avatar.id}
+            type="button"
+            title={avatar.id}
+            onClick={() => onAvatarChange(avatar.id === avatarId ? "" : avatar.id)}
+            className={`flex flex-col items-center gap-1 p-2 rounded-md border bg-white text-xs ${
+              avatar.id === avatarId ? "border-blue-500 ring-2 ring-blue-200" : "border-gray-200"
+            }`}
+          >
+            {avatar.previewImageUrl ? (
+              <img src={avatar.previewImageUrl} alt={avatar.name} loading="lazy" className="w-full aspect-square object-cover rounded" />
+            ) : (
+              <div className="w-full aspect-square rounded bg-gray-200 flex items-center justify-center text-2xl text-gray-500">
+                {avatar.name.charAt(0)}
+              </div>
+            )}
+            <span className="truncate w-full text-center">{avatar.name}</span>
+          </button>
+        ))}
+      </div>
+
+      <ul className="max-h-48 overflow-y-auto space-y-1">
+        {shownVoices.map((voice) => (
+          <li
+            key={voice.id}
+            className={`flex items-center justify-between gap-2 px-2 py-1 rounded-md border bg-white text-sm ${
+              voice.id === voiceId ? "border-blue-500" : "border-gray-200"
+            }`}
+          >
+            <button type="button" className="flex-1 text-left truncate" title={voice.id} onClick={() => onVoiceChange(voice.id === voiceId ? "" : voice.id)}>
+              {voice.name} <span className="text-gray-500">· {voice.language ?? "Unknown language"}{voice.gender ? ` · ${voice.gender}` : ""}</span>
+            </button>
+            {voice.previewAudioUrl && (
+              <Button variant="ghost" size="sm" onClick={() => playPreview(voice)}>
+                ▶
+              </Button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
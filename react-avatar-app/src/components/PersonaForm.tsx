@@ -0,0 +1,405 @@
+import { useEffect, useState } from "react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Textarea } from "./ui/textarea";
+
+export type PersonaSectionType = "text" | "list" | "facts" | "rules" | "samples";
+
+export interface PersonaFact {
+  key: string;
+  value: string;
+}
+
+// Mirrors server/utils/personaSchema.js
+export type PersonaSection = { key: string; label: string } & (
+  | { type: "text"; text: string }
+  | { type: "list" | "samples"; items: string[] }
+  | { type: "facts"; items: PersonaFact[] }
+  | { type: "rules"; do: string[]; dont: string[] }
+);
+
+// Unset settings fall back to the server's HeyGen defaults
+export interface PersonaAvatarSettings {
+  avatarName?: string;
+  voiceId?: string;
+  voiceRate?: number;
+  voiceEmotion?: string;
+  quality?: "low" | "medium" | "high";
+  // HeyGen's own idle timeout in seconds (30-3600); 0 disables it
+  idleTimeoutSeconds?: number;
+  videoEncoding?: "H264" | "VP8";
+  knowledgeBaseId?: string;
+  language?: string;
+}
+
+export interface PersonaConfig {
+  id?: string;
+  version?: number;
+  name: string;
+  title: string;
+  summary?: string;
+  sections: PersonaSection[];
+  // Knowledge-base documents (uploaded PDF filenames) attached to the persona
+  documents?: string[];
+  avatar?: PersonaAvatarSettings;
+}
+
+export interface PersonaFieldError {
+  field: string;
+  message: string;
+}
+
+const SECTION_TYPE_LABELS: Record<PersonaSectionType, string> = {
+  text: "Free text",
+  list: "List",
+  facts: "Key/value facts",
+  rules: "Do / don't rules",
+  samples: "Sample utterances",
+};
+
+const VOICE_EMOTIONS = ["Excited", "Serious", "Friendly", "Soothing", "Broadcaster"];
+const SESSION_QUALITIES = ["low", "medium", "high"];
+const VIDEO_ENCODINGS = ["H264", "VP8"];
+
+const BODY_HINTS: Record<PersonaSectionType, string> = {
+  text: "Free-form description",
+  list: "One item per line",
+  facts: "One fact per line, e.g. Branch: Downtown",
+  rules: "Do: one rule per line",
+  samples: "One sample utterance per line",
+};
+
+// Sections are edited as plain text and converted back on save
+interface DraftSection {
+  uid: number;
+  key?: string;
+  label: string;
+  type: PersonaSectionType;
+  body: string;
+  dontBody: string;
+}
+
+let nextDraftUid = 0;
+
+const toLines = (text: string) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+const toDraft = (section: PersonaSection): DraftSection => {
+  const draft = { uid: nextDraftUid++, key: section.key, label: section.label, type: section.type, body: "", dontBody: "" };
+  switch (section.type) {
+    case "text":
+      return { ...draft, body: section.text };
+    case "list":
+    case "samples":
+      return { ...draft, body: section.items.join("\n") };
+    case "facts":
+      return { ...draft, body: section.items.map((fact) => `${fact.key}: ${fact.value}`).join("\n") };
+    case "rules":
+      return { ...draft, body: section.do.join("\n"), dontBody: section.dont.join("\n") };
+  }
+};
+
+const fromDraft = (draft: DraftSection): PersonaSection => {
+  const base = { key: draft.key as string, label: draft.label };
+  switch (draft.type) {
+    case "text":
+      return { ...base, type: "text", text: draft.body };
+    case "list":
+    case "samples":
+      return { ...base, type: draft.type, items: toLines(draft.body) };
+    case "facts":
+      return {
+        ...base,
+        type: "facts",
+        items: toLines(draft.body).map((line) => {
+          const separator = line.indexOf(":");
+          return separator === -1
+            ? { key: line, value: "" }
+            : { key: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() };
+        }),
+      };
+    case "rules":
+      return { ...base, type: "rules", do: toLines(draft.body), dont: toLines(draft.dontBody) };
+  }
+};
+
+interface PersonaFormProps {
+  persona: PersonaConfig;
+  errors: PersonaFieldError[];
+  onSave: (persona: PersonaConfig) => void;
+  onCancel: () => void;
+}
+
+/**
+ * Editor for a persona made of generic sections. Validation happens on the server;
+ * its per-field errors are shown next to the matching input.
+ */
+export function PersonaForm({ persona, errors, onSave, onCancel }: PersonaFormProps) {
+  const [name, setName] = useState(persona.name);
+  const [title, setTitle] = useState(persona.title);
+  const [sections, setSections] = useState<DraftSection[]>(persona.sections.map(toDraft));
+  const [avatar, setAvatar] = useState<PersonaAvatarSettings>(persona.avatar ?? {});
+  const [newSectionType, setNewSectionType] = useState<PersonaSectionType>("list");
+
+  useEffect(() => {
+    setName(persona.name);
+    setTitle(persona.title);
+    setSections(persona.sections.map(toDraft));
+    setAvatar(persona.avatar ?? {});
+  }, [persona]);
+
+  const updateAvatar = (changes: PersonaAvatarSettings) => {
+    setAvatar((prev) => ({ ...prev, ...changes }));
+  };
+
+  const fieldError = (field: string) => errors.find((error) => error.field === field)?.message;
+
+  const sectionErrors = (index: number) =>
+    errors
+      .filter((error) => error.field.startsWith(`sections[${index}]`))
+      .map((error) => `${error.field.slice(`sections[${index}]`.length).replace(/^\./, "") || "section"} ${error.message}`);
+
+  const updateSection = (index: number, changes: Partial<DraftSection>) => {
+    setSections((prev) => prev.map((section, i) => (i === index ? { ...section, ...changes } : section)));
+  };
+
+  const moveSection = (index: number, offset: number) => {
+    setSections((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const addSection = () => {
+    setSections((prev) => [...prev, { uid: nextDraftUid++, label: "", type: newSectionType, body: "", dontBody: "" }]);
+  };
+
+  const save = () => {
+    onSave({
+      ...persona,
+      name,
+      title,
+      avatar,
+      sections: sections.map((section) => {
+        const converted = fromDraft(section);
+        // New sections get their key from the label on the server
+        if (!section.key) delete (converted as Partial<PersonaSection>).key;
+        return converted;
+      }),
+    });
+  };
+
+  return (
+    <div className="mt-4 p-5 border border-gray-200 rounded-lg bg-gray-50">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700">Name</label>
+          <Input id="personaName" value={name} onChange={(e) => setName(e.target.value)} />
+          {fieldError("name") && <p className="text-sm text-red-600">Name {fieldError("name")}</p>}
+        </div>
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700">Title</label>
+          <Input id="personaTitle" value={title} onChange={(e) => setTitle(e.target.value)} />
+          {fieldError("title") && <p className="text-sm text-red-600">Title {fieldError("title")}</p>}
+        </div>
+      </div>
+
+      <div className="mb-6 p-4 border border-gray-200 rounded-lg bg-white">
+        <h3 className="text-sm font-semibold text-gray-800 mb-3">Avatar &amp; voice (empty fields use the server defaults)</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-3">
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Avatar ID</label>
+            <Input value={avatar.avatarName ?? ""} onChange={(e) => updateAvatar({ avatarName: e.target.value })} />
+          </div>
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Voice ID</label>
+            <Input value={avatar.voiceId ?? ""} onChange={(e) => updateAvatar({ voiceId: e.target.value })} />
+          </div>
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Voice rate</label>
+            <Input
+              type="number"
+              min={0.5}
+              max={1.5}
+              step={0.1}
+              value={avatar.voiceRate ?? ""}
+              onChange={(e) => updateAvatar({ voiceRate: e.target.value === "" ? undefined : Number(e.target.value) })}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Voice emotion</label>
+            <select
+              value={avatar.voiceEmotion ?? ""}
+              onChange={(e) => updateAvatar({ voiceEmotion: e.target.value || undefined })}
+              className="w-full h-10 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Default</option>
+              {VOICE_EMOTIONS.map((emotion) => (
+                <option key={emotion} value={emotion}>
+                  {emotion}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Quality</label>
+            <select
+              value={avatar.quality ?? ""}
+              onChange={(e) => updateAvatar({ quality: (e.target.value || undefined) as PersonaAvatarSettings["quality"] })}
+              className="w-full h-10 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Default</option>
+              {SESSION_QUALITIES.map((quality) => (
+                <option key={quality} value={quality}>
+                  {quality}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Idle timeout (s, 0 = none)</label>
+            <Input
+              type="number"
+              min={0}
+              max={3600}
+              step={30}
+              value={avatar.idleTimeoutSeconds ?? ""}
+              onChange={(e) => updateAvatar({ idleTimeoutSeconds: e.target.value === "" ? undefined : Number(e.target.value) })}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Video encoding</label>
+            <select
+              value={avatar.videoEncoding ?? ""}
+              onChange={(e) => updateAvatar({ videoEncoding: (e.target.value || undefined) as PersonaAvatarSettings["videoEncoding"] })}
+              className="w-full h-10 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Default</option>
+              {VIDEO_ENCODINGS.map((encoding) => (
+                <option key={encoding} value={encoding}>
+                  {encoding}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Knowledge base ID</label>
+            <Input value={avatar.knowledgeBaseId ?? ""} onChange={(e) => updateAvatar({ knowledgeBaseId: e.target.value })} />
+          </div>
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Language</label>
+            <Input value={avatar.language ?? ""} placeholder="en" onChange={(e) => updateAvatar({ language: e.target.value })} />
+          </div>
+        </div>
+        {errors
+          .filter((error) => error.field.startsWith("avatar"))
+          .map((error) => (
+            <p key={error.field} className="mt-2 text-sm text-red-600">
+              {error.field.replace(/^avatar\.?/, "") || "avatar"} {error.message}
+            </p>
+          ))}
+      </div>
+
+      {sections.map((section, index) => (
+        <div key={section.uid} className="mb-6 p-4 border border-gray-200 rounded-lg bg-white">
+          <div className="grid grid-cols-1 md:grid-cols-[1fr_auto_auto] gap-3 mb-3 items-end">
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">Section label</label>
+              <Input value={section.label} onChange={(e) => updateSection(index, { label: e.target.value })} />
+            </div>
+            <select
+              value={section.type}
+              onChange={(e) => updateSection(index, { type: e.target.value as PersonaSectionType })}
+              className="h-10 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {(Object.keys(SECTION_TYPE_LABELS) as PersonaSectionType[]).map((type) => (
+                <option key={type} value={type}>
+                  {SECTION_TYPE_LABELS[type]}
+                </option>
+              ))}
+            </select>
+            <div className="flex gap-1">
+              <Button variant="outline" size="sm" onClick={() => moveSection(index, -1)} disabled={index === 0}>
+                ↑
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => moveSection(index, 1)}
+                disabled={index === sections.length - 1}
+              >
+                ↓
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setSections((prev) => prev.filter((_, i) => i !== index))}
+              >
+                Remove
+              </Button>
+            </div>
+          </div>
+
+          <div className={section.type === "rules" ? "grid grid-cols-1 md:grid-cols-2 gap-3" : ""}>
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">{BODY_HINTS[section.type]}</label>
+              <Textarea
+                value={section.body}
+                onChange={(e) => updateSection(index, { body: e.target.value })}
+                className="min-h-[100px]"
+              />
+            </div>
+            {section.type === "rules" && (
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-gray-700">Don't: one rule per line</label>
+                <Textarea
+                  value={section.dontBody}
+                  onChange={(e) => updateSection(index, { dontBody: e.target.value })}
+                  className="min-h-[100px]"
+                />
+              </div>
+            )}
+          </div>
+
+          {sectionErrors(index).map((message) => (
+            <p key={message} className="mt-2 text-sm text-red-600">
+              {message}
+            </p>
+          ))}
+        </div>
+      ))}
+
+      <div className="flex flex-wrap gap-3 items-center mb-6">
+        <select
+          value={newSectionType}
+          onChange={(e) => setNewSectionType(e.target.value as PersonaSectionType)}
+          className="h-10 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {(Object.keys(SECTION_TYPE_LABELS) as PersonaSectionType[]).map((type) => (
+            <option key={type} value={type}>
+              {SECTION_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+        <Button variant="outline" onClick={addSection}>
+          Add section
+        </Button>
+      </div>
+
+      <div className="flex gap-3 justify-end">
+        <Button onClick={onCancel} variant="outline">
+          Cancel
+        </Button>
+        <Button onClick={save} variant="default">
+          Update Persona
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import { useEffect, useState } from "react";
+import { Button } from "./ui/button";
+import type { PersonaConfig } from "./PersonaForm";
+
+interface PersonaVersion {
+  version: number;
+  author: string;
+  createdAt: string;
+  summary: string;
+}
+
+interface PersonaHistoryProps {
+  serverUrl: string;
+  persona: PersonaConfig;
+  onRestored: (persona: PersonaConfig) => void;
+  onStatus: (message: string) => void;
+}
+
+/**
+ * Saved versions of a persona, newest first. Restoring saves the old content as a new version,
+ * so a rollback can itself be undone.
+ */
+export function PersonaHistory({ serverUrl, persona, onRestored, onStatus }: PersonaHistoryProps) {
+  const [versions, setVersions] = useState<PersonaVersion[]>([]);
+
+  useEffect(() => {
+    if (!persona.id) return;
+    const loadVersions = async () => {
+      try {
+        const response = await fetch(serverUrl + `/persona/${persona.id}/versions`);
+        if (response.ok) {
+          const data = await response.json();
+          setVersions(data.data.versions);
+        }
+      } catch (error) {
+        console.error("Failed to load persona versions:", error);
+      }
+    };
+    loadVersions();
+  }, [serverUrl, persona.id, persona.version]);
+
+  const restore = async (version: number) => {
+    try {
+      const response = await fetch(serverUrl + `/persona/${persona.id}/rollback`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ version }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.ok) {
+        onRestored(data.data);
+        onStatus(`Persona restored to version ${version}`);
+      } else {
+        onStatus(data.message || "Failed to restore persona");
+      }
+    } catch (error) {
+      onStatus("Error: " + (error as Error).message);
+    }
+  };
+
+  if (versions.length === 0) return null;
+
+  return (
+    <div className="mt-4 p-5 border border-gray-200 rounded-lg bg-gray-50">
+      <h3 className="text-lg font-semibold text-gray-800 mb-3">Version history</h3>
+      <ul className="space-y-2 max-h-64 overflow-y-auto">
+        {versions.map((entry) => (
+          <li key={entry.version} className="flex items-center justify-between gap-3 p-3 bg-white rounded-md border">
+            <div className="text-sm">
+              <div className="font-medium text-gray-800">
+                v{entry.version} · {entry.summary}
+              </div>
+              <div className="text-gray-500">
+                {entry.author} · {new Date(entry.createdAt).toLocaleString()}
+              </div>
+            </div>
+            {entry.version === persona.version ? (
+              <span className="text-sm text-gray-500">Current</span>
+            ) : (
+              <Button variant="outline" size="sm" onClick={() => restore(entry.version)}>
+                Restore
+              </Button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
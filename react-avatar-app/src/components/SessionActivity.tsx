@@ -0,0 +1,61 @@
+import type { SessionEvent } from "../hooks/useSessionEvents";
+
+interface SessionActivityProps {
+  events: SessionEvent[];
+  connected: boolean;
+}
+
+// One line per event for the activity log
+const describeEvent = (event: SessionEvent): string => {
+  switch (event.type) {
+    case "transcript":
+      return `${event.data.role === "user" ? "User" : "Avatar"}: ${event.data.text}`;
+    case "speech":
+      if (event.data.state === "sent") return "Avatar speech sent";
+      return event.data.state === "started"
+        ? `Avatar started speaking (~${((event.data.item.durationMs ?? 0) / 1000).toFixed(1)}s)`
+        : `Avatar speech ${event.data.state === "finished" ? event.data.item.status : "failed"}`;
+    case "ingestion":
+      return event.data.stage === "failed"
+        ? `Processing ${event.data.filename} failed: ${event.data.error}`
+        : `Processing ${event.data.filename}: ${event.data.stage} (${Math.round((event.data.progress ?? 0) * 100)}%)`;
+    case "session":
+      if (event.data.state === "expiring" && event.data.expires_at) {
+        return `Session expires at ${new Date(event.data.expires_at).toLocaleTimeString()} unless used`;
+      }
+      return event.data.reason ? `Session ${event.data.state} (${event.data.reason})` : `Session ${event.data.state}`;
+    case "error":
+      return `Error: ${event.data.message}`;
+  }
+};
+
+/**
+ * Live activity of the avatar session pushed by the server: captions of what the avatar is saying and a log
+ * of transcript, speech, document processing and session events, including ones from other clients.
+ */
+export function SessionActivity({ events, connected }: SessionActivityProps) {
+  const speech = [...events].reverse().find((event) => event.type === "speech");
+  const caption = speech?.type === "speech" && speech.data.state === "started" ? speech.data.item.text : null;
+
+  return (
+    <div className="space-y-2 p-4 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-700">Live activity</h4>
+        <span className={`text-xs ${connected ? "text-green-600" : "text-gray-400"}`}>
+          {connected ? "● live" : "○ disconnected"}
+        </span>
+      </div>
+      {caption && <div className="p-2 rounded bg-black/80 text-white text-sm">{caption}</div>}
+      <ul className="max-h-40 overflow-y-auto text-xs text-gray-600 space-y-1">
+        {events
+          .slice()
+          .reverse()
+          .map((event) => (
+            <li key={event.id} className={event.type === "error" ? "text-red-600" : undefined}>
+              <span className="text-gray-400">{new Date(event.timestamp).toLocaleTimeString()}</span> {describeEvent(event)}
+            </li>
+          ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Live events of an avatar session pushed by the server (GET /events/:sessionId)
+ */
+
+import { useEffect, useRef, useState } from 'react';
+
+export type SessionEventType = 'transcript' | 'speech' | 'ingestion' | 'session' | 'error';
+
+const EVENT_TYPES: SessionEventType[] = ['transcript', 'speech', 'ingestion', 'session', 'error'];
+
+export interface SpeechItem {
+  id: string;
+  text: string;
+  status: string;
+  source: string;
+  transcript: string | null;
+  durationMs: number | null;
+  estimatedDurationMs: number;
+  error: string | null;
+}
+
+// Mirrors server/services/sessionEvents.js
+export type SessionEvent = {
+  id: number;
+  session_id: string | null;
+  timestamp: string;
+} & (
+  | { type: 'transcript'; data: { role: 'user' | 'avatar'; text: string; source: string } }
+  | { type: 'speech'; data: { state: 'sent' | 'started' | 'finished' | 'failed'; item: SpeechItem } }
+  | { type: 'ingestion'; data: { filename: string; stage: string; progress?: number; error?: string } }
+  | { type: 'session'; data: { state: 'started' | 'expiring' | 'ended'; reason?: string; expires_at?: string } }
+  | { type: 'error'; data: { message: string; code?: string; context?: string } }
+);
+
+interface SessionEventsOptions {
+  onEvent?: (event: SessionEvent) => void;
+  maxEvents?: number;
+}
+
+/**
+ * @description Subscribe to the events of a session; the stream reconnects by itself and resumes where it
+ * left off, and closes once the session has ended
+ * @param serverUrl - Base URL of the server
+ * @param sessionId - HeyGen session id; nothing is subscribed while it is empty
+ * @param options - onEvent callback and how many recent events to keep (default 100)
+ */
+export const useSessionEvents = (
+  serverUrl: string,
+  sessionId: string | null | undefined,
+  { onEvent, maxEvents = 100 }: SessionEventsOptions = {}
+) => {
+  const [events, setEvents] = useState<SessionEvent[]>([]);
+  const [connected, setConnected] = useState(false);
+  // The latest callback is used without reopening the stream when it changes
+  const onEventRef = useRef(onEvent);
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  });
+
+  useEffect(() => {
+    if (!sessionId) return;
+
+    const source = new EventSource(`${serverUrl}/events/${sessionId}`);
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+
+    const handleMessage = (message: MessageEvent) => {
+      const event: SessionEvent = JSON.parse(message.data);
+      setEvents((prev) => [...prev.slice(-(maxEvents - 1)), event]);
+      onEventRef.current?.(event);
+      if (event.type === 'session' && event.data.state === 'ended') {
+        source.close();
+        setConnected(false);
+      }
+    };
+    EVENT_TYPES.forEach((type) => source.addEventListener(type, handleMessage));
+
+    return () => {
+      source.close();
+      setConnected(false);
+      setEvents([]);
+    };
+  }, [serverUrl, sessionId, maxEvents]);
+
+  return { events, connected };
+};
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Client for the streaming avatar reply endpoint (Server-Sent Events over POST)
+ */
+
+export interface AvatarStreamHandlers {
+  onToken?: (text: string) => void;
+  onSentence?: (index: number, text: string) => void;
+  onError?: (message: string, index?: number) => void;
+  onDone?: (result: AvatarStreamResult) => void;
+}
+
+export interface AvatarStreamResult {
+  ai_response: string;
+  conversation_id: string;
+  sentences: number;
+  speaking_duration: number;
+}
+
+/**
+ * @description Parse one SSE block ("event: x\ndata: {...}") into its name and payload
+ */
+const parseEvent = (block: string): { event: string; data: Record<string, unknown> } | null => {
+  let event = 'message';
+  let data = '';
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data += line.slice(5).trim();
+  }
+  if (!data) return null;
+  try {
+    return { event, data: JSON.parse(data) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @description Ask the avatar for an AI reply and receive it sentence by sentence
+ * @param url - Full URL of the streaming endpoint
+ * @param body - Request body ({ session_id, text, conversation_id? })
+ * @param handlers - Callbacks for stream events
+ * @param signal - Optional abort signal to cancel the stream
+ */
+export const streamAvatarReply = async (
+  url: string,
+  body: Record<string, unknown>,
+  handlers: AvatarStreamHandlers,
+  signal?: AbortSignal
+): Promise<AvatarStreamResult | null> => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `Streaming request failed (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result: AvatarStreamResult | null = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let separator = buffer.indexOf('\n\n');
+    while (separator !== -1) {
+      const parsed = parseEvent(buffer.slice(0, separator));
+      buffer = buffer.slice(separator + 2);
+      separator = buffer.indexOf('\n\n');
+      if (!parsed) continue;
+
+      const { event, data } = parsed;
+      switch (event) {
+        case 'token':
+          handlers.onToken?.(data.text as string);
+          break;
+        case 'sentence':
+          handlers.onSentence?.(data.index as number, data.text as string);
+          break;
+        case 'error':
+          handlers.onError?.(data.message as string, data.index as number | undefined);
+          break;
+        case 'done':
+          result = data as unknown as AvatarStreamResult;
+          handlers.onDone?.(result);
+          break;
+      }
+    }
+  }
+
+  return result;
+};
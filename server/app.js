@@ -5,19 +5,23 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import personaRouter from './routes/personaRoutes.js';
 import chatRouter from './routes/chatRouter.js';
-import pdfRouter from './routes/pdfRoutes.js';
 import ragRouter from './routes/ragRoutes.js';
+import eventsRouter from './routes/eventsRoutes.js';
 
 dotenv.config();
 
 const app = express();
+// Persona bundles can embed knowledge-base documents with their embeddings; parsed before the default
+// limit applies, which then skips the already parsed body
+app.post('/persona/import', express.json({ limit: '50mb' }));
 app.use(express.json());
 app.use(cors());
 
 app.use('/persona', personaRouter);
 app.use('/openai', chatRouter);
-app.use('/pdf', pdfRouter);
-app.use('/rag', ragRouter);
+// /pdf is the older name of the same document API
+app.use(['/rag', '/pdf'], ragRouter);
+app.use('/events', eventsRouter);
 
 // Serve React frontend static files when running on platforms like Vercel
 const __filename = fileURLToPath(import.meta.url);
@@ -29,7 +33,7 @@ app.use(express.static(frontendDist));
 
 // SPA fallback: send index.html for unmatched non-API routes
 app.get('*', (req, res, next) => {
-  if (req.path.startsWith('/persona') || req.path.startsWith('/openai') || req.path.startsWith('/pdf') || req.path.startsWith('/rag')) {
+  if (req.path.startsWith('/persona') || req.path.startsWith('/openai') || req.path.startsWith('/pdf') || req.path.startsWith('/rag') || req.path.startsWith('/events')) {
     return next();
   }
   res.sendFile(path.join(frontendDist, 'index.html'));
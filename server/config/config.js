@@ -1,25 +1,190 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
-// Debug: Log environment variable
-
 export const config = {
+  // Offline mode: scripted chat, reproducible embeddings and a fake HeyGen session lifecycle, no network calls
+  offline: process.env.OFFLINE_MODE === 'true',
   heygen: {
     apiKey: process.env.HEYGEN_APIKEY,
     serverUrl: process.env.HEYGEN_SERVER_URL || 'https://api.heygen.com',
     defaultQuality: 'low',
     defaultAvatarName: '1727404227',
     defaultVoiceId: '73c0b6a2e29d4d38aca41454bf58c955',
+    // HeyGen's own idle timeout in seconds (30-3600); 0 disables it and leaves idle sessions to the reaper below
+    defaultIdleTimeoutSeconds: parseInt(process.env.HEYGEN_IDLE_TIMEOUT_SECONDS, 10) || 0,
+    // What clients may ask for on POST /persona/heygen/session/create; requests beyond these get 400, and
+    // persona settings beyond them are lowered to fit
+    sessionLimits: {
+      // Request fields clients may set; the rest always come from the persona
+      clientOptions: (process.env.HEYGEN_CLIENT_SESSION_OPTIONS || 'avatar_name,voice_id,voice_rate,voice_emotion,quality,idle_timeout,video_encoding,knowledge_base_id,language')
+        .split(',')
+        .map((option) => option.trim())
+        .filter(Boolean),
+      qualities: (process.env.HEYGEN_ALLOWED_QUALITIES || 'low,medium,high')
+        .split(',')
+        .map((quality) => quality.trim())
+        .filter(Boolean),
+      // Longest HeyGen idle timeout in seconds; 0 means no cap, a cap also rules out disabling the timeout
+      maxIdleTimeoutSeconds: parseInt(process.env.HEYGEN_MAX_IDLE_TIMEOUT_SECONDS, 10) || 0,
+    },
+    sessions: {
+      // Sessions open at the same time; further create requests get 429
+      maxConcurrent: parseInt(process.env.HEYGEN_MAX_SESSIONS, 10) || 3,
+      // Sessions without any request (text, ICE, keepalive...) for this long are stopped
+      idleTimeoutMs: parseInt(process.env.HEYGEN_SESSION_IDLE_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+      reapIntervalMs: 30 * 1000,
+      // Subscribers of GET /events/:sessionId are warned this long before an idle session is stopped
+      expiryWarningMs: 60 * 1000,
+      // How long stopped sessions stay listed in GET /persona/heygen/sessions
+      historyMs: 60 * 60 * 1000,
+    },
+    pool: {
+      // Sessions created ahead of time per avatar configuration; 0 disables the pool
+      size: parseInt(process.env.HEYGEN_POOL_SIZE, 10) || 0,
+      // Pooled sessions not handed out within this time are stopped and replaced
+      maxAgeMs: parseInt(process.env.HEYGEN_POOL_MAX_AGE_MS, 10) || 5 * 60 * 1000,
+      // Configurations no client asked for within this time are no longer kept warm
+      idleMs: parseInt(process.env.HEYGEN_POOL_IDLE_MS, 10) || 30 * 60 * 1000,
+      checkIntervalMs: 15 * 1000,
+    },
+    requests: {
+      // Per-call timeouts; streaming.new and streaming.start wait for HeyGen to allocate the avatar
+      timeoutsMs: {
+        'streaming.new': 30000,
+        'streaming.start': 30000,
+        'streaming.ice': 10000,
+        'streaming.task': 15000,
+        'streaming.keep_alive': 10000,
+        'streaming.interrupt': 10000,
+        'streaming.stop': 10000,
+        'avatar.list': 15000,
+        voices: 15000,
+      },
+      // Retries of transient failures (network errors, 5xx, timeouts), with exponential backoff and jitter
+      maxRetries: process.env.HEYGEN_MAX_RETRIES ? parseInt(process.env.HEYGEN_MAX_RETRIES, 10) : 2,
+      retryBaseDelayMs: 500,
+      retryMaxDelayMs: 4000,
+      // Consecutive transient failures before calls are refused for the cooldown
+      circuitFailureThreshold: 5,
+      circuitCooldownMs: 30 * 1000,
+    },
+    catalog: {
+      // Avatar and voice listings are cached on disk for this long before HeyGen is asked again
+      ttlMs: parseInt(process.env.HEYGEN_CATALOG_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+      // Defaults to server/data/heygen-catalog.json
+      cacheFile: process.env.HEYGEN_CATALOG_FILE,
+    },
   },
-  openai: {
-    apiKey: process.env.OPENAI_APIKEY || process.env.OPENAI_API_KEY,
-    model: 'gpt-4o',
-    config: {
-      temperature: 0.9,
-      max_tokens: 2048,
-      top_p: 0.1,
-      frequency_penalty: 0,
-      presence_penalty: 0,
+  llm: {
+    // Provider instances; `type` selects the implementation registered in llmService
+    providers: {
+      openai: {
+        type: 'openai',
+        apiKey: process.env.OPENAI_APIKEY || process.env.OPENAI_API_KEY,
+        chatModel: process.env.OPENAI_CHAT_MODEL || 'gpt-4o',
+        embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+      },
+      gemini: {
+        type: 'gemini',
+        apiKey: process.env.GEMINI_APIKEY || process.env.GEMINI_API_KEY,
+        chatModel: process.env.GEMINI_CHAT_MODEL || 'gemini-1.5-flash',
+        embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+      },
+      // Any OpenAI-compatible server, e.g. llama.cpp (http://localhost:8080/v1) or Ollama (http://localhost:11434/v1)
+      local: {
+        type: 'openai',
+        baseURL: process.env.LOCAL_LLM_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_APIKEY,
+        chatModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        embeddingModel: process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+      },
+      // Embeddings computed on the CPU from word stems and character n-grams; no network or model files
+      ngram: {
+        type: 'ngram',
+        dimensions: parseInt(process.env.NGRAM_EMBEDDING_DIMENSIONS, 10) || 512,
+      },
+      // Deterministic offline provider; also used when a feature's provider has no credentials
+      mock: {
+        type: 'mock',
+        scriptPath: process.env.MOCK_SCRIPT_PATH,
+        embeddingDimensions: 384,
+      },
+    },
+    // Which provider (and optionally which model) each feature uses
+    features: {
+      chat: {
+        provider: process.env.CHAT_PROVIDER || 'openai',
+        model: process.env.CHAT_MODEL,
+        options: {
+          temperature: 0.9,
+          maxTokens: 2048,
+          topP: 0.1,
+          frequencyPenalty: 0,
+          presencePenalty: 0,
+        },
+      },
+      avatar: {
+        provider: process.env.AVATAR_PROVIDER || process.env.CHAT_PROVIDER || 'openai',
+        model: process.env.AVATAR_MODEL || process.env.CHAT_MODEL,
+      },
+      rag: {
+        provider: process.env.RAG_PROVIDER || process.env.CHAT_PROVIDER || 'openai',
+        model: process.env.RAG_MODEL,
+      },
+      // Drafting personas from uploaded CVs (JSON extraction)
+      persona: {
+        provider: process.env.PERSONA_PROVIDER || process.env.CHAT_PROVIDER || 'openai',
+        model: process.env.PERSONA_MODEL,
+      },
+      embeddings: {
+        provider: process.env.EMBEDDINGS_PROVIDER || 'openai',
+        model: process.env.EMBEDDINGS_MODEL,
+      },
+      // Reordering retrieved excerpts (only used when retrieval.rerank is on)
+      rerank: {
+        provider: process.env.RERANK_PROVIDER || process.env.RAG_PROVIDER || process.env.CHAT_PROVIDER || 'openai',
+        model: process.env.RERANK_MODEL,
+        options: { temperature: 0, maxTokens: 200 },
+      },
     },
   },
+  // Document chunking and search: BM25 and vector similarity rankings fused by reciprocal rank, optionally reranked by an LLM
+  retrieval: {
+    // Chunks taken from each ranking into the fusion
+    candidates: parseInt(process.env.RAG_CANDIDATES, 10) || 50,
+    rrfK: parseInt(process.env.RAG_RRF_K, 10) || 60,
+    rerank: process.env.RAG_RERANK === 'true',
+    // Top fused chunks the reranker sees; the rest keep their fused order after them
+    rerankCandidates: parseInt(process.env.RAG_RERANK_CANDIDATES, 10) || 12,
+    // Largest chunk and the overlap between consecutive chunks of a section, in estimated tokens
+    chunkTokens: parseInt(process.env.RAG_CHUNK_TOKENS, 10) || 256,
+    chunkOverlap: process.env.RAG_CHUNK_OVERLAP ? parseInt(process.env.RAG_CHUNK_OVERLAP, 10) : 40,
+  },
+  documents: {
+    // Uploaded documents and the knowledge base (knowledge_base/ inside it); defaults to /tmp/uploads
+    uploadDir: process.env.UPLOAD_DIR,
+  },
+  prompts: {
+    // Shipped templates, never written at runtime; defaults to server/templates
+    templateDir: process.env.PROMPT_TEMPLATE_DIR,
+    // Templates edited through the API or imported with a bundle, read before the shipped ones; defaults to
+    // server/data/templates
+    overrideDir: process.env.PROMPT_OVERRIDE_DIR,
+  },
+  personas: {
+    // Directory of persona JSON files; defaults to server/data/personas
+    dir: process.env.PERSONA_DIR,
+    // Persona used when a session or conversation has not chosen one
+    defaultId: process.env.DEFAULT_PERSONA_ID || 'default',
+  },
+  speech: {
+    // Learned speaking-time calibration; defaults to server/data/speech-calibration.json
+    calibrationFile: process.env.SPEECH_CALIBRATION_FILE,
+  },
+  conversation: {
+    // Number of user/assistant messages kept per conversation (oldest dropped first)
+    maxMessages: parseInt(process.env.CONVERSATION_MAX_MESSAGES, 10) || 20,
+    // Conversations untouched for this long are discarded, together with the persona chosen for them
+    ttlMs: parseInt(process.env.CONVERSATION_TTL_MS, 10) || 60 * 60 * 1000,
+  },
 };
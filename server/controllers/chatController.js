@@ -1,109 +1,47 @@
-import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
-import { persona } from '../utils/persona.js';
-import OpenAI from 'openai';
+import { conversationService } from '../services/conversationService.js';
+import { llmService } from '../services/llmService.js';
+import { promptService } from '../services/promptService.js';
+import { personaStore } from '../services/personaStore.js';
 
-// Lazily initialize OpenAI client only when a valid API key is present
-const getOpenAIClient = () => {
-  if (!config.openai.apiKey || config.openai.apiKey === 'your_openai_api_key_here') {
-    return null;
-  }
-  return new OpenAI({ apiKey: config.openai.apiKey });
-};
-
-const getPersonaPrompt = () => {
-  return `From today your identity is ${persona.name}.
-From now you are ${persona.name} and give all answers like ${persona.name}'s style.
-Don't use emojis in your answers.
-Behave like ${persona.name} in all chats.
-Always reply like ${persona.name}'s real talking style, attitude, tone & mood.
-
-Profile:
-Name: ${persona.name}
-Title: ${persona.title}
-Education: ${persona.education.degree} (${persona.education.year})
-Institution: ${persona.education.institution}
-Core Traits: ${persona.traits.join(', ')}
-
-Technical Identity:
-Languages Known: ${persona.technical.languages.join(', ')}
-Web Dev Stack: ${persona.technical.webStack.join(', ')}
-Projects:
-${persona.technical.projects.join('\n')}
-
-Personality & Style:
-${persona.personality.style}
-Interests: ${persona.personality.interests.join(', ')}
-Current Goals:
-${persona.personality.goals.join('\n')}`;
-};
-
-const generateOpenAIResponse = async (prompt) => {
-  const personaPrompt = getPersonaPrompt();
-  
+const generateAIResponse = async (prompt, conversationId, persona) => {
   try {
-    const openai = getOpenAIClient();
-    if (!openai) {
-      // Fallback mock response in environments without an API key
-      return `As ${persona.name}, I can't access OpenAI right now (no API key configured). Here's a safe mock reply to your prompt.`;
-    }
-    const completion = await openai.chat.completions.create({
-      model: config.openai.model,
-      messages: [
-        {
-          role: 'system',
-          content: `Act like ${persona.name}, a formal corporate employee. ${personaPrompt}`
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      ...config.openai.config
-    });
-    
-    return completion.choices[0].message.content;
+    return await llmService.chat(
+      'chat',
+      promptService.buildMessages('chat', { conversationId, userMessage: prompt, persona })
+    );
   } catch (error) {
-    logger.error('OpenAI', 'Error generating response', { error: error.message });
-    throw new Error(`OpenAI API error: ${error.message}`);
+    logger.error('LLM', 'Error generating response', { error: error.message });
+    throw new Error(`LLM API error: ${error.message}`);
   }
 };
 
 export const InitializeBot = async (req, res) => {
   logger.info('Server', 'Initializing AI service');
   try {
-    // Check if API key is configured
-    const openai = getOpenAIClient();
-    if (!openai) {
-      logger.warn('OpenAI', 'API key not configured, returning mock response');
-      return res.json({
-        success: true,
-        message: 'AI service initialized successfully (mock mode)',
-        text: `Hello! I'm ${persona.name} and I'm ready to chat. Note: OpenAI API key not configured, using mock responses.`
+    const { persona_id, conversation_id } = req.body || {};
+    const persona = personaStore.resolve(conversation_id, persona_id);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${persona_id}`
       });
     }
 
-    const result = await openai.chat.completions.create({
-      model: config.openai.model,
-      messages: [
-        {
-          role: 'system',
-          content: `You are ${persona.name}. You are now initialized and ready to chat.`
-        },
-        {
-          role: 'user',
-          content: 'You are now initialized. Be ready to chat.'
-        }
-      ],
-      max_tokens: 100
-    });
-    
-    const text = result.choices[0].message.content;
+    const mockMode = llmService.isMock('chat');
+    const text = await llmService.chat(
+      'chat',
+      promptService.buildMessages('chat', {
+        userMessage: 'You are now initialized. Be ready to chat.',
+        persona
+      }),
+      { maxTokens: 100 }
+    );
 
-    logger.info('Server', 'AI service initialized successfully');
+    logger.info('Server', 'AI service initialized successfully', { mockMode });
     res.json({
       success: true,
-      message: 'AI service initialized successfully',
+      message: `AI service initialized successfully${mockMode ? ' (mock mode)' : ''}`,
       text
     });
   } catch (error) {
@@ -120,25 +58,26 @@ export const AIChatResponse = async (req, res) => {
   logger.info('Server', 'Processing AI chat request');
   try {
     const userPrompt = req.body.prompt;
-    
-    // Check if API key is configured
-    const openai = getOpenAIClient();
-    if (!openai) {
-      logger.warn('OpenAI', 'API key not configured, returning mock response');
-      return res.json({
-        success: true,
-        message: 'AI response generated successfully (mock mode)',
-        text: `As ${persona.name}, I understand you're asking: "${userPrompt}". This is a mock response since OpenAI API key is not configured. Please add your OpenAI API key to get real AI responses.`
+    const conversationId = conversationService.getOrCreate(req.body.conversation_id).id;
+    const persona = personaStore.resolve(conversationId, req.body.persona_id);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${req.body.persona_id}`
       });
     }
+    const mockMode = llmService.isMock('chat');
     
-    const text = await generateOpenAIResponse(userPrompt);
+    const text = await generateAIResponse(userPrompt, conversationId, persona);
+    conversationService.recordExchange(conversationId, userPrompt, text);
 
-    logger.info('Server', 'AI response generated successfully');
+    logger.info('Server', 'AI response generated successfully', { mockMode });
     res.json({
       success: true,
-      message: 'AI response generated successfully',
-      text
+      message: `AI response generated successfully${mockMode ? ' (mock mode)' : ''}`,
+      text,
+      conversation_id: conversationId,
+      persona_id: persona.id
     });
   } catch (error) {
     logger.error('Server', 'AI Error', { error: error.message });
@@ -149,3 +88,64 @@ export const AIChatResponse = async (req, res) => {
     });
   }
 };
+
+export const getConversation = (req, res) => {
+  const { id } = req.params;
+  logger.info('Server', 'Fetching conversation', { conversation_id: id });
+
+  const conversation = conversationService.get(id);
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Conversation retrieved successfully',
+    data: {
+      conversation_id: conversation.id,
+      messages: conversation.messages,
+      createdAt: new Date(conversation.createdAt).toISOString(),
+      updatedAt: new Date(conversation.updatedAt).toISOString()
+    }
+  });
+};
+
+export const resetConversation = (req, res) => {
+  const { id } = req.params;
+  logger.info('Server', 'Resetting conversation', { conversation_id: id });
+
+  if (!conversationService.reset(id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Conversation reset successfully',
+    data: { conversation_id: id }
+  });
+};
+
+export const deleteConversation = (req, res) => {
+  const { id } = req.params;
+  logger.info('Server', 'Deleting conversation', { conversation_id: id });
+
+  personaStore.clearActive(id);
+  if (!conversationService.delete(id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Conversation deleted successfully',
+    data: { conversation_id: id }
+  });
+};
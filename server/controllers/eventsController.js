@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Live event streams (Server-Sent Events) for avatar sessions; see services/sessionEvents.js
+ * for the event types
+ */
+
+import { sessionEvents, ALL_SESSIONS } from '../services/sessionEvents.js';
+import { sessionRegistry } from '../services/sessionRegistry.js';
+import { logger } from '../utils/logger.js';
+import { openEventStream } from '../utils/sse.js';
+
+// Keeps idle streams open through proxies that drop silent connections
+const HEARTBEAT_MS = 25 * 1000;
+
+const pipeEvents = (req, res, sessionId) => {
+  const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.last_event_id, 10);
+  const stream = openEventStream(res, { heartbeatMs: HEARTBEAT_MS });
+
+  const unsubscribe = sessionEvents.subscribe(
+    sessionId,
+    (event) => {
+      stream.send(event.type, event, event.id);
+      // Nothing follows the end of a session; closing stops EventSource from reconnecting to a 410
+      if (sessionId !== ALL_SESSIONS && event.type === 'session' && event.data.state === 'ended') stream.close();
+    },
+    { afterId: Number.isNaN(lastEventId) ? undefined : lastEventId }
+  );
+  res.on('close', unsubscribe);
+};
+
+/**
+ * GET /events/:sessionId
+ * Header Last-Event-ID (or ?last_event_id=) replays recent events the client missed
+ * Events of one session; closes after the session ends
+ */
+export const streamSessionEvents = (req, res) => {
+  const { sessionId } = req.params;
+  const session = sessionRegistry.get(sessionId);
+
+  if (!session || !sessionRegistry.isActive(session)) {
+    return res.status(session ? 410 : 404).json({
+      success: false,
+      message: session ? `Session ${sessionId} was stopped (${session.stopReason})` : `Session not found: ${sessionId}`
+    });
+  }
+
+  logger.info('EventsController', 'Event stream opened', { session_id: sessionId });
+  pipeEvents(req, res, sessionId);
+};
+
+/**
+ * GET /events
+ * Events of every session and those published without one (e.g. re-embedding progress), for operator views
+ */
+export const streamAllEvents = (req, res) => {
+  logger.info('EventsController', 'Event stream opened for all sessions');
+  pipeEvents(req, res, ALL_SESSIONS);
+};
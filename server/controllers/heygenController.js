@@ -1,69 +1,117 @@
+import { randomUUID } from 'crypto';
 import { heygenService } from '../services/heygenService.js';
 import { logger } from '../utils/logger.js';
-import { persona } from '../utils/persona.js';
-import { config } from '../config/config.js';
+import { conversationService } from '../services/conversationService.js';
+import { llmService } from '../services/llmService.js';
+import { promptService } from '../services/promptService.js';
+import { personaStore } from '../services/personaStore.js';
+import { sessionRegistry } from '../services/sessionRegistry.js';
+import { speechQueue, PRIORITIES } from '../services/speechQueue.js';
+import { sessionEvents } from '../services/sessionEvents.js';
+import { heygenCatalog } from '../services/heygenCatalog.js';
+import { sessionPool } from '../services/sessionPool.js';
+import { SentenceSplitter } from '../utils/sentenceSplitter.js';
+import { openEventStream } from '../utils/sse.js';
+import { resolveSessionSettings } from '../utils/sessionOptions.js';
+import { HeygenError, HeygenSessionNotFoundError, HeygenUnavailableError } from '../utils/heygenErrors.js';
 
-// Helper function to generate AI responses using OpenAI
-const generateSimpleAIResponse = async (userQuery = "") => {
+// Helper function to generate AI responses using the configured LLM provider
+const generateSimpleAIResponse = async (userQuery = "", conversationId, persona) => {
   if (!userQuery) {
     return `Hi there! I'm ${persona.name}, ${persona.title}. How can I help you today?`;
   }
   
-  // Check if OpenAI API key is configured
-  if (!config.openai.apiKey || config.openai.apiKey === 'your_openai_api_key_here') {
-    // Fallback to simple responses when API key not configured
-    if (userQuery.toLowerCase().includes('who are you') || userQuery.toLowerCase().includes('introduce yourself')) {
-      return `I'm ${persona.name}, a ${persona.education.year} student at ${persona.education.institution}, pursuing ${persona.education.degree}. I'm passionate about ${persona.personality.interests[0]} and ${persona.personality.interests[1]}.`;
-    }
-    
-    if (userQuery.toLowerCase().includes('project') || userQuery.toLowerCase().includes('work')) {
-      const projects = persona.technical.projects.slice(0, 2).join(' and ');
-      return `I've worked on several projects including ${projects}. I'm comfortable with ${persona.technical.languages.join(', ')} for programming.`;
-    }
-    
-    if (userQuery.toLowerCase().includes('goal') || userQuery.toLowerCase().includes('plan')) {
-      return `Currently, I'm focused on ${persona.personality.goals[0]} and ${persona.personality.goals[1]}.`;
-    }
-    
-    return `Thanks for asking! As someone who's ${persona.traits[0]} and ${persona.traits[1]}, I'm always excited to talk about ${persona.personality.interests[Math.floor(Math.random() * persona.personality.interests.length)]}.`;
-  }
-  
-  // Use OpenAI for AI responses
+  // Use the LLM provider for AI responses
   try {
-    const { default: OpenAI } = await import('openai');
-    const openai = new OpenAI({ apiKey: config.openai.apiKey });
-    
-    const personaPrompt = `You are ${persona.name}, ${persona.title}. 
-    Education: ${persona.education.degree} (${persona.education.year}) at ${persona.education.institution}
-    Technical Skills: ${persona.technical.languages.join(', ')} and ${persona.technical.webStack.join(', ')}
-    Projects: ${persona.technical.projects.join(', ')}
-    Personality: ${persona.personality.style}
-    Interests: ${persona.personality.interests.join(', ')}
-    Goals: ${persona.personality.goals.join(', ')}
-    Traits: ${persona.traits.join(', ')}
-    
-    Respond as ${persona.name} would, maintaining their personality and style. Keep responses conversational and natural.`;
-    
-    const completion = await openai.chat.completions.create({
-      model: config.openai.model,
-      messages: [
-        { role: 'system', content: personaPrompt },
-        { role: 'user', content: userQuery }
-      ],
-      max_tokens: 200,
-      temperature: 0.8
-    });
-    
-    return completion.choices[0].message.content;
+    return await llmService.chat(
+      'avatar',
+      promptService.buildMessages('avatar', { conversationId, userMessage: userQuery, persona }),
+      { maxTokens: 200, temperature: 0.8 }
+    );
   } catch (error) {
-    logger.error('HeygenController', 'OpenAI response generation failed', { error: error.message });
+    logger.error('HeygenController', 'LLM response generation failed', { error: error.message });
     return `I'm ${persona.name} and I'd love to help, but I'm having trouble processing that right now. Could you try asking me something else?`;
   }
 };
 
+// Answers with the status carried by HeyGen errors (auth 502, quota 429, unknown session 404, timeout 504,
+// circuit open 503) and 500 for anything else. A session HeyGen no longer knows is released here as well.
+const sendHeygenError = (res, error, message, sessionId) => {
+  if (sessionId) {
+    sessionEvents.publish(sessionId, 'error', { message: error.message, code: error.code, context: message });
+  }
+  if (error instanceof HeygenSessionNotFoundError && sessionId) {
+    sessionRegistry.release(sessionId, 'expired');
+  }
+  if (error instanceof HeygenUnavailableError) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+  res.status(error instanceof HeygenError ? error.status : 500).json({
+    success: false,
+    message,
+    error: error.message,
+    ...(error instanceof HeygenError && { code: error.code })
+  });
+};
+
+// Records activity on a session this server opened; otherwise answers 404 (unknown) or 410 (stopped) and returns null
+const requireActiveSession = (res, sessionId, state) => {
+  const session = sessionRegistry.touch(sessionId, state);
+  if (session) return session;
+
+  const stopped = sessionRegistry.get(sessionId);
+  res.status(stopped ? 410 : 404).json({
+    success: false,
+    message: stopped ? `Session ${sessionId} was stopped (${stopped.stopReason})` : `Session not found: ${sessionId}`
+  });
+  return null;
+};
+
+// Settings of a new session: session options in the request win over the persona's settings, which fall
+// back to config defaults. Answers 400 and returns null when options are invalid, beyond the server's
+// limits or name an avatar or voice HeyGen does not have.
+const resolveSessionOrReject = async (res, persona, body) => {
+  const { settings, errors, adjusted } = resolveSessionSettings(personaStore.getAvatarSettings(persona), body);
+  if (adjusted.length > 0) {
+    logger.warn('HeygenController', 'Persona session settings lowered to the server limits', { persona_id: persona.id, adjusted });
+  }
+  if (errors.length === 0) {
+    // Unknown ids would otherwise only surface as an opaque failure of streaming.new
+    errors.push(...(await heygenCatalog.validate(settings)));
+  }
+  if (errors.length === 0) return settings;
+
+  res.status(400).json({
+    success: false,
+    message: errors.map((error) => (error.suggestions ? error.message : `${error.field} ${error.message}`)).join('; '),
+    errors
+  });
+  return null;
+};
+
+// Speaking times are reported to clients in seconds, to one decimal
+const toSeconds = (ms) => Math.round(ms / 100) / 10;
+
+// Yields the reply as it is generated
+async function* streamAIResponse(userQuery, conversationId, persona, signal) {
+  yield* llmService.streamChat(
+    'avatar',
+    promptService.buildMessages('avatar', { conversationId, userMessage: userQuery, persona }),
+    { maxTokens: 200, temperature: 0.8, signal }
+  );
+}
+
 export const initializeHeygenBot = async (req, res) => {
   try {
     logger.info('HeygenController', 'Initializing Heygen bot');
+    const { session_id, persona_id } = req.body || {};
+    const persona = personaStore.resolve(session_id, persona_id);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${persona_id}`
+      });
+    }
     
     // Generate a simple initialization response
     const initText = `Hello! I'm ${persona.name}. I've been initialized and ready to chat.`;
@@ -74,7 +122,8 @@ export const initializeHeygenBot = async (req, res) => {
       success: true,
       message: 'Bot initialized successfully',
       data: {
-        text: initText
+        text: initText,
+        persona_id: persona.id
       }
     });
   } catch (error) {
@@ -87,33 +136,53 @@ export const initializeHeygenBot = async (req, res) => {
   }
 };
 
+/**
+ * POST /persona/heygen/session/create
+ * Body: { persona_id, avatar_name, voice_id, voice_rate, voice_emotion, quality, idle_timeout (seconds, 0 for
+ * none), video_encoding, knowledge_base_id, language }; every option is optional and defaults to the persona's
+ * setting. 400 lists invalid options, options beyond config.heygen.sessionLimits and unknown avatar/voice ids.
+ */
 export const createHeygenSession = async (req, res) => {
   try {
-    const { avatar_name, voice_id } = req.body;
-    const disable_idle_timeout = true
+    const { persona_id } = req.body;
 
-    // Use defaults from config if not provided
-    const finalAvatarName = avatar_name || config.heygen.defaultAvatarName;
-    // Only use voice_id if it's provided and not null/empty
-    const finalVoiceId = (voice_id && voice_id.trim() !== '') ? voice_id : null;
-    
-    logger.info('HeygenController', 'Creating new Heygen session', { avatar_name: finalAvatarName, voice_id: finalVoiceId });
-    const sessionInfo = await heygenService.createSession(finalAvatarName, finalVoiceId, disable_idle_timeout);
-    // session info obtained
+    const persona = persona_id ? personaStore.get(persona_id) : personaStore.getDefault();
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${persona_id}`
+      });
+    }
 
+    if (!sessionRegistry.hasCapacity()) {
+      return res.status(429).json({
+        success: false,
+        message: `Maximum number of concurrent sessions reached (${sessionRegistry.maxConcurrent}); stop a session and try again`
+      });
+    }
+
+    const settings = await resolveSessionOrReject(res, persona, req.body);
+    if (!settings) return;
+
+    logger.info('HeygenController', 'Creating new Heygen session', { persona_id: persona.id, ...settings });
+    const startedAt = Date.now();
+    const { sessionInfo, pooled } = await sessionPool.acquire(settings);
+    logger.info('HeygenController', 'Heygen session ready', { session_id: sessionInfo.session_id, pooled, elapsed_ms: Date.now() - startedAt });
+    sessionRegistry.register(sessionInfo.session_id, {
+      owner: req.get('X-Session-Owner') || req.ip,
+      personaId: persona.id,
+      settings
+    });
+    if (persona_id) personaStore.setActive(sessionInfo.session_id, persona_id);
     
     res.json({
       success: true,
       message: 'Session created successfully',
-      data: sessionInfo
+      data: { ...sessionInfo, persona_id: persona.id, avatar_settings: settings, pooled }
     });
   } catch (error) {
     logger.error('HeygenController', 'Session creation error', { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create session',
-      error: error.message
-    });
+    sendHeygenError(res, error, 'Failed to create session');
   }
 };
 
@@ -128,6 +197,8 @@ export const handleICECandidate = async (req, res) => {
       });
     }
     
+    if (!requireActiveSession(res, session_id)) return;
+
     logger.info('HeygenController', 'Handling ICE candidate', { session_id });
     const response = await heygenService.handleICE(session_id, candidate);
     
@@ -138,11 +209,7 @@ export const handleICECandidate = async (req, res) => {
     });
   } catch (error) {
     logger.error('HeygenController', 'ICE handling error', { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Failed to handle ICE candidate',
-      error: error.message
-    });
+    sendHeygenError(res, error, 'Failed to handle ICE candidate', req.body.session_id);
   }
 };
 
@@ -157,8 +224,11 @@ export const startHeygenSession = async (req, res) => {
       });
     }
     
+    if (!requireActiveSession(res, session_id)) return;
+
     logger.info('HeygenController', 'Starting Heygen session', { session_id });
     const response = await heygenService.startSession(session_id, sdp);
+    sessionRegistry.touch(session_id, 'started');
     
     res.json({
       success: true,
@@ -167,17 +237,13 @@ export const startHeygenSession = async (req, res) => {
     });
   } catch (error) {
     logger.error('HeygenController', 'Session start error', { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Failed to start session',
-      error: error.message
-    });
+    sendHeygenError(res, error, 'Failed to start session', req.body.session_id);
   }
 };
 
 export const sendHeygenText = async (req, res) => {
   try {
-    const { session_id, text, generate_ai_response } = req.body;
+    const { session_id, text, generate_ai_response, conversation_id, persona_id, priority = 'normal', interrupt } = req.body;
 
     if (!session_id || !text) {
       return res.status(400).json({
@@ -186,39 +252,160 @@ export const sendHeygenText = async (req, res) => {
       });
     }
 
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid priority "${priority}": use ${PRIORITIES.join(' or ')}`
+      });
+    }
+
+    if (!requireActiveSession(res, session_id)) return;
+
     let finalText = text;
+    // The avatar session doubles as the conversation unless the client tracks its own id
+    const conversationId = conversation_id || session_id;
+    const persona = personaStore.resolve([session_id, conversation_id], persona_id);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${persona_id}`
+      });
+    }
 
     // If AI response generation is requested, generate a simple response
     if (generate_ai_response) {
       logger.info('HeygenController', 'Generating AI response for user input', { text });
-      finalText = await generateSimpleAIResponse(text);
+      sessionEvents.publish(session_id, 'transcript', { role: 'user', text, source: 'ai' });
+      finalText = await generateSimpleAIResponse(text, conversationId, persona);
+      conversationService.recordExchange(conversationId, text, finalText);
       logger.info('HeygenController', 'AI response generated', { aiResponse: finalText });
     }
 
-    logger.info('HeygenController', 'Sending text to Heygen session', { session_id, text: finalText });
-    const response = await heygenService.sendText(session_id, finalText);
+    // Barge-in: cut off whatever the avatar is saying and drop what is still queued
+    if (interrupt) await speechQueue.interrupt(session_id, { clear: true });
 
-    // Estimate speaking time (approx. 1 second per word)
-    const wordCount = finalText.trim().split(/\s+/).length;
-    const estimatedDuration = wordCount * 0.5; // in seconds
+    // Answered once queued: sending, speaking and failures are reported as speech events on GET /events/:sessionId
+    logger.info('HeygenController', 'Queueing text for Heygen session', { session_id, text: finalText, priority });
+    const { id, position, estimatedDurationMs, sent } = speechQueue.enqueue(session_id, finalText, {
+      priority,
+      source: 'text',
+      transcript: generate_ai_response ? 'ai' : 'manual'
+    });
+    sent.catch((error) => {
+      if (error instanceof HeygenSessionNotFoundError) sessionRegistry.release(session_id, 'expired');
+    });
 
     res.json({
       success: true,
-      message: 'Text sent successfully',
-      data: response,
+      message: 'Text queued',
+      speech: { id, position, estimatedDurationMs },
       ai_response: generate_ai_response ? finalText : null,
-      speaking_duration: estimatedDuration
+      conversation_id: generate_ai_response ? conversationId : null,
+      speaking_duration: toSeconds(estimatedDurationMs)
     });
   } catch (error) {
     logger.error('HeygenController', 'Send text error', { error: error.message });
-    res.status(500).json({
+    sendHeygenError(res, error, 'Failed to send text', req.body.session_id);
+  }
+};
+
+/**
+ * Streams the AI reply to the browser over SSE and hands each finished sentence
+ * to the avatar as soon as it is complete, instead of waiting for the full reply.
+ * Events: token, sentence, queued, error, done.
+ */
+export const streamHeygenText = async (req, res) => {
+  const { session_id, text, conversation_id, persona_id } = req.body;
+
+  if (!session_id || !text) {
+    return res.status(400).json({
       success: false,
-      message: 'Failed to send text',
-      error: error.message
+      message: 'Missing required parameters: session_id and text'
     });
   }
-};
 
+  if (!requireActiveSession(res, session_id)) return;
+
+  const conversationId = conversation_id || session_id;
+  const persona = personaStore.resolve([session_id, conversation_id], persona_id);
+  if (!persona) {
+    return res.status(404).json({
+      success: false,
+      message: `Persona not found: ${persona_id}`
+    });
+  }
+  const stream = openEventStream(res);
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) abortController.abort();
+  });
+
+  // Sentences go through the session's speech queue, tagged with this reply so a closed stream can drop them
+  const group = `stream-${randomUUID()}`;
+  res.on('close', () => {
+    if (!res.writableFinished) speechQueue.clear(session_id, { group });
+  });
+  const speeches = [];
+  let sentenceCount = 0;
+  let speakingMs = 0;
+  const speak = (sentence) => {
+    const index = sentenceCount++;
+    stream.send('sentence', { index, text: sentence });
+    sessionRegistry.touch(session_id);
+    const { sent } = speechQueue.enqueue(session_id, sentence, { source: 'stream', group });
+    speeches.push(
+      sent.then(
+        ({ status, task, durationMs }) => {
+          speakingMs += durationMs;
+          stream.send('queued', { index, status, task_id: task?.task_id ?? null, duration_ms: durationMs });
+        },
+        (error) => {
+          logger.warn('HeygenController', 'Failed to send streamed sentence', { session_id, index, error: error.message });
+          if (error instanceof HeygenSessionNotFoundError) sessionRegistry.release(session_id, 'expired');
+          stream.send('error', { index, message: error.message, code: error.code });
+        }
+      )
+    );
+  };
+
+  try {
+    logger.info('HeygenController', 'Streaming AI response to Heygen session', { session_id, text });
+    sessionEvents.publish(session_id, 'transcript', { role: 'user', text, source: 'ai' });
+    const splitter = new SentenceSplitter();
+    let fullText = '';
+
+    for await (const delta of streamAIResponse(text, conversationId, persona, abortController.signal)) {
+      fullText += delta;
+      stream.send('token', { text: delta });
+      splitter.push(delta).forEach(speak);
+    }
+
+    const rest = splitter.flush();
+    if (rest) speak(rest);
+    await Promise.all(speeches);
+
+    conversationService.recordExchange(conversationId, text, fullText);
+    sessionEvents.publish(session_id, 'transcript', { role: 'avatar', text: fullText, source: 'ai' });
+    logger.info('HeygenController', 'Streamed AI response completed', { session_id, sentences: sentenceCount });
+
+    stream.send('done', {
+      ai_response: fullText,
+      conversation_id: conversationId,
+      sentences: sentenceCount,
+      speaking_duration: toSeconds(speakingMs)
+    });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      logger.info('HeygenController', 'Client closed the response stream', { session_id });
+    } else {
+      logger.error('HeygenController', 'Streaming text error', { error: error.message });
+      stream.send('error', { message: error.message });
+      sessionEvents.publish(session_id, 'error', { message: error.message, context: 'Streaming reply failed' });
+    }
+  } finally {
+    stream.close();
+  }
+};
 
 export const stopHeygenSession = async (req, res) => {
   try {
@@ -231,8 +418,18 @@ export const stopHeygenSession = async (req, res) => {
       });
     }
     
+    const session = sessionRegistry.get(session_id);
+    if (session && session.state === 'stopped') {
+      return res.json({
+        success: true,
+        message: `Session already stopped (${session.stopReason})`,
+        data: null
+      });
+    }
+
+    // Sessions unknown to the registry (e.g. opened before a restart) are still stopped on HeyGen
     logger.info('HeygenController', 'Stopping Heygen session', { session_id });
-    const response = await heygenService.stopSession(session_id);
+    const response = await sessionRegistry.stop(session_id, 'client');
     
     res.json({
       success: true,
@@ -240,11 +437,251 @@ export const stopHeygenSession = async (req, res) => {
       data: response
     });
   } catch (error) {
+    // HeyGen has already closed it; the registry released it either way
+    if (error instanceof HeygenSessionNotFoundError) {
+      return res.json({
+        success: true,
+        message: 'Session already closed on HeyGen',
+        data: null
+      });
+    }
     logger.error('HeygenController', 'Session stop error', { error: error.message });
+    sendHeygenError(res, error, 'Failed to stop session');
+  }
+}; 
+
+/**
+ * POST /persona/heygen/session/keepalive
+ * Body: { session_id }
+ * Marks the session as in use so the idle reaper leaves it open (and resets HeyGen's own idle timeout when
+ * the session has one); 410 once it has been stopped
+ */
+export const keepAliveHeygenSession = (req, res) => {
+  const { session_id } = req.body || {};
+
+  if (!session_id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing required parameter: session_id'
+    });
+  }
+
+  const session = requireActiveSession(res, session_id);
+  if (!session) return;
+
+  // Sessions created with HeyGen's idle timeout would otherwise be closed by HeyGen during silences
+  if (session.heygenIdleTimeoutSeconds > 0) {
+    heygenService.keepAlive(session_id).catch((error) => {
+      logger.warn('HeygenController', 'HeyGen keep-alive failed', { session_id, error: error.message });
+      if (error instanceof HeygenSessionNotFoundError) sessionRegistry.release(session_id, 'expired');
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Session kept alive',
+    data: { session_id, expires_at: new Date(session.lastActivityAt + sessionRegistry.idleTimeoutMs).toISOString() }
+  });
+};
+
+/**
+ * GET /persona/heygen/sessions?active=true
+ * Sessions opened by this server with owner, persona, timestamps and state
+ */
+export const listHeygenSessions = (req, res) => {
+  const sessions = sessionRegistry.list({ activeOnly: req.query.active === 'true' });
+  logger.info('HeygenController', 'Listing Heygen sessions', { count: sessions.length });
+
+  res.json({
+    success: true,
+    message: 'Sessions retrieved successfully',
+    data: {
+      active: sessionRegistry.activeCount(),
+      maxConcurrent: sessionRegistry.maxConcurrent,
+      idleTimeoutMs: sessionRegistry.idleTimeoutMs,
+      sessions
+    }
+  });
+};
+
+/**
+ * GET /persona/heygen/pool
+ * Pre-created session pool: settings, hit/miss counters and the sessions ready per avatar configuration
+ */
+export const getSessionPool = (req, res) => {
+  res.json({
+    success: true,
+    message: 'Session pool retrieved successfully',
+    data: sessionPool.status()
+  });
+};
+
+/**
+ * POST /persona/heygen/pool/warm { persona_id, ...session options as for session/create }
+ * Start keeping sessions ready for a persona (and optional overrides) before anyone opens one,
+ * e.g. when a kiosk is switched to another persona. Sessions are created in the background.
+ */
+export const warmSessionPool = async (req, res) => {
+  try {
+    const { persona_id } = req.body || {};
+
+    if (!sessionPool.isEnabled()) {
+      return res.status(409).json({
+        success: false,
+        message: 'The session pool is disabled; set HEYGEN_POOL_SIZE to enable it'
+      });
+    }
+
+    const persona = persona_id ? personaStore.get(persona_id) : personaStore.getDefault();
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${persona_id}`
+      });
+    }
+
+    const settings = await resolveSessionOrReject(res, persona, req.body);
+    if (!settings) return;
+
+    logger.info('HeygenController', 'Warming session pool', { persona_id: persona.id, ...settings });
+    sessionPool.warm(settings).catch((error) => {
+      logger.error('HeygenController', 'Session pool warm-up error', { error: error.message });
+    });
+
+    res.json({
+      success: true,
+      message: 'Session pool warming up',
+      data: sessionPool.status()
+    });
+  } catch (error) {
+    logger.error('HeygenController', 'Session pool warm-up error', { error: error.message });
     res.status(500).json({
       success: false,
-      message: 'Failed to stop session',
+      message: 'Failed to warm session pool',
       error: error.message
     });
   }
-}; 
+};
+
+/**
+ * GET /persona/heygen/avatars?gender=female&language=en&refresh=true
+ * Avatars usable in streaming sessions, with names and preview images; cached on disk (see heygenCatalog)
+ */
+export const listHeygenAvatars = async (req, res) => {
+  try {
+    const { gender, language, refresh } = req.query;
+    const { items, fetchedAt, stale } = await heygenCatalog.listAvatars({ gender, language, refresh: refresh === 'true' });
+
+    res.json({
+      success: true,
+      message: 'Avatars retrieved successfully',
+      data: { count: items.length, fetchedAt, stale, avatars: items }
+    });
+  } catch (error) {
+    logger.error('HeygenController', 'Avatar listing error', { error: error.message });
+    sendHeygenError(res, error, 'Failed to list avatars');
+  }
+};
+
+/**
+ * GET /persona/heygen/voices?language=es&gender=male&interactive=true&refresh=true
+ * Voices available to the account, with preview audio; interactive=true keeps those usable with streaming avatars
+ */
+export const listHeygenVoices = async (req, res) => {
+  try {
+    const { gender, language, interactive, refresh } = req.query;
+    const { items, fetchedAt, stale } = await heygenCatalog.listVoices({
+      gender,
+      language,
+      interactive: interactive === 'true',
+      refresh: refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: 'Voices retrieved successfully',
+      data: { count: items.length, fetchedAt, stale, voices: items }
+    });
+  } catch (error) {
+    logger.error('HeygenController', 'Voice listing error', { error: error.message });
+    sendHeygenError(res, error, 'Failed to list voices');
+  }
+};
+
+/**
+ * GET /persona/heygen/queue/:sessionId
+ * Speech queue of a session: the item being spoken, items waiting and recently finished items
+ */
+export const getSpeechQueue = (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!sessionRegistry.get(sessionId)) {
+    return res.status(404).json({
+      success: false,
+      message: `Session not found: ${sessionId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Speech queue retrieved successfully',
+    data: { session_id: sessionId, ...speechQueue.getState(sessionId) }
+  });
+};
+
+/**
+ * POST /persona/heygen/queue/interrupt
+ * Body: { session_id, clear? }
+ * Stops the avatar mid-sentence; with clear=true the queued items are cancelled too
+ */
+export const interruptSpeech = async (req, res) => {
+  try {
+    const { session_id, clear } = req.body || {};
+
+    if (!session_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required parameter: session_id'
+      });
+    }
+
+    if (!requireActiveSession(res, session_id)) return;
+
+    logger.info('HeygenController', 'Interrupting avatar speech', { session_id, clear: Boolean(clear) });
+    const result = await speechQueue.interrupt(session_id, { clear: Boolean(clear) });
+
+    res.json({
+      success: true,
+      message: 'Speech interrupted',
+      data: { session_id, ...result }
+    });
+  } catch (error) {
+    logger.error('HeygenController', 'Speech interrupt error', { error: error.message });
+    sendHeygenError(res, error, 'Failed to interrupt speech', req.body?.session_id);
+  }
+};
+
+/**
+ * POST /persona/heygen/queue/clear
+ * Body: { session_id }
+ * Cancels queued items that have not been sent to HeyGen; the current sentence is finished
+ */
+export const clearSpeechQueue = (req, res) => {
+  const { session_id } = req.body || {};
+
+  if (!session_id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing required parameter: session_id'
+    });
+  }
+
+  if (!requireActiveSession(res, session_id)) return;
+
+  const cancelled = speechQueue.clear(session_id);
+  res.json({
+    success: true,
+    message: `${cancelled} queued item(s) cancelled`,
+    data: { session_id, cancelled }
+  });
+};
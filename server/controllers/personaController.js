@@ -1,39 +1,48 @@
-import { persona } from '../utils/persona.js';
+import { personaStore } from '../services/personaStore.js';
+import { personaGenerator } from '../services/personaGenerator.js';
+import { personaBundleService } from '../services/personaBundleService.js';
 import { logger } from '../utils/logger.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { diffPersonas } from '../utils/personaDiff.js';
+import { mergePersona, migrateLegacyPersona, validatePersona } from '../utils/personaSchema.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const personaFilePath = path.join(__dirname, '../utils/persona.js');
+/**
+ * @description Separate version metadata from persona fields in a save request. The author comes from
+ * the X-Author header or `author` in the body, the summary from `change_summary`.
+ * @returns {{changes: Object, meta: {author?: string, summary?: string}}}
+ */
+const splitVersionMeta = (req) => {
+  const { author, change_summary, ...changes } = req.body || {};
+  return {
+    changes,
+    meta: { author: req.get('X-Author') || author, summary: change_summary }
+  };
+};
+
+// The legacy endpoints below (/, /config, /update) read and edit the default persona
 
 export const personaDetails = (req, res) => {
   logger.info('PersonaController', 'Fetching persona details');
-  res.json(persona);
+  res.json(personaStore.getDefault());
 };
 
 export const updatePersonaDetails = (req, res) => {
   logger.info('PersonaController', 'Updating persona details', req.body);
-  
+
   try {
-    const personaChanges = req.body;
-    
-    // Update persona details
-    if (personaChanges.name) persona.name = personaChanges.name;
-    if (personaChanges.title) persona.title = personaChanges.title;
-    
-    // Education
-    if (personaChanges.education) {
-      if (personaChanges.education.degree) persona.education.degree = personaChanges.education.degree;
-      if (personaChanges.education.year) persona.education.year = personaChanges.education.year;
-      if (personaChanges.education.institution) persona.education.institution = personaChanges.education.institution;
+    const { changes, meta } = splitVersionMeta(req);
+    const { persona, errors } = validatePersona(mergePersona(personaStore.getDefault(), changes));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Persona validation failed',
+        errors
+      });
     }
-    
+
     res.json({
       success: true,
       message: 'Persona details updated successfully',
-      persona
+      persona: personaStore.replace(personaStore.defaultId, persona, meta)
     });
   } catch (error) {
     logger.error('PersonaController', 'Error updating persona details', error);
@@ -47,57 +56,35 @@ export const updatePersonaDetails = (req, res) => {
 
 export const getPersonaConfig = (req, res) => {
   logger.info('PersonaController', 'Fetching persona configuration');
-  res.json(persona);
+  res.json(personaStore.getDefault());
 };
 
 export const updatePersonaConfig = async (req, res) => {
   try {
     logger.info('PersonaController', 'Updating persona configuration');
-    const newConfig = req.body;
-    
-    if (!newConfig) {
+    const { changes: newConfig, meta } = splitVersionMeta(req);
+
+    if (Object.keys(newConfig).length === 0) {
       return res.status(400).json({
         success: false,
         message: 'No configuration data provided'
       });
     }
-    
-    // Update the persona object
-    if (newConfig.name) persona.name = newConfig.name;
-    if (newConfig.title) persona.title = newConfig.title;
-    
-    // Update education
-    if (newConfig.education) {
-      if (newConfig.education.degree) persona.education.degree = newConfig.education.degree;
-      if (newConfig.education.year) persona.education.year = newConfig.education.year;
-      if (newConfig.education.institution) persona.education.institution = newConfig.education.institution;
-    }
-    
-    // Update technical details
-    if (newConfig.technical) {
-      if (newConfig.technical.languages) persona.technical.languages = newConfig.technical.languages;
-      if (newConfig.technical.webStack) persona.technical.webStack = newConfig.technical.webStack;
-      if (newConfig.technical.projects) persona.technical.projects = newConfig.technical.projects;
-    }
-    
-    // Update personality
-    if (newConfig.personality) {
-      if (newConfig.personality.style) persona.personality.style = newConfig.personality.style;
-      if (newConfig.personality.interests) persona.personality.interests = newConfig.personality.interests;
-      if (newConfig.personality.goals) persona.personality.goals = newConfig.personality.goals;
+
+    // Accepts a full or partial persona; sections are replaced by key, legacy profiles are migrated
+    const { persona, errors } = validatePersona(mergePersona(personaStore.getDefault(), newConfig));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Persona validation failed',
+        errors
+      });
     }
-    
-    // Update traits
-    if (newConfig.traits) persona.traits = newConfig.traits;
-    
-    // Optionally, save to file (for persistance)
-    const personaCode = `export let persona = ${JSON.stringify(persona, null, 2)};`;
-    fs.writeFileSync(personaFilePath, personaCode);
-    
+
     res.json({
       success: true,
       message: 'Persona configuration updated successfully',
-      data: persona
+      data: personaStore.replace(personaStore.defaultId, persona, meta)
     });
   } catch (error) {
     logger.error('PersonaController', 'Error updating persona configuration', { error: error.message });
@@ -108,3 +95,455 @@ export const updatePersonaConfig = async (req, res) => {
     });
   }
 };
+
+export const listPersonas = (req, res) => {
+  logger.info('PersonaController', 'Listing personas');
+  res.json({
+    success: true,
+    message: 'Personas retrieved successfully',
+    data: {
+      defaultId: personaStore.defaultId,
+      personas: personaStore.list()
+    }
+  });
+};
+
+export const getPersona = (req, res) => {
+  const { id } = req.params;
+  logger.info('PersonaController', 'Fetching persona', { id });
+
+  const persona = personaStore.get(id);
+  if (!persona) {
+    return res.status(404).json({
+      success: false,
+      message: `Persona not found: ${id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Persona retrieved successfully',
+    data: persona
+  });
+};
+
+/**
+ * POST /persona/:id
+ * Body: { name, title?, summary?, sections?, author?, change_summary? } (see utils/personaSchema.js);
+ * 400 lists errors per field
+ */
+export const createPersona = (req, res) => {
+  const { id } = req.params;
+  logger.info('PersonaController', 'Creating persona', { id });
+
+  if (personaStore.get(id)) {
+    return res.status(409).json({
+      success: false,
+      message: `Persona already exists: ${id}`
+    });
+  }
+  if (!personaStore.isValidId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid persona id "${id}": use lowercase letters, digits and dashes`
+    });
+  }
+
+  const { changes, meta } = splitVersionMeta(req);
+  const { persona, errors } = validatePersona(changes);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Persona validation failed',
+      errors
+    });
+  }
+
+  try {
+    res.status(201).json({
+      success: true,
+      message: 'Persona created successfully',
+      data: personaStore.create({ ...persona, id }, meta)
+    });
+  } catch (error) {
+    logger.error('PersonaController', 'Error creating persona', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error creating persona',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /persona/:id
+ * Body: persona fields to replace; `sections` replaces the whole section list.
+ * Optional `author` and `change_summary` are recorded with the new version.
+ */
+export const updatePersona = (req, res) => {
+  const { id } = req.params;
+  logger.info('PersonaController', 'Updating persona', { id });
+
+  const existing = personaStore.get(id);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      message: `Persona not found: ${id}`
+    });
+  }
+
+  const { changes, meta } = splitVersionMeta(req);
+  const { persona, errors } = validatePersona({ ...existing, ...migrateLegacyPersona(changes) });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Persona validation failed',
+      errors
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      message: 'Persona updated successfully',
+      data: personaStore.replace(id, persona, meta)
+    });
+  } catch (error) {
+    logger.error('PersonaController', 'Error updating persona', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error updating persona',
+      error: error.message
+    });
+  }
+};
+
+export const deletePersona = (req, res) => {
+  const { id } = req.params;
+  logger.info('PersonaController', 'Deleting persona', { id });
+
+  if (id === personaStore.defaultId) {
+    return res.status(409).json({
+      success: false,
+      message: 'The default persona cannot be deleted'
+    });
+  }
+
+  try {
+    if (!personaStore.delete(id)) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Persona deleted successfully',
+      data: { id }
+    });
+  } catch (error) {
+    logger.error('PersonaController', 'Error deleting persona', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting persona',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /persona/generate
+ * Body: { filename } of a PDF uploaded through /rag/upload or /pdf/upload
+ * Returns a draft for review; nothing is saved until the draft is sent to POST /persona/:id.
+ */
+export const generatePersona = async (req, res) => {
+  const { filename } = req.body || {};
+  logger.info('PersonaController', 'Generating persona draft', { filename });
+
+  if (!filename) {
+    return res.status(400).json({
+      success: false,
+      message: 'filename is required'
+    });
+  }
+
+  try {
+    const draft = await personaGenerator.generateFromDocument(filename);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: `Document not found: ${filename}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Persona draft generated successfully',
+      data: {
+        ...draft,
+        suggestedId: personaStore.generateId(draft.persona.name),
+        source: filename
+      }
+    });
+  } catch (error) {
+    logger.error('PersonaController', 'Error generating persona draft', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error generating persona draft',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /persona/:id/export?include_documents=true
+ * Returns a portable bundle (see services/personaBundleService.js) as a JSON download
+ */
+export const exportPersona = async (req, res) => {
+  const { id } = req.params;
+  const includeDocuments = req.query.include_documents === 'true';
+  logger.info('PersonaController', 'Exporting persona', { id, includeDocuments });
+
+  try {
+    const bundle = await personaBundleService.exportPersona(id, { includeDocuments });
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${id}`
+      });
+    }
+
+    res.attachment(`${id}.persona.json`);
+    res.json(bundle);
+  } catch (error) {
+    logger.error('PersonaController', 'Error exporting persona', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting persona',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /persona/import?id=<id>&overwrite=true&apply_templates=true
+ * Body: bundle from GET /persona/:id/export. The persona keeps its exported id unless `id` is given, and
+ * gets one derived from its name when it has neither; an existing persona is only replaced with
+ * `overwrite=true` (409 otherwise).
+ */
+export const importPersona = async (req, res) => {
+  const bundle = req.body;
+  const overwrite = req.query.overwrite === 'true';
+  logger.info('PersonaController', 'Importing persona', { id: req.query.id || bundle?.persona?.id, overwrite });
+
+  const { persona, errors } = personaBundleService.validateBundle(bundle);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Persona bundle validation failed',
+      errors
+    });
+  }
+  const id = req.query.id || bundle.persona.id || personaStore.generateId(bundle.persona.name);
+  if (!personaStore.isValidId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid persona id "${id}": use lowercase letters, digits and dashes`
+    });
+  }
+  if (personaStore.get(id) && !overwrite) {
+    return res.status(409).json({
+      success: false,
+      message: `Persona already exists: ${id} (use overwrite=true to replace it)`
+    });
+  }
+
+  try {
+    const result = await personaBundleService.importBundle(bundle, persona, {
+      id,
+      overwrite,
+      applyTemplates: req.query.apply_templates === 'true',
+      author: req.get('X-Author')
+    });
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: 'Persona imported successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('PersonaController', 'Error importing persona', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error importing persona',
+      error: error.message
+    });
+  }
+};
+
+export const listPersonaVersions = (req, res) => {
+  const { id } = req.params;
+  logger.info('PersonaController', 'Listing persona versions', { id });
+
+  const versions = personaStore.listVersions(id);
+  if (!versions) {
+    return res.status(404).json({
+      success: false,
+      message: `Persona not found: ${id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Persona versions retrieved successfully',
+    data: {
+      id,
+      currentVersion: personaStore.get(id).version,
+      versions
+    }
+  });
+};
+
+export const getPersonaVersion = (req, res) => {
+  const { id, version } = req.params;
+  logger.info('PersonaController', 'Fetching persona version', { id, version });
+
+  const record = personaStore.getVersion(id, Number(version));
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: `Persona version not found: ${id}@${version}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Persona version retrieved successfully',
+    data: record
+  });
+};
+
+/**
+ * GET /persona/:id/diff?from=<version>&to=<version>
+ * `to` defaults to the current version and `from` to the version before `to`
+ */
+export const diffPersonaVersions = (req, res) => {
+  const { id } = req.params;
+  const current = personaStore.get(id);
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: `Persona not found: ${id}`
+    });
+  }
+
+  const to = req.query.to === undefined ? current.version : Number(req.query.to);
+  const from = req.query.from === undefined ? to - 1 : Number(req.query.from);
+  logger.info('PersonaController', 'Diffing persona versions', { id, from, to });
+
+  const before = personaStore.getVersion(id, from);
+  const after = personaStore.getVersion(id, to);
+  if (!before || !after) {
+    return res.status(404).json({
+      success: false,
+      message: `Persona version not found: ${id}@${before ? to : from}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Persona versions compared successfully',
+    data: {
+      id,
+      from,
+      to,
+      changes: diffPersonas(before.persona, after.persona)
+    }
+  });
+};
+
+/**
+ * POST /persona/:id/rollback
+ * Body: { version: number, author?, change_summary? }
+ * The restored content is saved as a new version; later versions stay in the history.
+ */
+export const rollbackPersona = (req, res) => {
+  const { id } = req.params;
+  const { changes, meta } = splitVersionMeta(req);
+  const version = Number(changes.version);
+  logger.info('PersonaController', 'Rolling back persona', { id, version });
+
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({
+      success: false,
+      message: 'version must be an integer'
+    });
+  }
+
+  try {
+    const persona = personaStore.rollback(id, version, meta);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona version not found: ${id}@${version}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Persona rolled back to version ${version}`,
+      data: persona
+    });
+  } catch (error) {
+    logger.error('PersonaController', 'Error rolling back persona', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back persona',
+      error: error.message
+    });
+  }
+};
+
+export const getSessionPersona = (req, res) => {
+  const { sessionId } = req.params;
+  logger.info('PersonaController', 'Fetching active persona', { session_id: sessionId });
+
+  res.json({
+    success: true,
+    message: 'Active persona retrieved successfully',
+    data: personaStore.resolve(sessionId)
+  });
+};
+
+/**
+ * PUT /persona/session/:sessionId
+ * Body: { persona_id: string }
+ * Session id is an avatar session id or a chat conversation id.
+ */
+export const setSessionPersona = (req, res) => {
+  const { sessionId } = req.params;
+  const { persona_id } = req.body || {};
+  logger.info('PersonaController', 'Setting active persona', { session_id: sessionId, persona_id });
+
+  if (!persona_id) {
+    return res.status(400).json({
+      success: false,
+      message: 'persona_id is required'
+    });
+  }
+
+  const persona = personaStore.setActive(sessionId, persona_id);
+  if (!persona) {
+    return res.status(404).json({
+      success: false,
+      message: `Persona not found: ${persona_id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Active persona set successfully',
+    data: persona
+  });
+};
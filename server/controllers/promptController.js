@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Prompt template management and system prompt preview
+ */
+
+import { promptService } from '../services/promptService.js';
+import { conversationService } from '../services/conversationService.js';
+import { personaStore } from '../services/personaStore.js';
+import { logger } from '../utils/logger.js';
+
+export const listPromptTemplates = (req, res) => {
+  logger.info('PromptController', 'Listing prompt templates');
+  res.json({
+    success: true,
+    message: 'Prompt templates retrieved successfully',
+    data: promptService.listTemplates()
+  });
+};
+
+export const getPromptTemplate = (req, res) => {
+  const { name } = req.params;
+  logger.info('PromptController', 'Fetching prompt template', { name });
+
+  try {
+    const source = promptService.getTemplate(name);
+    if (source === null) {
+      return res.status(404).json({
+        success: false,
+        message: `Prompt template not found: ${name}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prompt template retrieved successfully',
+      data: { name, source }
+    });
+  } catch (error) {
+    logger.error('PromptController', 'Error fetching prompt template', { error: error.message });
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching prompt template',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /persona/prompt/templates/:name
+ * Body: { source: string }
+ */
+export const updatePromptTemplate = (req, res) => {
+  const { name } = req.params;
+  const { source } = req.body || {};
+  logger.info('PromptController', 'Updating prompt template', { name });
+
+  if (typeof source !== 'string' || !source.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'source is required'
+    });
+  }
+
+  try {
+    promptService.saveTemplate(name, source);
+    res.json({
+      success: true,
+      message: 'Prompt template updated successfully',
+      data: { name, source }
+    });
+  } catch (error) {
+    logger.error('PromptController', 'Error updating prompt template', { error: error.message });
+    res.status(400).json({
+      success: false,
+      message: 'Error updating prompt template',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /persona/prompt/preview
+ * Body: { template?: string, source?: string, query?: string, context?: string[], conversation_id?: string, persona_id?: string }
+ * Renders the system prompt exactly as the chat paths would send it. `source` previews unsaved edits.
+ */
+export const previewPrompt = (req, res) => {
+  const { template = 'chat', source, query = '', context = [], conversation_id, persona_id } = req.body || {};
+  logger.info('PromptController', 'Previewing prompt', { template, unsaved: source !== undefined });
+
+  // Looked up without making it the conversation's active persona
+  const persona = persona_id ? personaStore.get(persona_id) : personaStore.resolve(conversation_id);
+  if (!persona) {
+    return res.status(404).json({
+      success: false,
+      message: `Persona not found: ${persona_id}`
+    });
+  }
+
+  try {
+    if (source !== undefined) {
+      const history = conversation_id ? conversationService.getHistory(conversation_id) : [];
+      return res.json({
+        success: true,
+        message: 'Prompt rendered successfully',
+        data: { template, prompt: promptService.renderSource(source, { persona, context, history, query }) }
+      });
+    }
+
+    if (promptService.getTemplate(template) === null) {
+      return res.status(404).json({
+        success: false,
+        message: `Prompt template not found: ${template}`
+      });
+    }
+
+    const messages = promptService.buildMessages(template, {
+      conversationId: conversation_id,
+      userMessage: query,
+      context,
+      persona
+    });
+
+    res.json({
+      success: true,
+      message: 'Prompt rendered successfully',
+      data: { template, prompt: messages[0].content, messages }
+    });
+  } catch (error) {
+    logger.error('PromptController', 'Error rendering prompt', { error: error.message });
+    res.status(400).json({
+      success: false,
+      message: 'Error rendering prompt',
+      error: error.message
+    });
+  }
+};
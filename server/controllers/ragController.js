@@ -1,9 +1,15 @@
 /**
- * @fileoverview RAG controller for PDF processing and knowledge base operations
+ * @fileoverview RAG controller for PDF processing and knowledge base operations, served under /rag and /pdf
  */
 
 import multer from 'multer';
 import { ragService } from '../services/ragService.js';
+import { personaStore } from '../services/personaStore.js';
+import { reindexService } from '../services/reindexService.js';
+import { sessionEvents } from '../services/sessionEvents.js';
+import { sessionRegistry } from '../services/sessionRegistry.js';
+import { speechQueue } from '../services/speechQueue.js';
+import { HeygenSessionNotFoundError } from '../utils/heygenErrors.js';
 import { logger } from '../utils/logger.js';
 
 // Configure multer for memory storage
@@ -24,6 +30,63 @@ const upload = multer({
 
 export const uploadMiddleware = upload.single('pdf');
 
+const COLLECTIONS = ['all', 'persona'];
+
+/**
+ * @description Work out which documents a search or ask covers: `filename` and/or `filenames`, the
+ * documents attached to the persona (`collection: 'persona'`), or every document by default. Responds
+ * with 400/404 and returns null when the selection is invalid.
+ * @returns {Promise<{filenames: string[]|null}|null>} Selected filenames, null filenames meaning all documents
+ */
+const resolveDocumentsOrReject = async (res, body, persona) => {
+  const { filename, filenames, collection = 'all' } = body;
+  const errors = [];
+  if (filename !== undefined && (typeof filename !== 'string' || !filename)) {
+    errors.push({ field: 'filename', message: 'must be a non-empty string' });
+  }
+  if (filenames !== undefined && (!Array.isArray(filenames) || filenames.some((name) => typeof name !== 'string' || !name))) {
+    errors.push({ field: 'filenames', message: 'must be an array of non-empty strings' });
+  }
+  if (!COLLECTIONS.includes(collection)) {
+    errors.push({ field: 'collection', message: `must be one of: ${COLLECTIONS.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: errors.map((error) => `${error.field} ${error.message}`).join('; '),
+      errors
+    });
+    return null;
+  }
+
+  const requested = [...(filename ? [filename] : []), ...(filenames || [])];
+  if (requested.length === 0 && collection === 'all') return { filenames: null };
+
+  const known = await ragService.listFilenames();
+  const missing = requested.filter((name) => !known.includes(name));
+  if (missing.length > 0) {
+    res.status(404).json({
+      success: false,
+      message: `Documents not found: ${missing.join(', ')}. Please upload the PDF first.`
+    });
+    return null;
+  }
+
+  if (collection === 'persona') {
+    // A persona may still list documents that were never uploaded to this server
+    const attached = (persona.documents || []).filter((name) => known.includes(name));
+    if (attached.length === 0) {
+      res.status(404).json({
+        success: false,
+        message: `Persona ${persona.id} has no uploaded documents attached`
+      });
+      return null;
+    }
+    requested.push(...attached);
+  }
+  return { filenames: [...new Set(requested)] };
+};
+
 /**
  * @description Upload and process PDF for RAG
  * @param {Object} req - Express request object
@@ -43,8 +106,11 @@ export const uploadPDF = async (req, res) => {
       size: req.file.size
     });
 
-    // Process PDF with RAG service
-    const result = await ragService.processPDF(req.file.originalname, req.file.buffer);
+    // Process PDF with RAG service; progress goes to the uploader's session, or only to the operator stream without one
+    const result = await ragService.processPDF(req.file.originalname, req.file.buffer, {
+      onProgress: (stage, progress, details) =>
+        sessionEvents.publish(req.body?.session_id, 'ingestion', { filename: req.file.originalname, stage, progress, ...details })
+    });
 
     logger.info('RAGController', 'PDF processed successfully', {
       filename: result.filename,
@@ -62,6 +128,9 @@ export const uploadPDF = async (req, res) => {
     });
   } catch (error) {
     logger.error('RAGController', 'PDF upload failed', { error: error.message });
+    if (req.file) {
+      sessionEvents.publish(req.body?.session_id, 'ingestion', { filename: req.file.originalname, stage: 'failed', error: error.message });
+    }
     res.status(500).json({
       success: false,
       message: 'PDF processing failed',
@@ -71,29 +140,41 @@ export const uploadPDF = async (req, res) => {
 };
 
 /**
- * @description Search PDF knowledge base
+ * @description Search PDF knowledge base, across every document unless narrowed down
+ * Body: { query: string, filename?: string, filenames?: string[], collection?: 'all'|'persona', session_id?: string, persona_id?: string, limit?: number }
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const searchPDF = async (req, res) => {
   try {
-    const { query, filename } = req.body;
+    const { query, filename, session_id, persona_id, limit = 5 } = req.body;
 
-    if (!query || !filename) {
+    if (!query) {
       return res.status(400).json({
         success: false,
-        message: 'Query and filename are required'
+        message: 'Query is required'
+      });
+    }
+
+    const persona = personaStore.resolve(session_id, persona_id);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${persona_id}`
       });
     }
 
-    logger.info('RAGController', 'PDF search started', { query, filename });
+    const documents = await resolveDocumentsOrReject(res, req.body, persona);
+    if (!documents) return;
+
+    logger.info('RAGController', 'PDF search started', { query, filenames: documents.filenames || 'all' });
 
     // Search for relevant chunks
-    const results = await ragService.searchChunks(query, filename, 5);
+    const results = await ragService.searchChunks(query, documents.filenames, limit);
 
     logger.info('RAGController', 'PDF search completed', {
       query,
-      filename,
+      filenames: documents.filenames || 'all',
       resultsCount: results.length
     });
 
@@ -104,7 +185,8 @@ export const searchPDF = async (req, res) => {
         results,
         totalResults: results.length,
         query,
-        filename
+        filename,
+        filenames: documents.filenames
       }
     });
   } catch (error) {
@@ -118,29 +200,57 @@ export const searchPDF = async (req, res) => {
 };
 
 /**
- * @description Ask question using RAG
+ * @description Ask question using RAG, optionally having the session's avatar speak the answer. Documents
+ * are selected as for search; each reference names the document it came from.
+ * Body: { query: string, filename?: string, filenames?: string[], collection?: 'all'|'persona', speak?: boolean, session_id?: string, persona_id?: string, limit?: number }
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const askPDF = async (req, res) => {
   try {
-    const { query, filename } = req.body;
+    const { query, filename, session_id, persona_id, speak = false, limit = 3 } = req.body;
 
-    if (!query || !filename) {
+    if (!query) {
       return res.status(400).json({
         success: false,
-        message: 'Query and filename are required'
+        message: 'Query is required'
+      });
+    }
+
+    const persona = personaStore.resolve(session_id, persona_id);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: `Persona not found: ${persona_id}`
       });
     }
 
-    logger.info('RAGController', 'PDF ask started', { query, filename });
+    const documents = await resolveDocumentsOrReject(res, req.body, persona);
+    if (!documents) return;
+
+    logger.info('RAGController', 'PDF ask started', { query, filenames: documents.filenames || 'all', speak: !!speak });
 
     // Process RAG query
-    const result = await ragService.processRAGQuery(query, filename);
+    const result = await ragService.processRAGQuery(query, documents.filenames, persona, limit);
+
+    // Optionally speak via Heygen; the answer is returned once queued and its progress arrives as speech events
+    let speech = null;
+    let speaking_duration = 0;
+    if (speak && session_id && result.answer && !sessionRegistry.touch(session_id)) {
+      logger.warn('RAGController', 'Not speaking RAG answer, session is not active', { session_id });
+    } else if (speak && session_id && result.answer) {
+      const { id, position, estimatedDurationMs, sent } = speechQueue.enqueue(session_id, result.answer, { source: 'rag', transcript: 'rag' });
+      speech = { id, position, estimatedDurationMs };
+      speaking_duration = Math.round(estimatedDurationMs / 100) / 10;
+      sent.catch((speakErr) => {
+        logger.warn('RAGController', 'Failed to speak RAG answer', { error: speakErr.message });
+        if (speakErr instanceof HeygenSessionNotFoundError) sessionRegistry.release(session_id, 'expired');
+      });
+    }
 
     logger.info('RAGController', 'PDF ask completed', {
       query,
-      filename,
+      filenames: documents.filenames || 'all',
       confidence: result.confidence
     });
 
@@ -151,8 +261,11 @@ export const askPDF = async (req, res) => {
         answer: result.answer,
         references: result.references,
         confidence: result.confidence,
+        speech,
+        speaking_duration,
         query,
-        filename
+        filename,
+        filenames: documents.filenames
       }
     });
   } catch (error) {
@@ -174,7 +287,7 @@ export const listPDFs = async (req, res) => {
   try {
     logger.info('RAGController', 'Listing processed PDFs');
 
-    const pdfs = ragService.listProcessedPDFs();
+    const pdfs = await ragService.listProcessedPDFs();
 
     res.json({
       success: true,
@@ -194,6 +307,61 @@ export const listPDFs = async (req, res) => {
   }
 };
 
+/**
+ * @description Embedding model of the knowledge base, documents still embedded with another model and the
+ * progress of the re-embedding job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getIndexStatus = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Index status retrieved successfully',
+      data: await reindexService.status()
+    });
+  } catch (error) {
+    logger.error('RAGController', 'Index status failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get index status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @description Start re-embedding documents with the current embedding model in the background
+ * Body: { all?: boolean } - re-embed every document rather than only those embedded with another model
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const rebuildIndex = async (req, res) => {
+  try {
+    const all = req.body?.all === true;
+    if (!(await reindexService.start({ all }))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Re-embedding is already running'
+      });
+    }
+
+    logger.info('RAGController', 'Re-embedding requested', { all });
+    res.json({
+      success: true,
+      message: 'Re-embedding started',
+      data: await reindexService.status()
+    });
+  } catch (error) {
+    logger.error('RAGController', 'Rebuild index failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start re-embedding',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @description Health check endpoint
  * @param {Object} req - Express request object
@@ -1,7 +1,16 @@
 import { Router } from 'express';
-import { AIChatResponse, InitializeBot } from '../controllers/chatController.js';
+import {
+  AIChatResponse,
+  InitializeBot,
+  getConversation,
+  resetConversation,
+  deleteConversation,
+} from '../controllers/chatController.js';
 const chatRouter = Router();
 
 chatRouter.post('/complete', AIChatResponse);
 chatRouter.post('/', InitializeBot);
+chatRouter.get('/conversation/:id', getConversation);
+chatRouter.post('/conversation/:id/reset', resetConversation);
+chatRouter.delete('/conversation/:id', deleteConversation);
 export default chatRouter;
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Live event stream routes
+ */
+
+import express from 'express';
+import { streamAllEvents, streamSessionEvents } from '../controllers/eventsController.js';
+
+const router = express.Router();
+
+// Events of every session (operator view)
+router.get('/', streamAllEvents);
+
+// Events of one session
+router.get('/:sessionId', streamSessionEvents);
+
+export default router;
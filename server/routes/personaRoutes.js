@@ -1,6 +1,7 @@
 import { Router } from 'express';
-import { personaDetails, updatePersonaDetails, getPersonaConfig, updatePersonaConfig } from '../controllers/personaController.js';
-import { initializeHeygenBot, createHeygenSession, startHeygenSession, sendHeygenText, stopHeygenSession, handleICECandidate } from '../controllers/heygenController.js';
+import { personaDetails, updatePersonaDetails, getPersonaConfig, updatePersonaConfig, listPersonas, getPersona, createPersona, updatePersona, deletePersona, getSessionPersona, setSessionPersona, generatePersona, exportPersona, importPersona, listPersonaVersions, getPersonaVersion, diffPersonaVersions, rollbackPersona } from '../controllers/personaController.js';
+import { listPromptTemplates, getPromptTemplate, updatePromptTemplate, previewPrompt } from '../controllers/promptController.js';
+import { initializeHeygenBot, createHeygenSession, startHeygenSession, sendHeygenText, streamHeygenText, stopHeygenSession, handleICECandidate, keepAliveHeygenSession, listHeygenSessions, getSessionPool, warmSessionPool, listHeygenAvatars, listHeygenVoices, getSpeechQueue, interruptSpeech, clearSpeechQueue } from '../controllers/heygenController.js';
 
 const personaRouter = Router();
 
@@ -8,11 +9,41 @@ personaRouter.get('/', personaDetails);
 personaRouter.post('/', updatePersonaDetails);
 personaRouter.get('/config', getPersonaConfig);
 personaRouter.post('/update', updatePersonaConfig);
+personaRouter.get('/prompt/templates', listPromptTemplates);
+personaRouter.get('/prompt/templates/:name', getPromptTemplate);
+personaRouter.put('/prompt/templates/:name', updatePromptTemplate);
+personaRouter.post('/prompt/preview', previewPrompt);
 personaRouter.post('/heygen/init', initializeHeygenBot);
 personaRouter.post('/heygen/session/create', createHeygenSession);
 personaRouter.post('/heygen/session/start', startHeygenSession);
 personaRouter.post('/heygen/ice', handleICECandidate);
 personaRouter.post('/heygen/text', sendHeygenText);
+personaRouter.post('/heygen/text/stream', streamHeygenText);
 personaRouter.post('/heygen/session/stop', stopHeygenSession);
+personaRouter.post('/heygen/session/keepalive', keepAliveHeygenSession);
+personaRouter.get('/heygen/sessions', listHeygenSessions);
+personaRouter.get('/heygen/pool', getSessionPool);
+personaRouter.post('/heygen/pool/warm', warmSessionPool);
+personaRouter.get('/heygen/avatars', listHeygenAvatars);
+personaRouter.get('/heygen/voices', listHeygenVoices);
+personaRouter.get('/heygen/queue/:sessionId', getSpeechQueue);
+personaRouter.post('/heygen/queue/interrupt', interruptSpeech);
+personaRouter.post('/heygen/queue/clear', clearSpeechQueue);
+personaRouter.get('/list', listPersonas);
+personaRouter.post('/generate', generatePersona);
+personaRouter.post('/import', importPersona);
+personaRouter.get('/session/:sessionId', getSessionPersona);
+personaRouter.put('/session/:sessionId', setSessionPersona);
+
+// Registered last so the fixed paths above are not taken as persona ids
+personaRouter.get('/:id', getPersona);
+personaRouter.post('/:id', createPersona);
+personaRouter.put('/:id', updatePersona);
+personaRouter.delete('/:id', deletePersona);
+personaRouter.get('/:id/versions', listPersonaVersions);
+personaRouter.get('/:id/versions/:version', getPersonaVersion);
+personaRouter.get('/:id/diff', diffPersonaVersions);
+personaRouter.post('/:id/rollback', rollbackPersona);
+personaRouter.get('/:id/export', exportPersona);
 
 export default personaRouter;
@@ -8,6 +8,8 @@ import {
   searchPDF, 
   askPDF, 
   listPDFs, 
+  getIndexStatus,
+  rebuildIndex,
   healthCheck,
   uploadMiddleware 
 } from '../controllers/ragController.js';
@@ -51,4 +53,8 @@ router.post('/ask', askPDF);
 // List processed PDFs
 router.get('/list', listPDFs);
 
+// Embedding model status and re-embedding of documents embedded with another model
+router.get('/index', getIndexStatus);
+router.post('/index/rebuild', rebuildIndex);
+
 export default router;
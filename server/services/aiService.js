@@ -1,4 +1,6 @@
 import { logger } from '../utils/logger.js';
+import { promptService } from './promptService.js';
+
 class AiService {
   constructor() {
     this.persona = '';
@@ -9,7 +11,7 @@ class AiService {
   async updatePersona() {
     logger.info('AiService', 'Updating persona configuration');
     try {
-      const response = await fetch('http://localhost:3000/persona-config');
+      const response = await fetch('http://localhost:3000/persona/config');
       if (!response.ok) {
         const error = 'Failed to fetch persona config';
         logger.error('AiService', error, { status: response.status });
@@ -17,7 +19,7 @@ class AiService {
       }
 
       this.personaConfig = await response.json();
-      this.persona = this.generatePersonaPrompt(this.personaConfig);
+      this.persona = promptService.render('chat', { persona: this.personaConfig });
       logger.info('AiService', 'Persona updated successfully', { name: this.personaConfig.name });
       return true;
     } catch (error) {
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview In-memory conversation store that keeps multi-turn chat history per conversation id
+ */
+
+import { randomUUID } from 'crypto';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+class ConversationService {
+  constructor() {
+    this.conversations = new Map(); // conversation_id -> { id, messages, createdAt, updatedAt }
+    this.maxMessages = config.conversation.maxMessages;
+    this.ttlMs = config.conversation.ttlMs;
+  }
+
+  /**
+   * @description Drop conversations that have not been used within the configured TTL
+   */
+  pruneExpired() {
+    const now = Date.now();
+    for (const [id, conversation] of this.conversations) {
+      if (now - conversation.updatedAt > this.ttlMs) {
+        this.conversations.delete(id);
+        logger.info('ConversationService', 'Conversation expired', { conversation_id: id });
+      }
+    }
+  }
+
+  /**
+   * @description Get a conversation, creating it when it does not exist yet
+   * @param {string} [conversationId] - Conversation id; a new one is generated when omitted
+   * @returns {Object} Conversation record
+   */
+  getOrCreate(conversationId) {
+    this.pruneExpired();
+
+    const id = conversationId || randomUUID();
+    let conversation = this.conversations.get(id);
+    if (!conversation) {
+      const now = Date.now();
+      conversation = { id, messages: [], createdAt: now, updatedAt: now };
+      this.conversations.set(id, conversation);
+      logger.info('ConversationService', 'Conversation created', { conversation_id: id });
+    }
+    return conversation;
+  }
+
+  /**
+   * @description Get a conversation without creating it
+   * @param {string} conversationId - Conversation id
+   * @returns {Object|null} Conversation record
+   */
+  get(conversationId) {
+    this.pruneExpired();
+    return this.conversations.get(conversationId) || null;
+  }
+
+  /**
+   * @description Get a copy of the stored message history
+   * @param {string} conversationId - Conversation id
+   * @returns {Array<{role: string, content: string}>} Messages, oldest first
+   */
+  getHistory(conversationId) {
+    const conversation = this.get(conversationId);
+    return conversation ? conversation.messages.map(({ role, content }) => ({ role, content })) : [];
+  }
+
+  /**
+   * @description Append a message and trim the history to the configured size
+   * @param {string} conversationId - Conversation id
+   * @param {'user'|'assistant'} role - Message author
+   * @param {string} content - Message text
+   */
+  append(conversationId, role, content) {
+    if (!content) return;
+
+    const conversation = this.getOrCreate(conversationId);
+    conversation.messages.push({ role, content, timestamp: new Date().toISOString() });
+    if (conversation.messages.length > this.maxMessages) {
+      conversation.messages.splice(0, conversation.messages.length - this.maxMessages);
+    }
+    conversation.updatedAt = Date.now();
+  }
+
+  /**
+   * @description Record one user/assistant exchange
+   * @param {string} conversationId - Conversation id
+   * @param {string} userMessage - What the user said
+   * @param {string} assistantMessage - What the avatar answered
+   */
+  recordExchange(conversationId, userMessage, assistantMessage) {
+    this.append(conversationId, 'user', userMessage);
+    this.append(conversationId, 'assistant', assistantMessage);
+  }
+
+  /**
+   * @description Build the chat completion message list: system prompt, history, then the new user message
+   * @param {string} conversationId - Conversation id
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userMessage - Latest user message
+   * @returns {Array<{role: string, content: string}>} Messages for the completion API
+   */
+  buildMessages(conversationId, systemPrompt, userMessage) {
+    return [
+      { role: 'system', content: systemPrompt },
+      ...this.getHistory(conversationId),
+      { role: 'user', content: userMessage },
+    ];
+  }
+
+  /**
+   * @description Clear the history but keep the conversation id alive
+   * @param {string} conversationId - Conversation id
+   * @returns {boolean} True if the conversation existed
+   */
+  reset(conversationId) {
+    const conversation = this.get(conversationId);
+    if (!conversation) return false;
+
+    conversation.messages = [];
+    conversation.updatedAt = Date.now();
+    logger.info('ConversationService', 'Conversation reset', { conversation_id: conversationId });
+    return true;
+  }
+
+  /**
+   * @description Delete a conversation
+   * @param {string} conversationId - Conversation id
+   * @returns {boolean} True if the conversation existed
+   */
+  delete(conversationId) {
+    const deleted = this.conversations.delete(conversationId);
+    if (deleted) {
+      logger.info('ConversationService', 'Conversation deleted', { conversation_id: conversationId });
+    }
+    return deleted;
+  }
+}
+
+export const conversationService = new ConversationService();
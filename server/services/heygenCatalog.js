@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Catalog of the HeyGen avatars and voices the account can use in streaming sessions. The
+ * listings change rarely and are slow to fetch, so they are cached on disk for config.heygen.catalog.ttlMs;
+ * when HeyGen cannot be reached the last known listing is served (marked stale). The catalog is also used to
+ * reject unknown avatar and voice ids before a session is created, with suggestions for likely typos.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { heygenService } from './heygenService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// An id missing from a cached listing triggers a refresh (it may be new) at most this often
+const MIN_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_SUGGESTIONS = 3;
+
+// Language filters may use the codes used elsewhere in the server; HeyGen names languages in English
+const LANGUAGE_NAMES = {
+  en: 'english',
+  es: 'spanish',
+  fr: 'french',
+  de: 'german',
+  it: 'italian',
+  pt: 'portuguese',
+  nl: 'dutch',
+  ru: 'russian',
+  hi: 'hindi',
+  zh: 'chinese',
+  ja: 'japanese',
+  ko: 'korean',
+};
+
+const normalizeGender = (gender) => {
+  const value = String(gender || '').toLowerCase();
+  return value === 'male' || value === 'female' ? value : null;
+};
+
+const normalizeAvatar = (avatar) => ({
+  id: avatar.avatar_id,
+  name: avatar.pose_name || avatar.avatar_name || avatar.avatar_id,
+  previewImageUrl: avatar.normal_preview || avatar.preview_image_url || null,
+  defaultVoiceId: avatar.default_voice || null,
+});
+
+const normalizeVoice = (voice) => ({
+  id: voice.voice_id,
+  name: voice.name || voice.voice_id,
+  language: voice.language || null,
+  gender: normalizeGender(voice.gender),
+  previewAudioUrl: voice.preview_audio || null,
+  supportsInteractive: voice.support_interactive_avatar !== false,
+});
+
+const SOURCES = {
+  avatars: { load: () => heygenService.listAvatars(), normalize: normalizeAvatar },
+  voices: { load: () => heygenService.listVoices(), normalize: normalizeVoice },
+};
+
+const matchesLanguage = (language, filter) => {
+  if (!filter) return true;
+  const value = (language || '').toLowerCase();
+  const wanted = filter.toLowerCase();
+  return value.startsWith(wanted) || value.startsWith(LANGUAGE_NAMES[wanted] || wanted);
+};
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Entries whose id is a few edits away from the given id, or whose name is the given id
+const suggest = (items, id) => {
+  const wanted = id.toLowerCase();
+  return items
+    .map((item) => ({
+      id: item.id,
+      distance: item.name.toLowerCase() === wanted ? 0 : editDistance(wanted, item.id.toLowerCase()),
+    }))
+    .filter(({ distance }) => distance <= Math.max(2, Math.floor(wanted.length / 5)))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ id: suggestion }) => suggestion);
+};
+
+class HeygenCatalogService {
+  constructor() {
+    this.ttlMs = config.heygen.catalog.ttlMs;
+    this.filePath = config.heygen.catalog.cacheFile || path.join(__dirname, '../data/heygen-catalog.json');
+    // The offline catalog is never written to disk, where it would later pass for the real one
+    this.persist = !config.offline;
+    this.listings = {}; // 'avatars' | 'voices' -> { items, fetchedAt }
+    this.pending = new Map(); // kind -> in-flight fetch, shared by concurrent callers
+    this.load();
+  }
+
+  load() {
+    if (!this.persist) return;
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      this.listings = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      logger.info('HeygenCatalog', 'Catalog cache loaded', {
+        avatars: this.listings.avatars?.items.length ?? 0,
+        voices: this.listings.voices?.items.length ?? 0,
+      });
+    } catch (error) {
+      logger.warn('HeygenCatalog', 'Failed to load catalog cache', { error: error.message });
+    }
+  }
+
+  save() {
+    if (!this.persist) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.listings, null, 2));
+    } catch (error) {
+      logger.warn('HeygenCatalog', 'Failed to save catalog cache', { error: error.message });
+    }
+  }
+
+  age(kind) {
+    const listing = this.listings[kind];
+    return listing ? Date.now() - Date.parse(listing.fetchedAt) : Infinity;
+  }
+
+  fetch(kind) {
+    if (!this.pending.has(kind)) {
+      const { load, normalize } = SOURCES[kind];
+      const request = load()
+        .then((entries) => {
+          const items = entries.filter((entry) => entry && (entry.avatar_id || entry.voice_id)).map(normalize);
+          this.listings[kind] = { items, fetchedAt: new Date().toISOString() };
+          this.save();
+          logger.info('HeygenCatalog', 'Catalog refreshed', { kind, count: items.length });
+          return this.listings[kind];
+        })
+        .finally(() => this.pending.delete(kind));
+      this.pending.set(kind, request);
+    }
+    return this.pending.get(kind);
+  }
+
+  /**
+   * @description Get a listing, from the cache while it is younger than the TTL
+   * @param {'avatars'|'voices'} kind - Listing to get
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Ask HeyGen even if the cache is fresh
+   * @returns {Promise<{items: Array<Object>, fetchedAt: string, stale: boolean}>} Listing; stale when HeyGen
+   * failed and the expired cache was served instead
+   * @throws {HeygenError} When HeyGen fails and nothing is cached
+   */
+  async get(kind, { refresh = false } = {}) {
+    const cached = this.listings[kind];
+    if (cached && !refresh && this.age(kind) < this.ttlMs) return { ...cached, stale: false };
+
+    try {
+      return { ...(await this.fetch(kind)), stale: false };
+    } catch (error) {
+      if (!cached) throw error;
+      logger.warn('HeygenCatalog', 'Refresh failed, serving cached catalog', { kind, fetchedAt: cached.fetchedAt, error: error.message });
+      return { ...cached, stale: true };
+    }
+  }
+
+  /**
+   * @description Avatars usable in streaming sessions. HeyGen does not list an avatar's gender or language,
+   * so they are taken from its default voice.
+   * @param {Object} [filters]
+   * @param {string} [filters.gender] - male or female
+   * @param {string} [filters.language] - Language name or code of the default voice, e.g. English or en
+   * @param {boolean} [filters.refresh=false] - Bypass the cache
+   * @returns {Promise<{items: Array<Object>, fetchedAt: string, stale: boolean}>} Matching avatars:
+   * { id, name, previewImageUrl, defaultVoiceId, gender, language }
+   */
+  async listAvatars({ gender, language, refresh = false } = {}) {
+    const avatars = await this.get('avatars', { refresh });
+    let voices = new Map();
+    try {
+      voices = new Map((await this.get('voices')).items.map((voice) => [voice.id, voice]));
+    } catch (error) {
+      logger.warn('HeygenCatalog', 'Voices unavailable, avatars listed without gender and language', { error: error.message });
+    }
+
+    const items = avatars.items
+      .map((avatar) => {
+        const voice = voices.get(avatar.defaultVoiceId);
+        return { ...avatar, gender: voice?.gender ?? null, language: voice?.language ?? null };
+      })
+      .filter((avatar) => (!gender || avatar.gender === normalizeGender(gender)) && matchesLanguage(avatar.language, language));
+    return { ...avatars, items };
+  }
+
+  /**
+   * @description Voices available to the account
+   * @param {Object} [filters]
+   * @param {string} [filters.gender] - male or female
+   * @param {string} [filters.language] - Language name or code, e.g. Spanish or es
+   * @param {boolean} [filters.interactive] - Only voices that work with streaming avatars
+   * @param {boolean} [filters.refresh=false] - Bypass the cache
+   * @returns {Promise<{items: Array<Object>, fetchedAt: string, stale: boolean}>} Matching voices:
+   * { id, name, language, gender, previewAudioUrl, supportsInteractive }
+   */
+  async listVoices({ gender, language, interactive = false, refresh = false } = {}) {
+    const voices = await this.get('voices', { refresh });
+    const items = voices.items.filter(
+      (voice) =>
+        (!gender || voice.gender === normalizeGender(gender)) &&
+        matchesLanguage(voice.language, language) &&
+        (!interactive || voice.supportsInteractive)
+    );
+    return { ...voices, items };
+  }
+
+  // Looks an id up, refreshing a listing that may predate it; stale when that refresh failed
+  async find(kind, id) {
+    let { items, stale } = await this.get(kind);
+    let item = items.find((entry) => entry.id === id);
+    if (!item && this.age(kind) > MIN_REFRESH_INTERVAL_MS) {
+      ({ items, stale } = await this.get(kind, { refresh: true }));
+      item = items.find((entry) => entry.id === id);
+    }
+    return { item, items, stale };
+  }
+
+  /**
+   * @description Check that an avatar and voice exist before a session is created with them. Ids are
+   * accepted when the catalog cannot be loaded or refreshed, so an outage of the listing APIs does not
+   * block sessions.
+   * @param {Object} ids
+   * @param {string} [ids.avatarName] - HeyGen avatar id
+   * @param {string} [ids.voiceId] - HeyGen voice id
+   * @returns {Promise<Array<{field: string, message: string, suggestions: string[]}>>} Problems; empty when valid
+   */
+  async validate({ avatarName, voiceId }) {
+    const checks = [
+      { kind: 'avatars', field: 'avatar_name', label: 'avatar', id: avatarName },
+      { kind: 'voices', field: 'voice_id', label: 'voice', id: voiceId },
+    ];
+    const errors = [];
+
+    for (const { kind, field, label, id } of checks) {
+      if (!id) continue;
+      try {
+        const { item, items, stale } = await this.find(kind, id);
+        if (item || stale) continue;
+        const suggestions = suggest(items, id);
+        errors.push({
+          field,
+          message: `Unknown ${label} "${id}"${suggestions.length ? `; did you mean ${suggestions.map((s) => `"${s}"`).join(' or ')}?` : '.'} See GET /persona/heygen/${kind} for the available ${kind}.`,
+          suggestions,
+        });
+      } catch (error) {
+        logger.warn('HeygenCatalog', 'Catalog unavailable, skipping validation', { kind, id, error: error.message });
+      }
+    }
+    return errors;
+  }
+}
+
+export const heygenCatalog = new HeygenCatalogService();
@@ -1,164 +1,264 @@
+/**
+ * @fileoverview HeyGen API client for streaming sessions and the avatar and voice listings. All calls go
+ * through request(), which applies per-call
+ * timeouts, retries transient failures with exponential backoff, stops calling HeyGen while a circuit
+ * breaker is open and turns failures into the typed errors of utils/heygenErrors.js.
+ */
+
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import {
+  HeygenError,
+  HeygenAuthError,
+  HeygenQuotaError,
+  HeygenSessionNotFoundError,
+  HeygenTimeoutError,
+  HeygenUnavailableError,
+} from '../utils/heygenErrors.js';
+import { mockHeygenService } from './mockHeygenService.js';
+
+const QUOTA_PATTERN = /quota|rate limit|concurrent limit|credit/i;
+const SESSION_NOT_FOUND_PATTERN = /session.*(not found|not exist|closed|expired)/i;
+// Calls on an existing session; a 404 from anything else (e.g. an unknown avatar) is not about the session
+const SESSION_OPERATIONS = new Set(['streaming.start', 'streaming.ice', 'streaming.task', 'streaming.keep_alive', 'streaming.interrupt', 'streaming.stop']);
+// fetch failures raised before a connection existed, so the request body never left the process
+const CONNECT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 class HeygenService {
   constructor() {
     this.apiKey = config.heygen.apiKey;
     this.serverUrl = config.heygen.serverUrl;
+    this.requestOptions = config.heygen.requests;
+    this.breaker = new CircuitBreaker({
+      failureThreshold: this.requestOptions.circuitFailureThreshold,
+      cooldownMs: this.requestOptions.circuitCooldownMs,
+    });
   }
 
-  async createSession(avatar_name, voice_id) {
-    // Debug: Log the API key being used
-    logger.info('HeygenService', 'API Key Debug', { 
-      apiKey: this.apiKey ? `${this.apiKey.substring(0, 10)}...` : 'undefined',
-      serverUrl: this.serverUrl
-    });
-    
-    // Check if API key is configured
+  /**
+   * @description Every call needs a real key; set OFFLINE_MODE=true to use the fake session lifecycle instead
+   */
+  ensureApiKey() {
     if (!this.apiKey || this.apiKey === 'your_heygen_api_key_here') {
-      throw new Error('HEYGEN_APIKEY is missing. Please set it in your server environment.');
+      throw new HeygenAuthError('HEYGEN_APIKEY is missing. Please set it in your server environment or enable OFFLINE_MODE.');
     }
+  }
 
+  /**
+   * @description Map a failed HeyGen response to a typed error
+   * @param {string} operation - HeyGen endpoint, e.g. streaming.task
+   * @param {number} status - HTTP status HeyGen answered with
+   * @param {Object} data - Parsed response body
+   * @returns {HeygenError} Error to throw
+   */
+  toError(operation, status, data) {
+    const reason = data.message || data.error?.message || (typeof data.error === 'string' && data.error) || `HTTP ${status}`;
+    const message = `HeyGen ${operation} failed (HTTP ${status}): ${reason}`;
+    const details = { operation, upstreamStatus: status };
+
+    if (status === 401 || status === 403) return new HeygenAuthError(message, details);
+    if (status === 429 || (status < 500 && QUOTA_PATTERN.test(reason))) return new HeygenQuotaError(message, details);
+    if (SESSION_OPERATIONS.has(operation) && (status === 404 || (status < 500 && SESSION_NOT_FOUND_PATTERN.test(reason)))) {
+      return new HeygenSessionNotFoundError(message, details);
+    }
+    return new HeygenError(message, { ...details, transient: status >= 500 || status === 408 });
+  }
+
+  /**
+   * @description Make a single call to the HeyGen API
+   * @param {string} operation - HeyGen endpoint, e.g. streaming.task
+   * @param {Object} [body] - Request body (POST only)
+   * @param {Object} [options]
+   * @param {string} [options.method='POST'] - HTTP method
+   * @param {string} [options.path] - URL path when it is not /v1/<operation>
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async send(operation, body, { method = 'POST', path = `/v1/${operation}` } = {}) {
+    const timeoutMs = this.requestOptions.timeoutsMs[operation];
+    let response;
+    let text;
     try {
-      const requestBody = {
-        quality: config.heygen.defaultQuality,
-        avatar_name,
-        disable_idle_timeout: true,
-      };
-      
-      // Only add voice if voice_id is provided and not empty
-      if (voice_id && voice_id.trim() !== '') {
-        requestBody.voice = { voice_id };
-      }
-      
-      const response = await fetch(`${this.serverUrl}/v1/streaming.new`, {
-        method: 'POST',
+      response = await fetch(`${this.serverUrl}${path}`, {
+        method,
         headers: {
-          'Content-Type': 'application/json',
+          ...(body && { 'Content-Type': 'application/json' }),
           'X-Api-Key': this.apiKey,
         },
-        body: JSON.stringify(requestBody),
-        // Add timeout for slow networks
-        signal: AbortSignal.timeout(30000) // 30 second timeout
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs),
       });
-
-      const data = await response.json();
-      
-      if (!response.ok) {
-        logger.error('HeygenService', 'API Response Error', {
-          status: response.status,
-          statusText: response.statusText,
-          data: data,
-          requestBody: requestBody
-        });
-        throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      if (!data.data) {
-        throw new Error('Invalid response format: missing data field');
-      }
-      
-      return data.data;
+      text = await response.text();
     } catch (error) {
       if (error.name === 'TimeoutError') {
-        logger.error('HeygenService', 'Session creation timeout', { error: error.message });
-        throw new Error('HeyGen API timeout: Session creation took too long. Please check your network connection.');
+        throw new HeygenTimeoutError(`HeyGen ${operation} timed out after ${timeoutMs} ms`, { operation });
       }
-      logger.error('HeygenService', 'Session creation failed', { error: error.message });
-      throw new Error(`HeyGen API error: ${error.message}`);
+      const cause = error.cause?.code ? `${error.message} (${error.cause.code})` : error.message;
+      throw new HeygenError(`HeyGen ${operation} request failed: ${cause}`, {
+        operation,
+        transient: true,
+        unsent: CONNECT_ERROR_CODES.has(error.cause?.code),
+      });
     }
+
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      // Proxies in front of HeyGen answer outages with HTML; the status decides below
+    }
+
+    if (!response.ok) throw this.toError(operation, response.status, data);
+    return data;
   }
 
-  async startSession(session_id, sdp) {
-    // Check if API key is configured
-    if (!this.apiKey || this.apiKey === 'your_heygen_api_key_here') {
-      logger.warn('HeygenService', 'API key not configured, returning mock start response');
-      return { success: true, message: 'Mock session started' };
+  /**
+   * @description Call the streaming API with retries and the circuit breaker. Transient failures
+   * (network errors, 5xx, timeouts) are retried with exponential backoff; calls that are not idempotent
+   * (creating a session, queueing speech) are only retried when no connection could be made, since after
+   * any other failure HeyGen may already have acted on them. The breaker counts one failure per call, not
+   * per attempt.
+   * @param {string} operation - HeyGen endpoint, e.g. streaming.task
+   * @param {Object} [body] - Request body (POST only)
+   * @param {Object} [options]
+   * @param {boolean} [options.idempotent=false] - Whether repeating the call is harmless
+   * @param {string} [options.method] - HTTP method, see send()
+   * @param {string} [options.path] - URL path, see send()
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(operation, body, { idempotent = false, method, path } = {}) {
+    this.ensureApiKey();
+    const { maxRetries, retryBaseDelayMs, retryMaxDelayMs } = this.requestOptions;
+
+    if (!this.breaker.allowRequest({ timeoutMs: this.requestOptions.timeoutsMs[operation] })) {
+      const retryAfterMs = this.breaker.retryAfterMs();
+      throw new HeygenUnavailableError(
+        `HeyGen is unavailable after repeated failures; calls resume in ${Math.ceil(retryAfterMs / 1000)} s`,
+        { operation, retryAfterMs }
+      );
     }
 
-    try {
-      const response = await fetch(`${this.serverUrl}/v1/streaming.start`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Api-Key': this.apiKey,
-        },
-        body: JSON.stringify({ session_id, sdp }),
-        // Add timeout for slow networks
-        signal: AbortSignal.timeout(30000) // 30 second timeout
-      });
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const data = await this.send(operation, body, { method, path });
+        this.breaker.recordSuccess();
+        return data;
+      } catch (error) {
+        if (!error.transient) {
+          // HeyGen answered, so it is up even though it rejected this call
+          this.breaker.recordSuccess();
+          throw error;
+        }
 
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.message || `HTTP ${response.status}: Failed to start session`);
-      }
-      
-      return data.data || { success: true };
-    } catch (error) {
-      if (error.name === 'TimeoutError') {
-        logger.error('HeygenService', 'Session start timeout', { error: error.message });
-        throw new Error('HeyGen API timeout: Session start took too long. Please check your network connection.');
+        const retrySafe = idempotent || error.unsent;
+        if (!retrySafe || attempt >= maxRetries) {
+          if (this.breaker.recordFailure()) {
+            logger.error('HeygenService', 'Circuit opened after repeated failures', {
+              operation,
+              failures: this.breaker.failures,
+              cooldownMs: this.breaker.cooldownMs,
+            });
+          }
+          throw error;
+        }
+
+        const delay = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+        logger.warn('HeygenService', 'Transient failure, retrying', { operation, attempt: attempt + 1, delayMs: Math.round(delay), error: error.message });
+        await sleep(delay);
       }
-      logger.error('HeygenService', 'Session start failed', { error: error.message });
-      throw new Error(`HeyGen API error: ${error.message}`);
     }
   }
 
-  async handleICE(session_id, candidate) {
-    const response = await fetch(`${this.serverUrl}/v1/streaming.ice`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': this.apiKey,
-      },
-      body: JSON.stringify({ session_id, candidate }),
-      // Add timeout for slow networks
-      signal: AbortSignal.timeout(10000) // 10 second timeout for ICE
-    });
+  /**
+   * @description Open a streaming session
+   * @param {string} avatar_name - HeyGen avatar id
+   * @param {string|null} voice_id - HeyGen voice id; the avatar's own voice is used when empty
+   * @param {Object} [options] - Voice rate (0.5-1.5) and emotion, session quality (defaults to
+   * config.heygen.defaultQuality), idleTimeoutSeconds (0 or unset disables HeyGen's idle timeout),
+   * videoEncoding, knowledgeBaseId and language
+   * @returns {Promise<Object>} Session info (session_id, sdp, ice_servers2, ...)
+   */
+  async createSession(avatar_name, voice_id, { rate, emotion, quality, idleTimeoutSeconds, videoEncoding, knowledgeBaseId, language } = {}) {
+    const requestBody = {
+      quality: quality || config.heygen.defaultQuality,
+      avatar_name,
+      // Without HeyGen's idle timeout, abandoned sessions are stopped by sessionRegistry's reaper
+      ...(idleTimeoutSeconds > 0
+        ? { disable_idle_timeout: false, activity_idle_timeout: idleTimeoutSeconds }
+        : { disable_idle_timeout: true }),
+    };
+    if (videoEncoding) requestBody.video_encoding = videoEncoding;
+    if (knowledgeBaseId) requestBody.knowledge_base_id = knowledgeBaseId;
+    if (language) requestBody.language = language;
 
-    const data = await response.json();
-    if (response.status === 500) {
-      throw new Error('Failed to handle ICE candidate');
+    // Only add voice if voice_id is provided and not empty
+    if (voice_id && voice_id.trim() !== '') {
+      requestBody.voice = { voice_id };
+      if (rate !== undefined) requestBody.voice.rate = rate;
+      if (emotion) requestBody.voice.emotion = emotion;
     }
-    return data;
+
+    const data = await this.request('streaming.new', requestBody);
+    if (!data.data) {
+      throw new HeygenError('Invalid response format: missing data field', { operation: 'streaming.new' });
+    }
+    return data.data;
+  }
+
+  async startSession(session_id, sdp) {
+    const data = await this.request('streaming.start', { session_id, sdp });
+    return data.data || { success: true };
+  }
+
+  async handleICE(session_id, candidate) {
+    return this.request('streaming.ice', { session_id, candidate }, { idempotent: true });
   }
 
   async sendText(session_id, text) {
-    const response = await fetch(`${this.serverUrl}/v1/streaming.task`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': this.apiKey,
-      },
-      body: JSON.stringify({ session_id, text }),
-      // Add timeout for slow networks
-      signal: AbortSignal.timeout(15000) // 15 second timeout for text sending
-    });
+    const data = await this.request('streaming.task', { session_id, text });
+    return data.data;
+  }
 
-    const data = await response.json();
-    if (response.status === 500) {
-      throw new Error('Failed to send text');
-    }
+  /**
+   * @description Reset HeyGen's idle timeout of a session while nothing is being said
+   */
+  async keepAlive(session_id) {
+    const data = await this.request('streaming.keep_alive', { session_id }, { idempotent: true });
     return data.data;
   }
 
-  async stopSession(session_id) {
-    const response = await fetch(`${this.serverUrl}/v1/streaming.stop`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': this.apiKey,
-      },
-      body: JSON.stringify({ session_id }),
-    });
+  /**
+   * @description Stop the avatar mid-sentence; the session stays open
+   */
+  async interruptTask(session_id) {
+    const data = await this.request('streaming.interrupt', { session_id }, { idempotent: true });
+    return data.data;
+  }
 
-    const data = await response.json();
-    if (response.status === 500) {
-      throw new Error('Failed to stop session');
-    }
+  async stopSession(session_id) {
+    const data = await this.request('streaming.stop', { session_id }, { idempotent: true });
     return data.data;
   }
+
+  /**
+   * @description Avatars that can be used in streaming sessions (public and the account's own)
+   * @returns {Promise<Array<Object>>} HeyGen avatar entries (avatar_id, pose_name, normal_preview, default_voice, ...)
+   */
+  async listAvatars() {
+    const data = await this.request('avatar.list', undefined, { method: 'GET', path: '/v1/streaming/avatar.list', idempotent: true });
+    return data.data || [];
+  }
+
+  /**
+   * @description Voices available to the account
+   * @returns {Promise<Array<Object>>} HeyGen voice entries (voice_id, name, language, gender, preview_audio, ...)
+   */
+  async listVoices() {
+    const data = await this.request('voices', undefined, { method: 'GET', path: '/v2/voices', idempotent: true });
+    return data.data?.voices || [];
+  }
 }
 
-export const heygenService = new HeygenService();
+export const heygenService = config.offline ? mockHeygenService : new HeygenService();
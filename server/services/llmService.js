@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Registry of chat and embedding providers, selected per feature through config.llm
+ */
+
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { OpenAIProvider } from './providers/openaiProvider.js';
+import { GeminiProvider } from './providers/geminiProvider.js';
+import { MockProvider } from './providers/mockProvider.js';
+import { NgramEmbeddingProvider } from './providers/ngramProvider.js';
+
+class LLMService {
+  constructor() {
+    this.factories = new Map(); // provider type -> (name, options) => provider
+    this.providers = new Map(); // provider name -> provider instance
+
+    this.registerType('openai', (name, options) => new OpenAIProvider({ name, ...options }));
+    this.registerType('gemini', (name, options) => new GeminiProvider({ name, ...options }));
+    this.registerType('mock', (name, options) => new MockProvider({ name, ...options }));
+    this.registerType('ngram', (name, options) => new NgramEmbeddingProvider({ name, ...options }));
+    this.warnedFeatures = new Set();
+  }
+
+  /**
+   * @description Register a provider implementation that config.llm.providers can refer to by `type`
+   * @param {string} type - Provider type
+   * @param {Function} factory - (name, options) => provider exposing isAvailable/chat/streamChat/embed
+   */
+  registerType(type, factory) {
+    this.factories.set(type, factory);
+  }
+
+  /**
+   * @description Get a configured provider instance by name
+   * @param {string} name - Key in config.llm.providers
+   * @returns {Object} Provider instance
+   */
+  getProvider(name) {
+    if (this.providers.has(name)) {
+      return this.providers.get(name);
+    }
+
+    const options = config.llm.providers[name];
+    if (!options) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    const factory = this.factories.get(options.type);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider type "${options.type}" for provider ${name}`);
+    }
+
+    const provider = factory(name, options);
+    this.providers.set(name, provider);
+    logger.info('LLMService', 'Provider initialized', { name, type: options.type });
+    return provider;
+  }
+
+  /**
+   * @description Resolve the provider and model configured for a feature.
+   * Offline mode, or a provider without credentials, resolves to the mock provider.
+   * @param {string} feature - Key in config.llm.features (chat, avatar, rag, persona, embeddings, rerank)
+   * @returns {{provider: Object, model: string|undefined, options: Object}} Resolved settings
+   */
+  resolve(feature) {
+    const settings = config.llm.features[feature];
+    if (!settings) {
+      throw new Error(`Unknown LLM feature: ${feature}`);
+    }
+
+    const options = settings.options || {};
+    if (config.offline) {
+      return { provider: this.getProvider('mock'), model: undefined, options };
+    }
+
+    const provider = this.getProvider(settings.provider);
+    if (!provider.isAvailable()) {
+      if (!this.warnedFeatures.has(feature)) {
+        this.warnedFeatures.add(feature);
+        logger.warn('LLMService', 'Provider not configured, using mock provider', { feature, provider: settings.provider });
+      }
+      return { provider: this.getProvider('mock'), model: undefined, options };
+    }
+
+    return { provider, model: settings.model, options };
+  }
+
+  /**
+   * @description Check whether a feature is answered by the mock provider (offline mode or missing credentials)
+   * @param {string} feature - Feature name
+   * @returns {boolean} True if replies for this feature are scripted
+   */
+  isMock(feature) {
+    return this.resolve(feature).provider instanceof MockProvider;
+  }
+
+  /**
+   * @description Generate a chat completion for a feature
+   * @param {string} feature - Feature name
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Overrides for the feature's generation options
+   * @returns {Promise<string>} Reply text
+   */
+  async chat(feature, messages, options = {}) {
+    const { provider, model, options: defaults } = this.resolve(feature);
+    return provider.chat(messages, { ...defaults, model, ...options });
+  }
+
+  /**
+   * @description Stream a chat completion for a feature
+   * @param {string} feature - Feature name
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Overrides for the feature's generation options
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  streamChat(feature, messages, options = {}) {
+    const { provider, model, options: defaults } = this.resolve(feature);
+    return provider.streamChat(messages, { ...defaults, model, ...options });
+  }
+
+  /**
+   * @description Provider and model that embed texts for a feature, as recorded with stored vectors
+   * @param {string} feature - Feature name
+   * @returns {{provider: string, model: string}} Provider name and embedding model
+   */
+  embeddingModel(feature) {
+    const { provider, model } = this.resolve(feature);
+    return { provider: provider.name, model: model || provider.embeddingModel };
+  }
+
+  /**
+   * @description Embed texts with a given provider and model rather than a feature's current ones, e.g.
+   * a query compared against documents embedded before the configuration changed
+   * @param {{provider: string, model: string}} embeddingModel - As returned by embeddingModel()
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One vector per text
+   * @throws {Error} When the provider is unknown, has no credentials, or needs the network in offline mode
+   */
+  async embedWith({ provider: name, model }, texts) {
+    const provider = this.getProvider(name);
+    if (!provider.isAvailable() || (config.offline && !provider.worksOffline)) {
+      throw new Error(`Embedding provider ${name} is not available`);
+    }
+    return provider.embed(texts, { model });
+  }
+
+  /**
+   * @description Embed texts with the provider configured for a feature
+   * @param {string} feature - Feature name
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One vector per text
+   */
+  async embed(feature, texts) {
+    const { provider, model } = this.resolve(feature);
+    return provider.embed(texts, { model });
+  }
+}
+
+export const llmService = new LLMService();
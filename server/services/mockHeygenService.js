@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Fake HeyGen streaming API used in offline mode: same methods and response shapes, no network
+ */
+
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { HeygenSessionNotFoundError } from '../utils/heygenErrors.js';
+
+// Small fixed catalog in HeyGen's response format; includes the configured default avatar and voice
+const AVATARS = [
+  { avatar_id: config.heygen.defaultAvatarName, pose_name: 'Default avatar', normal_preview: null, default_voice: config.heygen.defaultVoiceId, status: 'ACTIVE' },
+  { avatar_id: 'Wayne_20240711', pose_name: 'Wayne', normal_preview: null, default_voice: 'mock-voice-en-male', status: 'ACTIVE' },
+  { avatar_id: 'Anna_public_3_20240108', pose_name: 'Anna in Blue Shirt', normal_preview: null, default_voice: 'mock-voice-en-female', status: 'ACTIVE' },
+  { avatar_id: 'Lucia_public_2_20240522', pose_name: 'Lucia', normal_preview: null, default_voice: 'mock-voice-es-female', status: 'ACTIVE' },
+];
+
+const VOICES = [
+  { voice_id: config.heygen.defaultVoiceId, name: 'Default voice', language: 'English', gender: 'female', preview_audio: null, support_interactive_avatar: true },
+  { voice_id: 'mock-voice-en-male', name: 'Paul', language: 'English', gender: 'male', preview_audio: null, support_interactive_avatar: true },
+  { voice_id: 'mock-voice-en-female', name: 'Sara', language: 'English', gender: 'female', preview_audio: null, support_interactive_avatar: true },
+  { voice_id: 'mock-voice-es-female', name: 'Elena', language: 'Spanish', gender: 'female', preview_audio: null, support_interactive_avatar: true },
+  { voice_id: 'mock-voice-de-male', name: 'Jonas', language: 'German', gender: 'male', preview_audio: null, support_interactive_avatar: false },
+];
+
+class MockHeygenService {
+  constructor() {
+    this.sessions = new Map(); // session_id -> { avatar_name, voice_id, started, tasks }
+    this.sessionCounter = 0;
+    this.taskCounter = 0;
+  }
+
+  /**
+   * @description Look up a session the way the real API would: unknown ids are rejected
+   */
+  getSession(session_id) {
+    const session = this.sessions.get(session_id);
+    if (!session) {
+      throw new HeygenSessionNotFoundError(`HeyGen session ${session_id} not found`, { upstreamStatus: 404 });
+    }
+    return session;
+  }
+
+  async createSession(avatar_name, voice_id, options = {}) {
+    const session_id = `mock-session-${++this.sessionCounter}`;
+    this.sessions.set(session_id, { avatar_name, voice_id, options, started: false, tasks: [] });
+    logger.info('MockHeygenService', 'Session created', { session_id, avatar_name, voice_id, ...options });
+
+    return {
+      session_id,
+      sdp: { type: 'offer', sdp: '' },
+      ice_servers2: [],
+      is_paid: false,
+      session_duration_limit: 600,
+    };
+  }
+
+  async startSession(session_id) {
+    this.getSession(session_id).started = true;
+    logger.info('MockHeygenService', 'Session started', { session_id });
+    return { success: true };
+  }
+
+  async handleICE(session_id) {
+    this.getSession(session_id);
+    return { code: 100, message: 'success' };
+  }
+
+  async sendText(session_id, text) {
+    const session = this.getSession(session_id);
+    const task_id = `mock-task-${++this.taskCounter}`;
+    session.tasks.push({ task_id, text });
+    logger.info('MockHeygenService', 'Task queued', { session_id, task_id, textLength: text.length });
+
+    return { task_id, duration_ms: 0 };
+  }
+
+  async keepAlive(session_id) {
+    this.getSession(session_id);
+    return { success: true };
+  }
+
+  async interruptTask(session_id) {
+    this.getSession(session_id);
+    logger.info('MockHeygenService', 'Task interrupted', { session_id });
+    return { success: true };
+  }
+
+  async stopSession(session_id) {
+    this.getSession(session_id);
+    this.sessions.delete(session_id);
+    logger.info('MockHeygenService', 'Session stopped', { session_id });
+    return { success: true };
+  }
+
+  async listAvatars() {
+    return AVATARS.map((avatar) => ({ ...avatar }));
+  }
+
+  async listVoices() {
+    return VOICES.map((voice) => ({ ...voice }));
+  }
+}
+
+export const mockHeygenService = new MockHeygenService();
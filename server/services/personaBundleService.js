@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Portable persona bundles for moving personas between environments. A bundle holds the
+ * persona definition, the prompt templates it is rendered with, its avatar/voice settings and, optionally,
+ * the knowledge-base documents attached to it.
+ */
+
+import { logger } from '../utils/logger.js';
+import { validatePersona } from '../utils/personaSchema.js';
+import { parseTemplate } from '../utils/promptTemplate.js';
+import { personaStore } from './personaStore.js';
+import { promptService } from './promptService.js';
+import { ragService } from './ragService.js';
+import { reindexService } from './reindexService.js';
+
+export const BUNDLE_FORMAT = 'persona-bundle';
+// Bump when the bundle layout changes incompatibly; importBundle() rejects newer versions
+export const BUNDLE_VERSION = 1;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class PersonaBundleService {
+  /**
+   * @description Build the export bundle of a persona
+   * @param {string} id - Persona id
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDocuments=false] - Embed the attached knowledge-base documents
+   * @returns {Promise<Object|null>} Bundle, or null if the persona does not exist
+   */
+  async exportPersona(id, { includeDocuments = false } = {}) {
+    const stored = personaStore.get(id);
+    if (!stored) return null;
+
+    const { version, createdAt: _createdAt, updatedAt: _updatedAt, ...persona } = stored;
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      source: { personaId: id, version },
+      persona,
+      templates: Object.fromEntries(promptService.listTemplates().map((name) => [name, promptService.getTemplate(name)])),
+      // Effective settings, so a persona relying on this environment's defaults keeps its face and voice
+      avatar: personaStore.getAvatarSettings(stored),
+    };
+
+    if (includeDocuments) {
+      bundle.documents = [];
+      for (const filename of persona.documents || []) {
+        const entry = await ragService.loadKnowledgeBase(filename);
+        if (entry) {
+          bundle.documents.push({ filename, entry });
+        } else {
+          logger.warn('PersonaBundleService', 'Attached document not found, leaving it out of the bundle', { id, filename });
+        }
+      }
+    }
+
+    logger.info('PersonaBundleService', 'Persona exported', { id, documents: bundle.documents?.length || 0 });
+    return bundle;
+  }
+
+  /**
+   * @description Validate a bundle before importing it
+   * @param {Object} bundle - Bundle as produced by exportPersona()
+   * @returns {{persona: Object|null, errors: Array<{field: string, message: string}>}} Normalized persona
+   * definition and per-field errors (empty when valid)
+   */
+  validateBundle(bundle) {
+    if (!isPlainObject(bundle)) {
+      return { persona: null, errors: [{ field: '', message: 'Bundle must be an object' }] };
+    }
+
+    const errors = [];
+    if (bundle.format !== BUNDLE_FORMAT) {
+      errors.push({ field: 'format', message: `must be "${BUNDLE_FORMAT}"` });
+    }
+    if (!Number.isInteger(bundle.formatVersion) || bundle.formatVersion < 1 || bundle.formatVersion > BUNDLE_VERSION) {
+      errors.push({ field: 'formatVersion', message: `must be an integer from 1 to ${BUNDLE_VERSION}` });
+    }
+
+    const { id: _id, version: _version, createdAt: _createdAt, updatedAt: _updatedAt, ...definition } = isPlainObject(bundle.persona)
+      ? bundle.persona
+      : {};
+    if (definition.avatar === undefined && isPlainObject(bundle.avatar)) {
+      definition.avatar = bundle.avatar;
+    }
+    const { persona, errors: personaErrors } = validatePersona(definition);
+    errors.push(...personaErrors.map((error) => ({ ...error, field: error.field ? `persona.${error.field}` : 'persona' })));
+
+    if (bundle.templates !== undefined && !isPlainObject(bundle.templates)) {
+      errors.push({ field: 'templates', message: 'must be an object of template sources' });
+    } else {
+      for (const [name, source] of Object.entries(bundle.templates || {})) {
+        try {
+          if (typeof source !== 'string') throw new Error('must be a string');
+          promptService.templatePath(name);
+          parseTemplate(source);
+        } catch (error) {
+          errors.push({ field: `templates.${name}`, message: error.message });
+        }
+      }
+    }
+
+    if (bundle.documents !== undefined && !Array.isArray(bundle.documents)) {
+      errors.push({ field: 'documents', message: 'must be an array' });
+    } else {
+      (bundle.documents || []).forEach((document, index) => {
+        if (typeof document?.filename !== 'string' || !document.filename || /[\\/]/.test(document.filename)) {
+          errors.push({ field: `documents[${index}].filename`, message: 'must be a file name' });
+        }
+        if (!Array.isArray(document?.entry?.chunks)) {
+          errors.push({ field: `documents[${index}].entry`, message: 'must be a knowledge base entry with chunks' });
+          return;
+        }
+        // Entries without an embedding model were never embedded; the background re-embedding fills them in
+        const embedded = Boolean(document.entry.metadata?.embedding);
+        document.entry.chunks.forEach((chunk, chunkIndex) => {
+          const field = `documents[${index}].entry.chunks[${chunkIndex}]`;
+          if (!isPlainObject(chunk)) {
+            errors.push({ field, message: 'must be an object' });
+            return;
+          }
+          if (typeof chunk.text !== 'string') {
+            errors.push({ field: `${field}.text`, message: 'must be a string' });
+          }
+          const validEmbedding = Array.isArray(chunk.embedding)
+            ? chunk.embedding.every((value) => typeof value === 'number' && Number.isFinite(value))
+            : chunk.embedding === null && !embedded;
+          if (!validEmbedding) {
+            errors.push({ field: `${field}.embedding`, message: 'must be an array of numbers' });
+          }
+          if (chunk.metadata !== undefined && !isPlainObject(chunk.metadata)) {
+            errors.push({ field: `${field}.metadata`, message: 'must be an object' });
+          }
+        });
+      });
+    }
+
+    return { persona, errors };
+  }
+
+  /**
+   * @description Import a validated bundle. Templates are global, so they are only written when
+   * `applyTemplates` is set; otherwise differences are reported as warnings. Templates and documents are
+   * written before the persona, so a failed import never records a persona version.
+   * @param {Object} bundle - Bundle that passed validateBundle()
+   * @param {Object} persona - Normalized persona definition returned by validateBundle()
+   * @param {Object} options
+   * @param {string} options.id - Persona id to import as
+   * @param {boolean} [options.overwrite=false] - Update an existing persona and replace existing documents
+   * @param {boolean} [options.applyTemplates=false] - Save the bundled prompt templates as local edits
+   * @param {string} [options.author] - Recorded on the persona version
+   * @returns {Promise<{persona: Object, created: boolean, templates: string[], documents: string[], warnings: string[]}>}
+   * @throws {Error} When the id is invalid, or taken and `overwrite` is not set
+   */
+  async importBundle(bundle, persona, { id, overwrite = false, applyTemplates = false, author }) {
+    const warnings = [];
+    const summary = `Imported from bundle${bundle.source?.personaId ? ` of ${bundle.source.personaId}` : ''}`;
+
+    const existing = personaStore.get(id);
+    if (!personaStore.isValidId(id)) {
+      throw new Error(`Invalid persona id "${id}": use lowercase letters, digits and dashes`);
+    }
+    if (existing && !overwrite) {
+      throw new Error(`Persona already exists: ${id}`);
+    }
+
+    const templates = [];
+    for (const [name, source] of Object.entries(bundle.templates || {})) {
+      if (promptService.getTemplate(name) === source) continue;
+      if (applyTemplates) {
+        promptService.saveTemplate(name, source);
+        templates.push(name);
+      } else {
+        warnings.push(`Template "${name}" differs from this environment and was not applied (use apply_templates=true)`);
+      }
+    }
+
+    const documents = [];
+    for (const { filename, entry } of bundle.documents || []) {
+      if (!overwrite && (await ragService.loadKnowledgeBase(filename))) {
+        warnings.push(`Document "${filename}" already exists and was kept (use overwrite=true to replace it)`);
+        continue;
+      }
+      await ragService.storeKnowledgeBase(filename, entry);
+      documents.push(filename);
+    }
+
+    const saved = existing
+      ? personaStore.replace(id, persona, { author, summary })
+      : personaStore.create({ ...persona, id }, { author, summary });
+
+    // Documents from another environment may have been embedded with a different model
+    if (documents.length > 0) {
+      await reindexService.start();
+    }
+    for (const filename of persona.documents || []) {
+      if (!documents.includes(filename) && !(await ragService.loadKnowledgeBase(filename))) {
+        warnings.push(`Attached document "${filename}" is not available in this environment`);
+      }
+    }
+
+    logger.info('PersonaBundleService', 'Persona imported', { id, created: !existing, templates, documents });
+    return { persona: saved, created: !existing, templates, documents, warnings };
+  }
+}
+
+export const personaBundleService = new PersonaBundleService();
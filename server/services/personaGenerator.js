@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Draft personas from uploaded CVs and bios: the LLM extracts a profile as JSON, which is
+ * mapped onto persona sections. Without an LLM (offline mode, missing credentials, unusable reply) a
+ * heading-based CV parser produces the profile instead. Drafts are never saved here.
+ */
+
+import { llmService } from './llmService.js';
+import { ragService } from './ragService.js';
+import { logger } from '../utils/logger.js';
+import { validatePersona } from '../utils/personaSchema.js';
+
+// Longer documents are cut; CVs and bios rarely exceed this
+const MAX_DOCUMENT_CHARS = 12000;
+
+const EXTRACTION_PROMPT = `You extract a persona profile from a CV or biography so an avatar can speak as that person.
+Reply with a single JSON object and nothing else, using exactly these keys:
+{
+  "name": "full name",
+  "title": "current role or headline",
+  "summary": "two or three sentences about the person, written in the third person",
+  "education": [{ "degree": "...", "institution": "...", "year": "..." }],
+  "skills": ["..."],
+  "experience": ["role or achievement, one line each"],
+  "projects": ["project name and one-line description"],
+  "languages": ["spoken language and level"],
+  "traits": ["personality trait"],
+  "speakingStyle": "how the person talks, inferred from the tone of the document"
+}
+Use only information found in the document. Use "" or [] for anything the document does not mention.`;
+
+// Headings recognised by the fallback parser, mapped to profile fields
+const HEADINGS = [
+  { field: 'summary', pattern: /^(about( me)?|summary|profile|bio(graphy)?|objective)$/ },
+  { field: 'education', pattern: /^(education|academic background)$/ },
+  { field: 'skills', pattern: /^(skills|technical skills|tech stack|competencies)$/ },
+  { field: 'experience', pattern: /^(work experience|experience|employment( history)?|professional experience)$/ },
+  { field: 'projects', pattern: /^(projects|personal projects|selected projects)$/ },
+  { field: 'languages', pattern: /^languages?$/ },
+  { field: 'traits', pattern: /^(soft skills|personal qualities|traits|strengths)$/ },
+  { field: 'ignore', pattern: /^(contacts?|contact information|references|hobbies|interests|certifications?)$/ },
+];
+const BULLET_PATTERN = /^[●•▪◦\-*–]\s*/;
+
+const asString = (value) => (typeof value === 'string' ? value.trim() : '');
+const asStringList = (value) => (Array.isArray(value) ? value.map(asString).filter(Boolean) : []);
+
+class PersonaGenerator {
+  /**
+   * @description Get the plain text of a processed document from the RAG knowledge base
+   * @param {string} filename - Name of an uploaded PDF
+   * @returns {Promise<string|null>} Document text, or null if the document is unknown
+   */
+  async loadDocumentText(filename) {
+    const kbEntry = await ragService.loadKnowledgeBase(filename);
+    if (kbEntry?.originalText) return kbEntry.originalText;
+    if (kbEntry?.chunks?.length) return kbEntry.chunks.map((chunk) => chunk.text).join('\n');
+    return null;
+  }
+
+  /**
+   * @description Ask the LLM for a profile; returns null when the reply is not a usable JSON object
+   * @param {string} text - Document text
+   * @returns {Promise<Object|null>} Extracted profile
+   */
+  async extractWithLLM(text) {
+    const reply = await llmService.chat(
+      'persona',
+      [
+        { role: 'system', content: EXTRACTION_PROMPT },
+        { role: 'user', content: text.slice(0, MAX_DOCUMENT_CHARS) },
+      ],
+      { responseFormat: 'json', temperature: 0.2, maxTokens: 1500 }
+    );
+
+    try {
+      const profile = JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+      return profile && typeof profile === 'object' && asString(profile.name) ? profile : null;
+    } catch {
+      logger.warn('PersonaGenerator', 'LLM reply is not valid JSON', { preview: reply.slice(0, 200) });
+      return null;
+    }
+  }
+
+  /**
+   * @description Heading-based CV parser used when no LLM is available. The name and title are taken
+   * from the first lines; bulleted lines under known headings become list entries.
+   * @param {string} text - Document text
+   * @returns {Object} Extracted profile (same shape as the LLM reply)
+   */
+  extractWithHeuristics(text) {
+    const lines = text
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+
+    const profile = { name: '', title: '', summary: '', education: [], skills: [], experience: [], projects: [], languages: [], traits: [] };
+    const blocks = new Map(); // field -> entries (bullets, with wrapped lines joined)
+    const preamble = [];
+    let field = null;
+
+    for (const line of lines) {
+      const heading = HEADINGS.find(({ pattern }) => pattern.test(line.toLowerCase().replace(/[:\s]+$/, '')));
+      if (heading) {
+        field = heading.field;
+        if (!blocks.has(field)) blocks.set(field, []);
+        continue;
+      }
+      if (!field) {
+        preamble.push(line);
+        continue;
+      }
+
+      const entries = blocks.get(field);
+      if (BULLET_PATTERN.test(line) || entries.length === 0) {
+        entries.push(line.replace(BULLET_PATTERN, ''));
+      } else {
+        entries[entries.length - 1] += ` ${line}`;
+      }
+    }
+
+    const nameLine = preamble.find((line) => /^\p{Lu}[\p{L}'.-]+(\s+\p{Lu}[\p{L}'.-]+){1,3}$/u.test(line));
+    profile.name = nameLine || '';
+    profile.title = nameLine ? preamble[preamble.indexOf(nameLine) + 1] || '' : '';
+    profile.summary = (blocks.get('summary') || []).join(' ');
+
+    // "Category: a, b, c" skill lines keep their category; soft skills become traits
+    for (const entry of blocks.get('skills') || []) {
+      const [, category, values] = entry.match(/^([^:]{1,40}):\s*(.+)$/) || [];
+      if (category && /soft skills|personal/i.test(category)) {
+        profile.traits.push(...values.split(/,\s*/).map((value) => value.trim()).filter(Boolean));
+      } else {
+        profile.skills.push(entry);
+      }
+    }
+    profile.traits.push(...(blocks.get('traits') || []));
+    profile.experience = blocks.get('experience') || [];
+    profile.projects = blocks.get('projects') || [];
+    profile.languages = blocks.get('languages') || [];
+
+    // An education entry is "Institution (years) Degree" once wrapped lines are joined
+    profile.education = (blocks.get('education') || []).map((entry) => {
+      const [, institution, year, degree] = entry.match(/^(.*?)\s*\(([^)]*\d{4}[^)]*)\)\s*(.*)$/) || [];
+      return institution ? { institution, year, degree } : { institution: entry, year: '', degree: '' };
+    });
+
+    return profile;
+  }
+
+  /**
+   * @description Map an extracted profile onto persona fields and sections; empty fields are left out
+   * @param {Object} profile - Extracted profile
+   * @returns {Object} Persona data (not validated)
+   */
+  toPersona(profile) {
+    const sections = [];
+    const addList = (key, label, items, type = 'list') => {
+      const values = asStringList(items);
+      if (values.length > 0) sections.push({ key, label, type, items: values });
+    };
+
+    const education = (Array.isArray(profile.education) ? profile.education : [])
+      .map((entry) => ({
+        key: asString(entry?.institution) || asString(entry?.degree),
+        value: [asString(entry?.degree), asString(entry?.year) && `(${asString(entry.year)})`].filter(Boolean).join(' '),
+      }))
+      .filter((fact) => fact.key && fact.value);
+    if (education.length > 0) {
+      sections.push({ key: 'education', label: 'Education', type: 'facts', items: education });
+    }
+    addList('skills', 'Skills', profile.skills);
+    addList('experience', 'Experience', profile.experience);
+    addList('projects', 'Projects', profile.projects);
+    addList('languages', 'Languages', profile.languages);
+    addList('traits', 'Core Traits', profile.traits);
+    if (asString(profile.speakingStyle)) {
+      sections.push({ key: 'style', label: 'Speaking Style', type: 'text', text: asString(profile.speakingStyle) });
+    }
+
+    return {
+      name: asString(profile.name),
+      title: asString(profile.title),
+      ...(asString(profile.summary) && { summary: asString(profile.summary) }),
+      sections,
+    };
+  }
+
+  /**
+   * @description Build a draft persona from an uploaded document
+   * @param {string} filename - Name of an uploaded and processed PDF
+   * @returns {Promise<Object|null>} { persona, errors, warnings, method }, or null if the document is unknown.
+   * `errors` are validation errors the reviewer must fix before saving; `warnings` list fields that
+   * could not be extracted.
+   */
+  async generateFromDocument(filename) {
+    const text = await this.loadDocumentText(filename);
+    if (text === null) return null;
+
+    let profile = null;
+    let method = 'llm';
+    const warnings = [];
+
+    if (llmService.isMock('persona')) {
+      logger.info('PersonaGenerator', 'Mock LLM provider active, using heuristic extraction');
+    } else {
+      try {
+        profile = await this.extractWithLLM(text);
+      } catch (error) {
+        logger.warn('PersonaGenerator', 'LLM extraction failed, using heuristic extraction', { error: error.message });
+        warnings.push(`LLM extraction failed (${error.message}); fields were extracted heuristically`);
+      }
+    }
+    if (!profile) {
+      method = 'heuristic';
+      profile = this.extractWithHeuristics(text);
+    }
+
+    const draft = this.toPersona(profile);
+    const present = new Set(draft.sections.map((section) => section.key));
+    for (const [key, label] of [['education', 'education'], ['skills', 'skills'], ['projects', 'projects'], ['traits', 'traits'], ['style', 'speaking style']]) {
+      if (!present.has(key)) warnings.push(`No ${label} found in the document`);
+    }
+
+    const { persona, errors } = validatePersona(draft);
+    logger.info('PersonaGenerator', 'Draft persona generated', { filename, method, sections: persona.sections.length });
+    return { persona, errors, warnings, method };
+  }
+}
+
+export const personaGenerator = new PersonaGenerator();
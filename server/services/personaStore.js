@@ -0,0 +1,402 @@
+/**
+ * @fileoverview Persona registry: personas are stored as JSON files and each session can pick its active persona.
+ * Every save also writes an immutable version to versions/<id>/<n>.json so edits can be diffed and rolled back.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { defaultPersona } from '../utils/persona.js';
+import { diffPersonas, summarizeChanges } from '../utils/personaDiff.js';
+import { isLegacyPersona, migrateLegacyPersona } from '../utils/personaSchema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+// First path segments already used by /persona routes
+const RESERVED_IDS = new Set(['config', 'update', 'list', 'prompt', 'heygen', 'session', 'generate', 'import']);
+
+class PersonaStore {
+  constructor() {
+    this.personaDir = config.personas.dir || path.join(__dirname, '../data/personas');
+    this.versionDir = path.join(this.personaDir, 'versions');
+    this.defaultId = config.personas.defaultId;
+    this.personas = new Map(); // persona id -> persona record
+    this.activePersonas = new Map(); // session or conversation id -> { personaId, usedAt }
+    // Chat-only conversations are never released, so their choice expires like the conversation itself
+    this.activeTtlMs = config.conversation.ttlMs;
+    this.load();
+  }
+
+  /**
+   * @description Load every persona file, seeding the default persona on first run and rewriting
+   * files saved in the legacy student-profile shape as sections
+   */
+  load() {
+    try {
+      fs.mkdirSync(this.personaDir, { recursive: true });
+      for (const file of fs.readdirSync(this.personaDir).filter((name) => name.endsWith('.json'))) {
+        try {
+          let persona = JSON.parse(fs.readFileSync(path.join(this.personaDir, file), 'utf8'));
+          if (isLegacyPersona(persona)) {
+            persona = migrateLegacyPersona(persona);
+            this.persist(persona);
+            logger.info('PersonaStore', 'Migrated legacy persona to sections', { id: persona.id });
+          }
+          // Personas saved before version history existed start theirs from the current state
+          if (!persona.version) {
+            persona = { ...persona, version: 1 };
+            if (!fs.existsSync(path.join(this.versionDir, persona.id, '1.json'))) {
+              this.recordVersion(persona, { author: 'system', summary: 'Imported existing persona', changes: [] });
+            }
+            this.persist(persona);
+          }
+          this.personas.set(persona.id, persona);
+        } catch (error) {
+          logger.warn('PersonaStore', 'Skipping unreadable persona file', { file, error: error.message });
+        }
+      }
+    } catch (error) {
+      logger.error('PersonaStore', 'Failed to load personas', { error: error.message });
+    }
+
+    if (!this.personas.has(this.defaultId)) {
+      this.create({ ...defaultPersona, id: this.defaultId }, { author: 'system' });
+    }
+    logger.info('PersonaStore', 'Personas loaded', { count: this.personas.size });
+  }
+
+  /**
+   * @description Write a persona to disk (via a temporary file so a crash never leaves half a file)
+   */
+  persist(persona) {
+    const filePath = path.join(this.personaDir, `${persona.id}.json`);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(persona, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  /**
+   * @description Write an immutable version record; the exclusive flag makes an existing version fail
+   * instead of being overwritten
+   * @param {Object} persona - Persona record as saved
+   * @param {Object} meta - Version metadata
+   * @param {string} [meta.author] - Who made the change
+   * @param {string} meta.summary - Change summary
+   * @param {Array<Object>} meta.changes - Result of diffPersonas() against the previous version
+   * @returns {Object} Version record
+   */
+  recordVersion(persona, { author, summary, changes }) {
+    const record = {
+      version: persona.version,
+      personaId: persona.id,
+      author: author || 'anonymous',
+      createdAt: persona.updatedAt || new Date().toISOString(),
+      summary,
+      changes,
+      persona,
+    };
+    const dir = path.join(this.versionDir, persona.id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${persona.version}.json`), JSON.stringify(record, null, 2), { flag: 'wx' });
+    return record;
+  }
+
+  /**
+   * @description Save a new version of a persona: the version record first, then the persona file, then the
+   * in-memory copy. A failed write leaves all three at the previous version.
+   * @param {Object} persona - Persona record to save
+   * @param {Object} meta - Version metadata, see recordVersion()
+   */
+  saveVersion(persona, meta) {
+    this.recordVersion(persona, meta);
+    try {
+      this.persist(persona);
+    } catch (error) {
+      fs.rmSync(path.join(this.versionDir, persona.id, `${persona.version}.json`), { force: true });
+      throw error;
+    }
+    this.personas.set(persona.id, persona);
+  }
+
+  /**
+   * @description Check that an id can be used in /persona/:id
+   * @param {string} id - Persona id
+   * @returns {boolean} True if the id is well-formed and not reserved
+   */
+  isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id) && !RESERVED_IDS.has(id);
+  }
+
+  /**
+   * @description Derive an unused id from a persona name
+   */
+  generateId(name) {
+    const base =
+      String(name || 'persona')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 56) || 'persona';
+    let id = RESERVED_IDS.has(base) ? `${base}-1` : base;
+    for (let suffix = 2; this.personas.has(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  }
+
+  /**
+   * @description List all personas
+   * @returns {Object[]} Persona records sorted by name
+   */
+  list() {
+    return [...this.personas.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @description Get a persona by id
+   * @param {string} id - Persona id
+   * @returns {Object|null} Persona record
+   */
+  get(id) {
+    return this.personas.get(id) || null;
+  }
+
+  /**
+   * @description Get the persona used when a session has not chosen one
+   * @returns {Object} Default persona record
+   */
+  getDefault() {
+    return this.personas.get(this.defaultId);
+  }
+
+  /**
+   * @description Avatar, voice and session options a session for this persona uses; unset settings fall back to config.heygen
+   * @param {Object} [persona] - Persona record (defaults to the default persona)
+   * @returns {{avatarName: string, voiceId: string|null, voiceRate?: number, voiceEmotion?: string, quality: string,
+   * idleTimeoutSeconds: number, videoEncoding?: string, knowledgeBaseId?: string, language?: string}}
+   */
+  getAvatarSettings(persona = this.getDefault()) {
+    return {
+      avatarName: config.heygen.defaultAvatarName,
+      voiceId: config.heygen.defaultVoiceId || null,
+      quality: config.heygen.defaultQuality,
+      idleTimeoutSeconds: config.heygen.defaultIdleTimeoutSeconds,
+      ...persona?.avatar,
+    };
+  }
+
+  /**
+   * @description Create a persona (version 1)
+   * @param {Object} data - Persona profile; `id` is derived from the name when omitted
+   * @param {Object} [meta] - Version metadata
+   * @param {string} [meta.author] - Who made the change
+   * @param {string} [meta.summary] - Change summary
+   * @returns {Object} Created persona record
+   * @throws {Error} When the id is invalid or already taken
+   */
+  create(data, meta = {}) {
+    const id = data.id || this.generateId(data.name);
+    if (!this.isValidId(id)) {
+      throw new Error(`Invalid persona id "${id}": use lowercase letters, digits and dashes`);
+    }
+    if (this.personas.has(id)) {
+      throw new Error(`Persona already exists: ${id}`);
+    }
+
+    const now = new Date().toISOString();
+    const persona = { ...data, id, version: 1, createdAt: now, updatedAt: now };
+    this.saveVersion(persona, { author: meta.author, summary: meta.summary || 'Created persona', changes: [] });
+    logger.info('PersonaStore', 'Persona created', { id, name: persona.name });
+    return persona;
+  }
+
+  /**
+   * @description Update a persona; fields present in `changes` replace the stored ones. Saves that change
+   * nothing return the current record without creating a version.
+   * @param {string} id - Persona id
+   * @param {Object} changes - Persona fields to replace
+   * @param {Object} [meta] - Version metadata
+   * @param {string} [meta.author] - Who made the change
+   * @param {string} [meta.summary] - Change summary; generated from the diff when omitted
+   * @returns {Object|null} Updated persona record, or null if it does not exist
+   */
+  update(id, changes, meta = {}) {
+    const existing = this.personas.get(id);
+    if (!existing) return null;
+
+    const persona = {
+      ...existing,
+      ...changes,
+      id,
+      version: existing.version + 1,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    const diff = diffPersonas(existing, persona);
+    if (diff.length === 0) return existing;
+
+    this.saveVersion(persona, { author: meta.author, summary: meta.summary || summarizeChanges(diff), changes: diff });
+    logger.info('PersonaStore', 'Persona updated', { id, version: persona.version });
+    return persona;
+  }
+
+  /**
+   * @description Replace a persona's content; unlike update(), fields missing from `content` are removed
+   * @param {string} id - Persona id
+   * @param {Object} content - Complete persona content (id, version and timestamps are ignored)
+   * @param {Object} [meta] - Version metadata, as for update()
+   * @returns {Object|null} Updated persona record, or null if it does not exist
+   */
+  replace(id, content, meta = {}) {
+    const existing = this.personas.get(id);
+    if (!existing) return null;
+
+    const cleared = Object.fromEntries(Object.keys(existing).map((field) => [field, undefined]));
+    return this.update(id, { ...cleared, ...content }, meta);
+  }
+
+  /**
+   * @description List the saved versions of a persona
+   * @param {string} id - Persona id
+   * @returns {Object[]|null} Version metadata (without snapshots), newest first, or null if the persona does not exist
+   */
+  listVersions(id) {
+    if (!this.personas.has(id)) return null;
+
+    const dir = path.join(this.versionDir, id);
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((name) => /^\d+\.json$/.test(name))
+      .map((name) => {
+        const { persona, changes, ...meta } = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+        return { ...meta, changeCount: changes.length };
+      })
+      .sort((a, b) => b.version - a.version);
+  }
+
+  /**
+   * @description Get one version of a persona
+   * @param {string} id - Persona id
+   * @param {number} version - Version number
+   * @returns {Object|null} Version record including the `persona` snapshot, or null if it does not exist
+   */
+  getVersion(id, version) {
+    if (!this.personas.has(id) || !Number.isInteger(version)) return null;
+
+    const filePath = path.join(this.versionDir, id, `${version}.json`);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * @description Restore the content of an earlier version. History is never rewritten: the restored
+   * content is saved as a new version.
+   * @param {string} id - Persona id
+   * @param {number} version - Version to restore
+   * @param {Object} [meta] - Version metadata
+   * @param {string} [meta.author] - Who made the change
+   * @param {string} [meta.summary] - Change summary
+   * @returns {Object|null} Updated persona record, or null if the persona or version does not exist
+   */
+  rollback(id, version, meta = {}) {
+    const record = this.getVersion(id, version);
+    if (!record) return null;
+
+    const restored = this.replace(
+      id,
+      record.persona,
+      { author: meta.author, summary: meta.summary || `Rolled back to version ${version}` }
+    );
+    logger.info('PersonaStore', 'Persona rolled back', { id, version, current: restored.version });
+    return restored;
+  }
+
+  /**
+   * @description Delete a persona; sessions using it fall back to the default persona
+   * @param {string} id - Persona id
+   * @returns {boolean} True if the persona existed
+   * @throws {Error} When deleting the default persona
+   */
+  delete(id) {
+    if (id === this.defaultId) {
+      throw new Error('The default persona cannot be deleted');
+    }
+    if (!this.personas.delete(id)) return false;
+
+    fs.rmSync(path.join(this.personaDir, `${id}.json`), { force: true });
+    fs.rmSync(path.join(this.versionDir, id), { recursive: true, force: true });
+    for (const [sessionId, active] of this.activePersonas) {
+      if (active.personaId === id) this.activePersonas.delete(sessionId);
+    }
+    logger.info('PersonaStore', 'Persona deleted', { id });
+    return true;
+  }
+
+  /**
+   * @description Forget active personas of sessions and conversations not used within the conversation TTL
+   */
+  pruneExpiredActive() {
+    const now = Date.now();
+    for (const [sessionId, active] of this.activePersonas) {
+      if (now - active.usedAt > this.activeTtlMs) this.activePersonas.delete(sessionId);
+    }
+  }
+
+  /**
+   * @description Make a persona the active one for a session or conversation
+   * @param {string} sessionId - Avatar session id or conversation id
+   * @param {string} personaId - Persona id
+   * @returns {Object|null} The persona, or null if it does not exist
+   */
+  setActive(sessionId, personaId) {
+    this.pruneExpiredActive();
+    const persona = this.get(personaId);
+    if (persona) {
+      this.activePersonas.set(sessionId, { personaId, usedAt: Date.now() });
+      logger.info('PersonaStore', 'Active persona set', { session_id: sessionId, persona_id: personaId });
+    }
+    return persona;
+  }
+
+  /**
+   * @description Forget the active persona of a session
+   * @param {string} sessionId - Avatar session id or conversation id
+   */
+  clearActive(sessionId) {
+    this.activePersonas.delete(sessionId);
+  }
+
+  /**
+   * @description Resolve the persona a request should use: an explicit persona id (which also becomes the
+   * session's active persona), otherwise the first session key with an active persona, otherwise the default
+   * @param {string|string[]} sessionIds - Session and/or conversation ids, most specific first
+   * @param {string} [personaId] - Persona id requested explicitly
+   * @returns {Object|null} Persona record, or null if `personaId` does not exist
+   */
+  resolve(sessionIds, personaId) {
+    const keys = [].concat(sessionIds).filter(Boolean);
+
+    if (personaId) {
+      const persona = this.get(personaId);
+      if (persona && keys.length > 0) this.setActive(keys[0], personaId);
+      return persona;
+    }
+
+    this.pruneExpiredActive();
+    for (const key of keys) {
+      const active = this.activePersonas.get(key);
+      const persona = this.get(active?.personaId);
+      if (persona) {
+        active.usedAt = Date.now();
+        return persona;
+      }
+    }
+    return this.getDefault();
+  }
+}
+
+export const personaStore = new PersonaStore();
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Composes system prompts for every chat path from user-editable templates. The templates
+ * shipped in server/templates are read-only defaults; edits are saved to server/data/templates and take
+ * precedence over the shipped template of the same name.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { parseTemplate, renderTemplate } from '../utils/promptTemplate.js';
+import { conversationService } from './conversationService.js';
+import { personaStore } from './personaStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMPLATE_EXTENSION = '.txt';
+const TEMPLATE_NAME_PATTERN = /^[\w-]+$/;
+const HISTORY_SLOT_PATTERN = /\{\{\s*[#^]?\s*history\b/;
+
+class PromptService {
+  constructor() {
+    this.templateDir = config.prompts.templateDir || path.join(__dirname, '../templates');
+    this.overrideDir = config.prompts.overrideDir || path.join(__dirname, '../data/templates');
+    this.cache = new Map(); // template name -> { source, filePath, mtimeMs }
+  }
+
+  templatePath(name, dir = this.templateDir) {
+    if (!TEMPLATE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid prompt template name: ${name}`);
+    }
+    return path.join(dir, `${name}${TEMPLATE_EXTENSION}`);
+  }
+
+  /**
+   * @description List the available template names, shipped or edited
+   * @returns {string[]} Template names without extension
+   */
+  listTemplates() {
+    const names = new Set();
+    for (const dir of [this.templateDir, this.overrideDir]) {
+      if (!fs.existsSync(dir)) continue;
+      fs.readdirSync(dir)
+        .filter((file) => file.endsWith(TEMPLATE_EXTENSION))
+        .forEach((file) => names.add(path.basename(file, TEMPLATE_EXTENSION)));
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * @description Read a template (the edited version when there is one), re-reading it from disk whenever
+   * the file has changed
+   * @param {string} name - Template name
+   * @returns {string|null} Template source, or null if it does not exist
+   */
+  getTemplate(name) {
+    const filePath = [this.templatePath(name, this.overrideDir), this.templatePath(name)].find((file) => fs.existsSync(file));
+    if (!filePath) return null;
+
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = this.cache.get(name);
+    if (cached && cached.filePath === filePath && cached.mtimeMs === mtimeMs) {
+      return cached.source;
+    }
+
+    const source = fs.readFileSync(filePath, 'utf8');
+    this.cache.set(name, { source, filePath, mtimeMs });
+    return source;
+  }
+
+  /**
+   * @description Validate and save an edited template; the shipped template stays as it is
+   * @param {string} name - Template name
+   * @param {string} source - Template source
+   * @throws {Error} When the template does not parse
+   */
+  saveTemplate(name, source) {
+    parseTemplate(source);
+    fs.mkdirSync(this.overrideDir, { recursive: true });
+    fs.writeFileSync(this.templatePath(name, this.overrideDir), source);
+    this.cache.delete(name);
+    logger.info('PromptService', 'Template saved', { name, length: source.length });
+  }
+
+  requireTemplate(name) {
+    const source = this.getTemplate(name);
+    if (source === null) {
+      throw new Error(`Prompt template not found: ${name}`);
+    }
+    return source;
+  }
+
+  /**
+   * @description Check whether a template (or one of its partials) places the conversation history itself
+   */
+  usesHistorySlot(name, seen = new Set()) {
+    if (seen.has(name)) return false;
+    seen.add(name);
+
+    const source = this.requireTemplate(name);
+    if (HISTORY_SLOT_PATTERN.test(source)) return true;
+    return [...source.matchAll(/\{\{\s*>\s*([\w-]+)\s*\}\}/g)].some(([, partial]) =>
+      this.usesHistorySlot(partial, seen),
+    );
+  }
+
+  /**
+   * @description Build the variables a template sees: every persona field (sections get type flags and are
+   * also available by key under `section`) plus context, history and query
+   * @param {Object} options
+   * @param {Object} [options.persona] - Persona profile (defaults to the default persona)
+   * @param {Array<string|Object>} [options.context] - Retrieved excerpts, as text or { text, source }
+   * @param {Array<{role: string, content: string}>} [options.history] - Conversation history
+   * @param {string} [options.query] - Latest user message
+   * @returns {Object} Template variables
+   */
+  buildVariables({ persona = personaStore.getDefault(), context = [], history = [], query = '' } = {}) {
+    const excerpts = context.map((entry, index) => {
+      const { text, source } = typeof entry === 'string' ? { text: entry } : entry;
+      return { index: index + 1, text, source };
+    });
+    const sections = (persona.sections || []).map((section) => ({
+      ...section,
+      isText: section.type === 'text',
+      isList: section.type === 'list',
+      isFacts: section.type === 'facts',
+      isRules: section.type === 'rules',
+      isSamples: section.type === 'samples',
+      ...(section.type === 'facts' && {
+        values: Object.fromEntries(section.items.map(({ key, value }) => [key, value])),
+      }),
+    }));
+    const transcript = history.map(({ role, content }) => ({
+      role,
+      content,
+      speaker: role === 'assistant' ? persona.name : 'User',
+    }));
+
+    return {
+      ...persona,
+      persona,
+      sections,
+      section: Object.fromEntries(sections.map((section) => [section.key, section])),
+      context: excerpts,
+      hasContext: excerpts.length > 0,
+      history: transcript,
+      hasHistory: transcript.length > 0,
+      query,
+    };
+  }
+
+  /**
+   * @description Render a template with the given variables
+   * @param {string} name - Template name
+   * @param {Object} [options] - Same as buildVariables()
+   * @returns {string} Rendered prompt
+   */
+  render(name, options = {}) {
+    return this.renderSource(this.requireTemplate(name), options);
+  }
+
+  /**
+   * @description Render template source that is not saved yet (used for previews while editing)
+   * @param {string} source - Template source
+   * @param {Object} [options] - Same as buildVariables()
+   * @returns {string} Rendered prompt
+   */
+  renderSource(source, options = {}) {
+    return renderTemplate(source, this.buildVariables(options), (partial) =>
+      this.requireTemplate(partial),
+    ).trim();
+  }
+
+  /**
+   * @description Build the message list for a chat completion. History goes into the prompt when the
+   * template has a history slot, otherwise it is sent as separate messages.
+   * @param {string} name - Template name
+   * @param {Object} options
+   * @param {string} [options.conversationId] - Conversation whose history is included
+   * @param {string} options.userMessage - Latest user message
+   * @param {Object} [options.persona] - Persona profile
+   * @param {Array<string|Object>} [options.context] - Retrieved excerpts
+   * @returns {Array<{role: string, content: string}>} Messages for the completion API
+   */
+  buildMessages(name, { conversationId, userMessage, persona, context } = {}) {
+    const history = conversationId ? conversationService.getHistory(conversationId) : [];
+    const inlineHistory = this.usesHistorySlot(name);
+    const systemPrompt = this.render(name, {
+      persona,
+      context,
+      history: inlineHistory ? history : [],
+      query: userMessage,
+    });
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...(inlineHistory ? [] : history),
+      { role: 'user', content: userMessage },
+    ];
+  }
+}
+
+export const promptService = new PromptService();
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Chat and embedding provider for Google Gemini
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// batchEmbedContents rejects requests with more texts than this
+const MAX_EMBED_BATCH = 100;
+
+export class GeminiProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Registry name of this provider
+   * @param {string} [options.apiKey] - Gemini API key
+   * @param {string} options.chatModel - Default chat model
+   * @param {string} options.embeddingModel - Default embedding model
+   */
+  constructor({ name, apiKey, chatModel, embeddingModel }) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.chatModel = chatModel;
+    this.embeddingModel = embeddingModel;
+    this.client = null;
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new GoogleGenerativeAI(this.apiKey);
+    }
+    return this.client;
+  }
+
+  /**
+   * @description Convert OpenAI-style messages into a Gemini model and request
+   */
+  prepare(messages, options) {
+    const system = messages
+      .filter((message) => message.role === 'system')
+      .map((message) => message.content)
+      .join('\n\n');
+    const contents = messages
+      .filter((message) => message.role !== 'system')
+      .map((message) => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }],
+      }));
+
+    const generationConfig = {};
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.maxTokens !== undefined) generationConfig.maxOutputTokens = options.maxTokens;
+    if (options.topP !== undefined) generationConfig.topP = options.topP;
+    if (options.responseFormat === 'json') generationConfig.responseMimeType = 'application/json';
+
+    const model = this.getClient().getGenerativeModel({
+      model: options.model || this.chatModel,
+      ...(system ? { systemInstruction: system } : {}),
+      generationConfig,
+    });
+    return { model, request: { contents } };
+  }
+
+  /**
+   * @description Generate a chat completion
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - model, temperature, maxTokens, topP, responseFormat, signal
+   * @returns {Promise<string>} Reply text
+   */
+  async chat(messages, options = {}) {
+    const { model, request } = this.prepare(messages, options);
+    const result = await model.generateContent(request, { signal: options.signal });
+    return result.response.text();
+  }
+
+  /**
+   * @description Generate a chat completion as a stream of text deltas
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Same as chat()
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamChat(messages, options = {}) {
+    const { model, request } = this.prepare(messages, options);
+    const result = await model.generateContentStream(request, { signal: options.signal });
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (delta) yield delta;
+    }
+  }
+
+  /**
+   * @description Embed a batch of texts, in requests of at most MAX_EMBED_BATCH texts
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} [options] - model
+   * @returns {Promise<number[][]>} One vector per text
+   */
+  async embed(texts, options = {}) {
+    const model = this.getClient().getGenerativeModel({ model: options.model || this.embeddingModel });
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += MAX_EMBED_BATCH) {
+      const response = await model.batchEmbedContents({
+        requests: texts.slice(start, start + MAX_EMBED_BATCH).map((text) => ({ content: { role: 'user', parts: [{ text }] } })),
+      });
+      vectors.push(...response.embeddings.map((embedding) => embedding.values));
+    }
+    return vectors;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Deterministic offline provider: scripted chat replies and reproducible embeddings (the
+ * local n-gram model, so offline retrieval still ranks by meaning rather than at random)
+ */
+
+import fs from 'fs';
+import { NgramEmbeddingProvider } from './ngramProvider.js';
+
+// Rules are tried in order against the latest user message; the first match wins
+const DEFAULT_SCRIPT = [
+  { match: '\\bready to chat\\b|\\binitiali[sz]ed\\b', reply: "Hello! I'm {{name}} and I'm ready to chat." },
+  { match: '^\\s*(hi|hello|hey)\\b', reply: "Hi there! I'm {{name}}. How can I help you today?" },
+  { match: 'who are you|introduce yourself', reply: "I'm {{name}}. Ask me anything about my work, my projects or my goals." },
+  { match: 'tell me more|more about that', reply: 'Sure. Building on what we just discussed: {{previous}}' },
+];
+
+const DEFAULT_REPLY = 'As {{name}}, I understand you\'re asking: "{{message}}". This is a scripted offline reply.';
+
+export class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Registry name of this provider
+   * @param {string} [options.scriptPath] - JSON file with [{ match, reply }] rules that replace the default script
+   * @param {number} [options.embeddingDimensions=384] - Size of generated vectors
+   */
+  constructor({ name, scriptPath, embeddingDimensions = 384 }) {
+    this.name = name;
+    this.chatModel = 'mock-chat';
+    this.embeddingDimensions = embeddingDimensions;
+    this.embedder = new NgramEmbeddingProvider({ name, dimensions: embeddingDimensions });
+    this.embeddingModel = `mock-${this.embedder.embeddingModel}`;
+    this.worksOffline = true;
+    this.script = this.loadScript(scriptPath);
+  }
+
+  loadScript(scriptPath) {
+    const rules = scriptPath ? JSON.parse(fs.readFileSync(scriptPath, 'utf8')) : DEFAULT_SCRIPT;
+    return rules.map((rule) => ({ pattern: new RegExp(rule.match, 'i'), reply: rule.reply }));
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * @description Pick the persona name out of the system prompt so replies stay in character
+   */
+  personaName(messages) {
+    const system = messages.find((message) => message.role === 'system')?.content || '';
+    const match = system.match(/\bYou are ([^,.\n]+)/) || system.match(/identity is ([^,.\n]+)/);
+    return match ? match[1].trim() : 'your assistant';
+  }
+
+  /**
+   * @description Generate a scripted reply; the same messages always produce the same text
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - responseFormat
+   * @returns {Promise<string>} Reply text
+   */
+  async chat(messages, options = {}) {
+    if (options.responseFormat === 'json') {
+      return '{}';
+    }
+
+    const userMessages = messages.filter((message) => message.role === 'user');
+    const message = userMessages[userMessages.length - 1]?.content || '';
+    const previous = [...messages].reverse().find((entry) => entry.role === 'assistant')?.content || '';
+    const rule = this.script.find(({ pattern }) => pattern.test(message));
+
+    const variables = { name: this.personaName(messages), message, previous };
+    return (rule ? rule.reply : DEFAULT_REPLY).replace(/\{\{(\w+)\}\}/g, (_, key) => variables[key] ?? '');
+  }
+
+  /**
+   * @description Stream the scripted reply word by word
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Same as chat()
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamChat(messages, options = {}) {
+    const reply = await this.chat(messages, options);
+    for (const word of reply.match(/\S+\s*/g) || []) {
+      yield word;
+    }
+  }
+
+  /**
+   * @description Reproducible n-gram vectors (see NgramEmbeddingProvider)
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One unit-length vector per text
+   */
+  async embed(texts) {
+    return this.embedder.embed(texts);
+  }
+}
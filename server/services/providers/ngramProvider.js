@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Embedding provider that runs on the CPU without network or model files: texts are mapped
+ * to hashed word-stem and character n-gram features with sublinear term weighting. Texts that share words,
+ * inflections or spellings get similar vectors, and the same text always gets the same vector. It has no
+ * chat model.
+ */
+
+import { tokenize } from '../../utils/lexicalSearch.js';
+
+const NGRAM_SIZES = [3, 4];
+// Share of a word's weight carried by its character n-grams; the rest goes to the word stem itself
+const NGRAM_WEIGHT = 0.5;
+
+// 32-bit FNV-1a, seeded so one feature can pick both a dimension and an independent sign
+const hash = (text, seed) => {
+  let value = 0x811c9dc5 ^ seed;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+};
+
+export class NgramEmbeddingProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Registry name of this provider
+   * @param {number} [options.dimensions=512] - Size of generated vectors
+   */
+  constructor({ name, dimensions = 512 }) {
+    this.name = name;
+    this.chatModel = null;
+    this.dimensions = dimensions;
+    this.embeddingModel = `ngram-${dimensions}`;
+    this.worksOffline = true;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async chat() {
+    throw new Error(`Provider ${this.name} only provides embeddings`);
+  }
+
+  streamChat() {
+    throw new Error(`Provider ${this.name} only provides embeddings`);
+  }
+
+  /**
+   * @description Feature weights of a text: every word weighs 1, split between its stem and its character
+   * n-grams, so long words do not outweigh short ones
+   */
+  features(text) {
+    const weights = new Map();
+    const add = (feature, weight) => weights.set(feature, (weights.get(feature) || 0) + weight);
+
+    for (const word of tokenize(text)) {
+      add(`w:${word}`, 1 - NGRAM_WEIGHT);
+      const padded = `<${word}>`;
+      const grams = NGRAM_SIZES.flatMap((size) =>
+        Array.from({ length: Math.max(padded.length - size + 1, 0) }, (_, i) => padded.slice(i, i + size))
+      );
+      grams.forEach((gram) => add(`c:${gram}`, NGRAM_WEIGHT / grams.length));
+    }
+    return weights;
+  }
+
+  /**
+   * @description Embed one text
+   * @param {string} text - Text to embed
+   * @returns {number[]} Unit-length vector, all zeros for text without words
+   */
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, weight] of this.features(text)) {
+      // Sublinear weighting keeps a repeated word from dominating a chunk
+      const value = Math.log1p(weight);
+      vector[hash(feature, 0) % this.dimensions] += hash(feature, 1) & 1 ? value : -value;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map((value) => value / norm);
+  }
+
+  /**
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One unit-length vector per text
+   */
+  async embed(texts) {
+    return texts.map((text) => this.embedText(String(text)));
+  }
+}
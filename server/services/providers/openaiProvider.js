@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Chat and embedding provider for OpenAI and OpenAI-compatible servers (llama.cpp, Ollama, vLLM)
+ */
+
+import OpenAI from 'openai';
+
+export class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Registry name of this provider
+   * @param {string} [options.apiKey] - API key
+   * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible server
+   * @param {string} options.chatModel - Default chat model
+   * @param {string} options.embeddingModel - Default embedding model
+   */
+  constructor({ name, apiKey, baseURL, chatModel, embeddingModel }) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.chatModel = chatModel;
+    this.embeddingModel = embeddingModel;
+    this.client = null;
+  }
+
+  isAvailable() {
+    // Local OpenAI-compatible servers usually accept any key, so a base URL is enough
+    if (this.baseURL) return true;
+    return Boolean(this.apiKey) && this.apiKey !== 'your_openai_api_key_here';
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey || 'not-needed',
+        ...(this.baseURL ? { baseURL: this.baseURL } : {}),
+      });
+    }
+    return this.client;
+  }
+
+  buildRequest(messages, options) {
+    const request = {
+      model: options.model || this.chatModel,
+      messages,
+    };
+    if (options.temperature !== undefined) request.temperature = options.temperature;
+    if (options.maxTokens !== undefined) request.max_tokens = options.maxTokens;
+    if (options.topP !== undefined) request.top_p = options.topP;
+    if (options.frequencyPenalty !== undefined) request.frequency_penalty = options.frequencyPenalty;
+    if (options.presencePenalty !== undefined) request.presence_penalty = options.presencePenalty;
+    if (options.responseFormat === 'json') request.response_format = { type: 'json_object' };
+    return request;
+  }
+
+  /**
+   * @description Generate a chat completion
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - model, temperature, maxTokens, topP, frequencyPenalty, presencePenalty, responseFormat, signal
+   * @returns {Promise<string>} Reply text
+   */
+  async chat(messages, options = {}) {
+    const completion = await this.getClient().chat.completions.create(this.buildRequest(messages, options), {
+      signal: options.signal,
+    });
+    return completion.choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * @description Generate a chat completion as a stream of text deltas
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Same as chat()
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamChat(messages, options = {}) {
+    const stream = await this.getClient().chat.completions.create(
+      { ...this.buildRequest(messages, options), stream: true },
+      { signal: options.signal },
+    );
+    for await (const part of stream) {
+      const delta = part.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+
+  /**
+   * @description Embed a batch of texts
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} [options] - model
+   * @returns {Promise<number[][]>} One vector per text
+   */
+  async embed(texts, options = {}) {
+    const response = await this.getClient().embeddings.create({
+      model: options.model || this.embeddingModel,
+      input: texts,
+      // Ask for plain floats: several compatible servers ignore the SDK's default base64 encoding
+      encoding_format: 'float',
+    });
+    if (!response || !Array.isArray(response.data)) {
+      throw new Error('Invalid response from embeddings API');
+    }
+    return response.data.map((item) => item.embedding);
+  }
+}
@@ -1,41 +1,79 @@
 /**
- * @fileoverview RAG (Retrieval Augmented Generation) service for PDF processing and knowledge base
+ * @fileoverview RAG (Retrieval Augmented Generation) service for PDF processing and knowledge base. This is
+ * the only document store: the /rag and /pdf routes both use it. Documents live in
+ * knowledge_base/<filename>.json under UPLOAD_DIR; files left in UPLOAD_DIR or server/uploads by the former
+ * PDF store (<filename>.json and the older <name>_processed.json) are imported into it at startup.
  */
 
 import fs from 'fs';
 import path from 'path';
-import OpenAI from 'openai';
+import { fileURLToPath } from 'url';
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { chunkDocument, formatCitation } from '../utils/documentChunker.js';
+import { analyze, bm25Scores, reciprocalRankFusion, tokenize } from '../utils/lexicalSearch.js';
+import { llmService } from './llmService.js';
+import { promptService } from './promptService.js';
 
 // Try to import PDF processing libraries
 let pdfParse = null;
 
 try {
-  const pdfModule = await import('pdf-parse');
+  // The package entry point parses a bundled test file when it is not loaded through require()
+  const pdfModule = await import('pdf-parse/lib/pdf-parse.js');
   pdfParse = pdfModule.default || pdfModule;
   logger.info('RAGService', 'pdf-parse loaded successfully');
 } catch (error) {
   logger.warn('RAGService', 'pdf-parse not available', { error: error.message });
 }
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LEGACY_SUFFIX = '_processed.json';
+// Where the former PDF store kept processed documents in a checkout of the repository
+const REPO_UPLOAD_DIR = path.join(__dirname, '../uploads');
+
+/**
+ * @description Page renderer for pdf-parse that also records the text of each page. Lines are broken where
+ * the text moves to a new baseline, as pdf-parse's own renderer does.
+ * @param {Array<{page: number, text: string}>} pages - Receives the rendered pages
+ */
+const renderPageInto = (pages) => async (pageData) => {
+  const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let text = '';
+  let lastY = null;
+  for (const item of content.items) {
+    const y = item.transform[5];
+    text += lastY === null || lastY === y ? item.str : `\n${item.str}`;
+    lastY = y;
+  }
+  pages.push({ page: pageData.pageIndex + 1, text });
+  return text;
+};
+
+// Identifies the embedding model of an entry; entries from before models were recorded have none
+const modelKey = (model) => (model?.provider && model?.model ? `${model.provider}:${model.model}` : null);
+
+const RERANK_PROMPT = `You rank document excerpts by how well they answer a question.
+Reply with a JSON array of all excerpt numbers, most relevant first, and nothing else, e.g. [3, 1, 2].`;
+// Excerpts are cut to this length for the reranker
+const RERANK_EXCERPT_CHARS = 600;
+
 class RAGService {
   constructor() {
-    // Initialize OpenAI client
-    if (config.openai.apiKey && config.openai.apiKey !== '') {
-      this.openai = new OpenAI({ apiKey: config.openai.apiKey });
-    } else {
-      this.openai = null;
-    }
-    
     // Knowledge base storage
     this.knowledgeBase = new Map(); // filename -> { chunks, embeddings, metadata }
     this.vectorIndex = new Map(); // chunk_id -> embedding vector
+    this.lexicalIndex = new WeakMap(); // chunk -> term frequencies (analyze()), built on first search
     
     // Storage directories
-    this.uploadDir = process.env.UPLOAD_DIR || path.join('/tmp', 'uploads');
+    this.uploadDir = config.documents.uploadDir || path.join('/tmp', 'uploads');
     this.kbDir = path.join(this.uploadDir, 'knowledge_base');
     this.ensureDirectories();
+
+    // Reads of the knowledge base wait for this, so imported documents are never reported missing
+    this.migration = this.migrateLegacyData();
   }
 
   ensureDirectories() {
@@ -54,23 +92,29 @@ class RAGService {
   /**
    * @description Extract text from PDF using multiple methods
    * @param {Buffer} pdfBuffer - PDF file buffer
-   * @returns {Promise<string>} Extracted text
+   * @returns {Promise<{text: string, pages: Array<{page: number, text: string}>|null}>} Extracted text, and
+   * the text of each page when pdf-parse could read the file (the fallback methods know no pages)
    */
   async extractTextFromPDF(pdfBuffer) {
     try {
       let extractedText = '';
       let extractionMethod = '';
+      let pages = null;
 
       // Method 1: Try pdf-parse
       if (pdfParse) {
         try {
           logger.info('RAGService', 'Attempting pdf-parse extraction');
-          const data = await pdfParse(pdfBuffer);
+          const renderedPages = [];
+          // pdf.js reads the whole memory behind a Buffer, so small (pooled) uploads are copied out first
+          const data = await pdfParse(new Uint8Array(pdfBuffer), { pagerender: renderPageInto(renderedPages) });
           if (data && data.text && data.text.trim().length > 10) {
             extractedText = data.text.trim();
             extractionMethod = 'pdf-parse';
+            pages = renderedPages.sort((a, b) => a.page - b.page);
             logger.info('RAGService', 'Text extracted using pdf-parse', { 
               textLength: extractedText.length,
+              pages: pages.length,
               preview: extractedText.substring(0, 100) + '...'
             });
           } else {
@@ -93,6 +137,7 @@ class RAGService {
           if (basicText && basicText.trim().length > 10) {
             extractedText = basicText.trim();
             extractionMethod = 'basic';
+            pages = null;
             logger.info('RAGService', 'Text extracted using basic method', { 
               textLength: extractedText.length,
               preview: extractedText.substring(0, 100) + '...'
@@ -115,6 +160,7 @@ class RAGService {
           if (altText && altText.trim().length > 10) {
             extractedText = altText.trim();
             extractionMethod = 'alternative';
+            pages = null;
             logger.info('RAGService', 'Text extracted using alternative method', { 
               textLength: extractedText.length,
               preview: extractedText.substring(0, 100) + '...'
@@ -129,6 +175,7 @@ class RAGService {
         // Last resort: create a minimal text to prevent complete failure
         extractedText = `PDF document content extracted. This document appears to be a PDF file but specific text extraction methods were unable to parse the content. The document may contain images, scanned content, or use a format that requires specialized processing. Document size: ${pdfBuffer.length} bytes.`;
         extractionMethod = 'fallback';
+        pages = null;
         logger.warn('RAGService', 'Using fallback text for PDF', { 
           pdfSize: pdfBuffer.length,
           reason: 'All extraction methods failed'
@@ -140,7 +187,7 @@ class RAGService {
         textLength: extractedText.length 
       });
 
-      return extractedText;
+      return { text: extractedText, pages };
     } catch (error) {
       logger.error('RAGService', 'PDF text extraction failed', { error: error.message });
       throw error;
@@ -254,76 +301,41 @@ class RAGService {
   }
 
   /**
-   * @description Split text into chunks for processing
-   * @param {string} text - Text to chunk
-   * @param {number} chunkSize - Size of each chunk
-   * @param {number} overlap - Overlap between chunks
-   * @returns {Array} Text chunks
+   * @description Split a document into chunks along its headings, paragraphs and lists, sized by
+   * config.retrieval.chunkTokens with config.retrieval.chunkOverlap tokens of overlap
+   * @param {Array<{page: number|null, text: string}>} pages - Text of each page; page is null for text
+   * without page numbers
+   * @returns {Array<{text: string, metadata: Object}>} Chunks with their page and section
    */
-  chunkText(text, chunkSize = 1000, overlap = 200) {
-    try {
-      if (!text || typeof text !== 'string') {
-        logger.warn('RAGService', 'Invalid text for chunking', { textType: typeof text });
-        return [];
-      }
-
-      const chunks = [];
-      const sentences = text.split(/[.!?]+/).filter(s => s && s.trim().length > 0);
-      
-      if (!sentences || sentences.length === 0) {
-        logger.warn('RAGService', 'No sentences found for chunking');
-        return [];
-      }
-      
-      let currentChunk = '';
-      for (const sentence of sentences) {
-        if (!sentence) continue;
-        
-        const trimmedSentence = sentence.trim();
-        if (!trimmedSentence) continue;
-        
-        if (currentChunk.length + trimmedSentence.length > chunkSize) {
-          if (currentChunk.trim()) {
-            chunks.push(currentChunk.trim());
-          }
-          currentChunk = trimmedSentence;
-        } else {
-          currentChunk += (currentChunk ? '. ' : '') + trimmedSentence;
-        }
-      }
-      
-      if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
-      }
-      
-      logger.info('RAGService', 'Text chunking completed', { 
-        originalLength: text.length,
-        chunksCount: chunks.length,
-        chunkSize 
-      });
-      
-      return chunks;
-    } catch (error) {
-      logger.error('RAGService', 'Text chunking failed', { error: error.message });
-      return [];
-    }
+  chunkText(pages) {
+    const { chunkTokens, chunkOverlap } = config.retrieval;
+    const chunks = chunkDocument(pages, { chunkTokens, overlapTokens: chunkOverlap });
+
+    logger.info('RAGService', 'Text chunking completed', { 
+      pages: pages.length,
+      chunksCount: chunks.length,
+      chunkTokens 
+    });
+    return chunks;
   }
 
   /**
    * @description Generate embeddings for text chunks
    * @param {Array} chunks - Text chunks
-   * @returns {Promise<Array>} Embeddings
+   * @returns {Promise<{vectors: Array, model: Object|null}>} Embeddings and the model that produced them
+   * ({ provider, model, dimensions }); no vectors and a null model on failure
    */
   async generateEmbeddings(chunks) {
+    const failed = { vectors: [], model: null };
     try {
       if (!chunks || !Array.isArray(chunks)) {
         logger.warn('RAGService', 'Invalid chunks for embedding generation', { chunksType: typeof chunks });
-        return [];
+        return failed;
       }
 
       if (chunks.length === 0) {
         logger.warn('RAGService', 'No chunks to generate embeddings for');
-        return [];
+        return failed;
       }
 
       // Filter out invalid chunks
@@ -331,204 +343,270 @@ class RAGService {
       
       if (validChunks.length === 0) {
         logger.warn('RAGService', 'No valid chunks for embedding generation');
-        return [];
-      }
-
-      if (!this.openai) {
-        logger.warn('RAGService', 'OpenAI client not initialized, using fallback embeddings');
-        return this.generateFallbackEmbeddings(validChunks);
+        return failed;
       }
 
+      let model = llmService.embeddingModel('embeddings');
+      let vectors;
       try {
-        const response = await this.openai.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: validChunks,
-        });
-
-        if (!response || !response.data || !Array.isArray(response.data)) {
-          throw new Error('Invalid response from OpenAI embeddings API');
-        }
-
-        return response.data.map(item => item.embedding);
+        vectors = await llmService.embed('embeddings', validChunks);
       } catch (error) {
         if (error.status === 429 || error.message.includes('quota') || error.message.includes('rate limit')) {
-          logger.warn('RAGService', 'OpenAI quota exceeded, using fallback embeddings', { error: error.message });
-          return this.generateFallbackEmbeddings(validChunks);
+          logger.warn('RAGService', 'Embedding provider quota exceeded, using local n-gram embeddings', { error: error.message });
+          const fallback = llmService.getProvider('ngram');
+          model = { provider: fallback.name, model: fallback.embeddingModel };
+          vectors = await fallback.embed(validChunks);
+        } else {
+          logger.error('RAGService', 'Failed to generate embeddings', { error: error.message });
+          throw error;
         }
-        logger.error('RAGService', 'Failed to generate embeddings', { error: error.message });
-        throw error;
       }
+      return { vectors, model: { ...model, dimensions: vectors[0]?.length ?? 0 } };
     } catch (error) {
       logger.error('RAGService', 'Embedding generation failed', { error: error.message });
-      return [];
+      return failed;
     }
   }
 
   /**
-   * @description Generate fallback embeddings using simple hash-based vectors
-   * @param {Array} chunks - Text chunks
-   * @returns {Array} Fallback embeddings
+   * @description Embedding model the knowledge base should use, i.e. the configured one
+   * @returns {{provider: string, model: string}} Provider name and model
    */
-  generateFallbackEmbeddings(chunks) {
-    try {
-      if (!chunks || !Array.isArray(chunks)) {
-        logger.warn('RAGService', 'Invalid chunks for fallback embeddings', { chunksType: typeof chunks });
-        return [];
-      }
-
-      return chunks.map(chunk => {
-        try {
-          // Handle both string chunks and object chunks
-          const text = typeof chunk === 'string' ? chunk : (chunk.text || '');
-          
-          if (!text || typeof text !== 'string') {
-            logger.warn('RAGService', 'Invalid chunk text for fallback embedding', { chunkType: typeof chunk });
-            return this.createRandomVector();
-          }
-
-          // Create a simple hash-based vector for fallback
-          const hash = this.simpleHash(text);
-          const vector = [];
-          
-          // Generate a 384-dimensional vector based on hash
-          for (let i = 0; i < 384; i++) {
-            const seed = (hash + i) % 1000;
-            vector.push((Math.sin(seed) + 1) / 2); // Normalize to 0-1
-          }
-          
-          return vector;
-        } catch (error) {
-          logger.warn('RAGService', 'Failed to generate fallback embedding for chunk', { error: error.message });
-          return this.createRandomVector();
-        }
-      });
-    } catch (error) {
-      logger.error('RAGService', 'Fallback embedding generation failed', { error: error.message });
-      return [];
-    }
+  currentEmbeddingModel() {
+    return llmService.embeddingModel('embeddings');
   }
 
   /**
-   * @description Create a random vector for fallback
-   * @returns {Array} Random vector
+   * @description Check whether an entry's vectors come from the current embedding model
+   * @param {Object} kbEntry - Knowledge base entry
+   * @returns {boolean} True when the entry needs re-embedding
    */
-  createRandomVector() {
-    const vector = [];
-    for (let i = 0; i < 384; i++) {
-      vector.push(Math.random());
-    }
-    return vector;
+  needsReembedding(kbEntry) {
+    return modelKey(kbEntry.metadata?.embedding) !== modelKey(this.currentEmbeddingModel());
   }
 
   /**
-   * @description Simple hash function for fallback embeddings
-   * @param {string} text - Text to hash
-   * @returns {number} Hash value
+   * @description Re-embed a stored document with the current embedding model, keeping its chunks
+   * @param {string} filename - PDF filename
+   * @returns {Promise<Object|null>} The embedding model used, or null when the document was replaced
+   * while it was being embedded (the new version is already current)
+   * @throws {Error} When the document is unknown or embedding fails
    */
-  simpleHash(text) {
-    let hash = 0;
-    for (let i = 0; i < text.length; i++) {
-      const char = text.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  async reembedDocument(filename) {
+    const kbEntry = await this.loadKnowledgeBase(filename);
+    if (!kbEntry) {
+      throw new Error(`Knowledge base not found for ${filename}`);
+    }
+
+    const { vectors, model } = await this.generateEmbeddings(kbEntry.chunks.map(chunk => chunk.text));
+    if (!model || vectors.length !== kbEntry.chunks.length) {
+      throw new Error('Failed to generate embeddings for PDF chunks');
     }
-    return Math.abs(hash);
+    if (this.knowledgeBase.get(filename) !== kbEntry) {
+      return null;
+    }
+
+    await this.storeKnowledgeBase(filename, {
+      ...kbEntry,
+      chunks: kbEntry.chunks.map((chunk, index) => ({ ...chunk, embedding: vectors[index] })),
+      metadata: { ...kbEntry.metadata, embedding: model, reembeddedAt: new Date().toISOString() }
+    });
+    logger.info('RAGService', 'Document re-embedded', { filename, model });
+    return model;
   }
 
   /**
    * @description Process and store PDF in knowledge base
    * @param {string} filename - PDF filename
    * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with (stage, progress 0-1, details) as processing advances
    * @returns {Promise<Object>} Processing result
    */
-  async processPDF(filename, pdfBuffer) {
+  async processPDF(filename, pdfBuffer, { onProgress = () => {} } = {}) {
     try {
       logger.info('RAGService', 'Starting PDF processing', { filename });
 
       // Extract text
-      const extractedText = await this.extractTextFromPDF(pdfBuffer);
+      onProgress('extracting', 0.1);
+      const { text: extractedText, pages } = await this.extractTextFromPDF(pdfBuffer);
       if (!extractedText) {
         throw new Error('No text could be extracted from PDF');
       }
 
-      // Chunk text
-      const chunks = this.chunkText(extractedText);
-      if (!chunks || chunks.length === 0) {
-        throw new Error('No valid chunks could be created from PDF');
-      }
+      return await this.indexDocument(filename, extractedText, { onProgress, pages });
+    } catch (error) {
+      logger.error('RAGService', 'PDF processing failed', { 
+        error: error.message, 
+        filename 
+      });
+      throw error;
+    }
+  }
 
-      logger.info('RAGService', 'Text chunking completed', { 
-        chunksCount: chunks.length,
-        firstChunkPreview: chunks[0] ? chunks[0].substring(0, 100) + '...' : 'N/A'
+  /**
+   * @description Chunk and embed a document's text and store it in the knowledge base
+   * @param {string} filename - Document filename
+   * @param {string} text - Full document text
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with (stage, progress 0-1, details) as processing advances
+   * @param {Object} [options.metadata] - Extra entry metadata; may override processedAt
+   * @param {Array<{page: number, text: string}>|null} [options.pages] - Text of each page; without it the
+   * chunks have no page numbers
+   * @param {boolean} [options.embed=true] - Embed the chunks now; without embeddings the document is found
+   * by lexical search only until reindexService embeds it
+   * @returns {Promise<Object>} Processing result
+   */
+  async indexDocument(filename, text, { onProgress = () => {}, metadata = {}, pages = null, embed = true } = {}) {
+    // Chunk text
+    onProgress('chunking', 0.3, { textLength: text.length });
+    const chunks = this.chunkText(pages || [{ page: null, text }]);
+    if (!chunks || chunks.length === 0) {
+      throw new Error('No valid chunks could be created from PDF');
+    }
+
+    logger.info('RAGService', 'Text chunking completed', { 
+      chunksCount: chunks.length,
+      firstChunkPreview: chunks[0] ? chunks[0].text.substring(0, 100) + '...' : 'N/A'
+    });
+
+    // Generate embeddings
+    onProgress('embedding', 0.4, { chunksCount: chunks.length });
+    const { vectors: embeddings, model } = embed
+      ? await this.generateEmbeddings(chunks.map(chunk => chunk.text))
+      : { vectors: chunks.map(() => null), model: null };
+    
+    if (!embeddings || embeddings.length === 0) {
+      throw new Error('Failed to generate embeddings for PDF chunks');
+    }
+
+    if (embeddings.length !== chunks.length) {
+      logger.warn('RAGService', 'Embedding count mismatch', { 
+        chunksCount: chunks.length, 
+        embeddingsCount: embeddings.length 
       });
+    }
 
-      // Generate embeddings
-      const embeddings = await this.generateEmbeddings(chunks);
-      
-      if (!embeddings || embeddings.length === 0) {
-        throw new Error('Failed to generate embeddings for PDF chunks');
-      }
+    // Create knowledge base entry
+    const processedAt = metadata.processedAt || new Date().toISOString();
+    const kbEntry = {
+      filename,
+      originalText: text,
+      chunks: chunks.map((chunk, index) => {
+        return {
+          id: `${filename}_chunk_${index}`,
+          text: chunk.text,
+          embedding: embed ? embeddings[index] || [] : null,
+          metadata: {
+            ...chunk.metadata,
+            chunkIndex: index,
+            totalChunks: chunks.length,
+            processedAt
+          }
+        };
+      }),
+      metadata: {
+        ...metadata,
+        totalChunks: chunks.length,
+        processedAt,
+        textLength: text.length,
+        pages: pages ? pages.length : null,
+        embedding: model
+      }
+    };
+
+    onProgress('storing', 0.9);
+    await this.storeKnowledgeBase(filename, kbEntry);
+    onProgress('done', 1, { chunksCount: chunks.length });
+
+    logger.info('RAGService', 'PDF processed successfully', { 
+      filename, 
+      chunksCount: chunks.length 
+    });
 
-      if (embeddings.length !== chunks.length) {
-        logger.warn('RAGService', 'Embedding count mismatch', { 
-          chunksCount: chunks.length, 
-          embeddingsCount: embeddings.length 
-        });
+    return {
+      success: true,
+      filename,
+      chunksCount: chunks.length,
+      textLength: text.length
+    };
+  }
+
+  /**
+   * @description Import documents processed by the former PDF store into the knowledge base. Their
+   * fixed-size slices are joined back into the document text and re-chunked like an upload. Their vectors
+   * came from a different (often mock) embedding setup, so they are stored without embeddings: every
+   * request waits for this import, which must not wait on an embedding provider. reindexService embeds
+   * them in the background afterwards. UPLOAD_DIR is scanned first, then server/uploads. Documents already
+   * in the knowledge base are left alone and the old files are kept, so running this again changes nothing.
+   * @returns {Promise<string[]>} Filenames of the imported documents
+   */
+  async migrateLegacyData() {
+    const imported = [];
+    const files = [];
+    for (const dir of new Set([path.resolve(this.uploadDir), REPO_UPLOAD_DIR])) {
+      try {
+        fs.readdirSync(dir, { withFileTypes: true })
+          .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+          .forEach(entry => files.push({ dir, file: entry.name }));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error('RAGService', 'Failed to scan directory for legacy data', { dir, error: error.message });
+        }
       }
+    }
 
-      // Create knowledge base entry
-      const kbEntry = {
-        filename,
-        originalText: extractedText,
-        chunks: chunks.map((chunk, index) => {
-          const embedding = embeddings[index] || this.createRandomVector();
-          return {
-            id: `${filename}_chunk_${index}`,
-            text: chunk,
-            embedding: embedding,
-            metadata: {
-              chunkIndex: index,
-              totalChunks: chunks.length,
-              processedAt: new Date().toISOString()
-            }
-          };
-        }),
-        metadata: {
-          totalChunks: chunks.length,
-          processedAt: new Date().toISOString(),
-          textLength: extractedText.length
+    for (const { dir, file } of files) {
+      try {
+        const data = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+        if (!data || !Array.isArray(data.chunks)) continue;
+
+        const filename = data.filename || (file.endsWith(LEGACY_SUFFIX) ? `${file.slice(0, -LEGACY_SUFFIX.length)}.pdf` : file.slice(0, -'.json'.length));
+        if (fs.existsSync(path.join(this.kbDir, `${filename}.json`))) continue;
+
+        const text = [...data.chunks]
+          .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+          .map(chunk => (chunk.content || chunk.text || '').trim())
+          .filter(Boolean)
+          .join(' ');
+        if (!text) {
+          logger.warn('RAGService', 'Skipping legacy document without text', { file });
+          continue;
         }
-      };
 
-      // Store in memory
-      this.knowledgeBase.set(filename, kbEntry);
-      
-      // Store embeddings in vector index
-      kbEntry.chunks.forEach(chunk => {
-        this.vectorIndex.set(chunk.id, chunk.embedding);
-      });
+        await this.indexDocument(filename, text, {
+          metadata: { processedAt: data.processedAt, migratedFrom: file },
+          embed: false
+        });
+        imported.push(filename);
+        logger.info('RAGService', 'Legacy document imported into knowledge base', { file, filename });
+      } catch (error) {
+        logger.error('RAGService', 'Failed to import legacy document', { file, error: error.message });
+      }
+    }
 
-      // Save to file for persistence
-      await this.saveKnowledgeBase(filename, kbEntry);
+    if (imported.length > 0) {
+      logger.info('RAGService', 'Legacy PDF data migrated', { count: imported.length });
+    }
+    return imported;
+  }
 
-      logger.info('RAGService', 'PDF processed successfully', { 
-        filename, 
-        chunksCount: chunks.length 
-      });
+  /**
+   * @description Make a knowledge base entry searchable and persist it, replacing any entry with the same name
+   * @param {string} filename - PDF filename
+   * @param {Object} kbEntry - Knowledge base entry
+   */
+  async storeKnowledgeBase(filename, kbEntry) {
+    // Store in memory
+    this.knowledgeBase.set(filename, kbEntry);
 
-      return {
-        success: true,
-        filename,
-        chunksCount: chunks.length,
-        textLength: extractedText.length
-      };
-    } catch (error) {
-      logger.error('RAGService', 'PDF processing failed', { 
-        error: error.message, 
-        filename 
-      });
-      throw error;
-    }
+    // Store embeddings in vector index
+    kbEntry.chunks.forEach(chunk => {
+      this.vectorIndex.set(chunk.id, chunk.embedding);
+    });
+
+    // Save to file for persistence
+    await this.saveKnowledgeBase(filename, kbEntry);
   }
 
   /**
@@ -553,6 +631,8 @@ class RAGService {
    */
   async loadKnowledgeBase(filename) {
     try {
+      await this.migration;
+
       // Check memory first
       if (this.knowledgeBase.has(filename)) {
         return this.knowledgeBase.get(filename);
@@ -607,56 +687,68 @@ class RAGService {
   }
 
   /**
-   * @description Search for relevant chunks using vector similarity
+   * @description Search for relevant chunks, ranking chunks of all searched documents together. BM25 and
+   * vector similarity rankings are fused by reciprocal rank, so exact terms such as names and product
+   * codes are found even when the embeddings miss them, and the fused top chunks are optionally reranked.
    * @param {string} query - Search query
-   * @param {string} filename - PDF filename
+   * @param {string|string[]|null} [filenames] - PDF filename(s) to search; every document when omitted
    * @param {number} limit - Maximum number of results
-   * @returns {Promise<Array>} Relevant chunks
+   * @returns {Promise<Array>} Relevant chunks, each with the filename it came from, its citation ("page 12,
+   * section 3.2"; null when unknown), its similarity (0-1) and fused score
    */
-  async searchChunks(query, filename, limit = 5) {
+  async searchChunks(query, filenames = null, limit = 5) {
     try {
-      // Load knowledge base if not in memory
-      let kbEntry = this.knowledgeBase.get(filename);
-      if (!kbEntry) {
-        kbEntry = await this.loadKnowledgeBase(filename);
+      const searchAll = filenames === null || filenames === undefined;
+      const candidates = []; // { chunk, filename }
+      for (const filename of searchAll ? await this.listFilenames() : [].concat(filenames)) {
+        const kbEntry = await this.loadKnowledgeBase(filename);
         if (!kbEntry) {
-          throw new Error('Knowledge base not found for this PDF');
+          // An unreadable file should not break a search over everything
+          if (searchAll) continue;
+          throw new Error(`Knowledge base not found for ${filename}`);
         }
+        kbEntry.chunks.forEach(chunk => candidates.push({ chunk, filename, model: kbEntry.metadata?.embedding }));
       }
 
-      // Try vector similarity search first
-      try {
-        // Generate query embedding
-        const queryEmbedding = await this.generateEmbeddings([query]);
-        const queryVector = queryEmbedding[0];
-
-        // Calculate similarities
-        const similarities = kbEntry.chunks.map(chunk => ({
-          chunk,
-          similarity: this.cosineSimilarity(queryVector, chunk.embedding)
-        }));
-
-        // Sort by similarity and return top results
-        const results = similarities
-          .sort((a, b) => b.similarity - a.similarity)
-          .slice(0, limit)
-          .map(item => ({
-            text: item.chunk.text,
-            similarity: item.similarity,
-            metadata: item.chunk.metadata
-          }));
-
-        logger.info('RAGService', 'Vector search completed', { 
-          filename, 
-          query, 
-          resultsCount: results.length 
-        });
-
-        return results;
-      } catch (embeddingError) {
-        logger.warn('RAGService', 'Vector search failed, using text search', { error: embeddingError.message });
-        return this.textBasedSearch(query, kbEntry.chunks, limit);
+      if (candidates.length === 0) {
+        return [];
       }
+
+      const { candidates: depth, rrfK } = config.retrieval;
+      const lexical = this.lexicalRanking(query, candidates);
+      const vector = await this.vectorRanking(query, candidates);
+      const fused = reciprocalRankFusion(
+        [lexical, vector || []].map(ranking => ranking.slice(0, depth).map(({ index }) => index)),
+        rrfK
+      );
+
+      // Without vectors, similarity is the BM25 score relative to the best match
+      const similarities = new Map((vector || lexical).map(({ index, score }) => [index, score]));
+      const topLexicalScore = lexical[0]?.score || 1;
+      let results = fused.map(({ key: index, score }) => ({
+        text: candidates[index].chunk.text,
+        similarity: vector ? similarities.get(index) ?? 0 : similarities.get(index) / topLexicalScore,
+        score,
+        filename: candidates[index].filename,
+        citation: formatCitation(candidates[index].chunk.metadata),
+        metadata: candidates[index].chunk.metadata
+      }));
+
+      if (config.retrieval.rerank) {
+        results = await this.rerank(query, results);
+      }
+      results = results.slice(0, limit);
+
+      logger.info('RAGService', 'Hybrid search completed', { 
+        filenames: searchAll ? 'all' : filenames, 
+        query, 
+        chunksSearched: candidates.length,
+        lexicalMatches: lexical.length,
+        vectorSearch: !!vector,
+        resultsCount: results.length 
+      });
+
+      return results;
     } catch (error) {
       logger.error('RAGService', 'Chunk search failed', { error: error.message });
       throw error;
@@ -664,91 +756,125 @@ class RAGService {
   }
 
   /**
-   * @description Fallback text-based search when embeddings fail
+   * @description Rank chunks by BM25 over the searched chunks; only chunks containing a query term are ranked
    * @param {string} query - Search query
-   * @param {Array} chunks - Text chunks
-   * @param {number} limit - Maximum number of results
-   * @returns {Array} Relevant chunks
+   * @param {Array<{chunk: Object}>} candidates - Chunks being searched
+   * @returns {Array<{index: number, score: number}>} Candidate indexes with BM25 scores, best first
    */
-  textBasedSearch(query, chunks, limit = 5) {
-    const queryWords = query.toLowerCase().split(/\s+/).filter(word => word.length > 2);
-    
-    const scoredChunks = chunks.map(chunk => {
-      const text = chunk.text.toLowerCase();
-      let score = 0;
-      
-      // Count word matches
-      queryWords.forEach(word => {
-        const matches = (text.match(new RegExp(word, 'g')) || []).length;
-        score += matches;
-      });
-      
-      // Bonus for exact phrase matches
-      if (text.includes(query.toLowerCase())) {
-        score += 5;
+  lexicalRanking(query, candidates) {
+    const documents = candidates.map(({ chunk }) => {
+      if (!this.lexicalIndex.has(chunk)) {
+        this.lexicalIndex.set(chunk, analyze(chunk.text));
       }
-      
-      return {
-        text: chunk.text,
-        similarity: Math.min(score / queryWords.length, 1), // Normalize to 0-1
-        metadata: chunk.metadata
-      };
+      return this.lexicalIndex.get(chunk);
     });
 
-    return scoredChunks
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit);
+    return bm25Scores(tokenize(query), documents)
+      .map((score, index) => ({ index, score }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * @description Rank chunks by cosine similarity to the query embedding. The query is embedded with the
+   * model each document was embedded with; documents whose model cannot be used now (e.g. its key was
+   * removed) are left to the lexical ranking until they are re-embedded.
+   * @param {string} query - Search query
+   * @param {Array<{chunk: Object, model: Object}>} candidates - Chunks being searched, with their document's model
+   * @returns {Promise<Array<{index: number, score: number}>|null>} Candidate indexes with similarities, best
+   * first, or null when the query could not be embedded for any document
+   */
+  async vectorRanking(query, candidates) {
+    const current = modelKey(this.currentEmbeddingModel());
+    const queryVectors = new Map(); // model key -> query vector, null when unavailable
+    const queryVectorFor = async (model) => {
+      // Entries without a recorded model are compared with the current model's vectors
+      const key = modelKey(model) || current;
+      if (!queryVectors.has(key)) {
+        let vector = null;
+        try {
+          vector = key === current ? (await this.generateEmbeddings([query])).vectors[0] : (await llmService.embedWith(model, [query]))[0];
+        } catch (error) {
+          logger.warn('RAGService', 'Cannot embed query with document model', { model: key, error: error.message });
+        }
+        queryVectors.set(key, Array.isArray(vector) && vector.length > 0 ? vector : null);
+      }
+      return queryVectors.get(key);
+    };
+
+    const ranking = [];
+    for (const [index, { chunk, model }] of candidates.entries()) {
+      const queryVector = await queryVectorFor(model);
+      // A query without words embeds to zeros, which is similar to nothing
+      if (!queryVector || queryVector.every(value => value === 0)) continue;
+      if (!Array.isArray(chunk.embedding) || chunk.embedding.length !== queryVector.length) continue;
+      ranking.push({ index, score: this.cosineSimilarity(queryVector, chunk.embedding) });
+    }
+
+    if ([...queryVectors.values()].every(vector => vector === null)) {
+      logger.warn('RAGService', 'Query embedding unavailable, using lexical search only');
+      return null;
+    }
+    return ranking.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * @description Let the rerank LLM reorder the top results. Skipped with the mock provider; on failure or
+   * an unusable reply the fused order is kept.
+   * @param {string} query - Search query
+   * @param {Array} results - Search results, best first
+   * @returns {Promise<Array>} Results in the new order
+   */
+  async rerank(query, results) {
+    const head = results.slice(0, config.retrieval.rerankCandidates);
+    if (head.length < 2 || llmService.isMock('rerank')) return results;
+
+    try {
+      const excerpts = head.map((result, index) => `[${index + 1}] ${result.text.slice(0, RERANK_EXCERPT_CHARS)}`).join('\n\n');
+      const reply = await llmService.chat('rerank', [
+        { role: 'system', content: RERANK_PROMPT },
+        { role: 'user', content: `Question: ${query}\n\nExcerpts:\n${excerpts}` }
+      ]);
+      const order = JSON.parse(reply.match(/\[[\d\s,]*\]/)?.[0] || 'null');
+      if (!Array.isArray(order)) throw new Error('Reply is not a list of excerpt numbers');
+
+      // Excerpts the reply skipped keep their fused order after the ranked ones
+      const ranked = [...new Set(order)].filter(number => number >= 1 && number <= head.length).map(number => head[number - 1]);
+      const rest = head.filter(result => !ranked.includes(result));
+      logger.info('RAGService', 'Search results reranked', { query, reranked: ranked.length });
+      return [...ranked, ...rest, ...results.slice(head.length)];
+    } catch (error) {
+      logger.warn('RAGService', 'Reranking failed, keeping fused order', { error: error.message });
+      return results;
+    }
   }
 
   /**
    * @description Generate RAG response using retrieved context
    * @param {string} query - User query
    * @param {Array} relevantChunks - Retrieved chunks
+   * @param {Object} [persona] - Persona answering the question (defaults to the default persona)
    * @returns {Promise<string>} Generated response
    */
-  async generateRAGResponse(query, relevantChunks) {
-    if (!this.openai) {
-      logger.warn('RAGService', 'OpenAI client not initialized, using fallback response');
+  async generateRAGResponse(query, relevantChunks, persona) {
+    if (llmService.isMock('rag')) {
+      logger.info('RAGService', 'Mock LLM provider active, using extractive response');
       return this.generateFallbackResponse(query, relevantChunks);
     }
 
     try {
-      // Prepare context from relevant chunks
-      const context = relevantChunks
-        .map((chunk, index) => `Context ${index + 1}: ${chunk.text}`)
-        .join('\n\n');
-
-      const prompt = `You are a helpful assistant that answers questions based on the provided context from PDF documents.
-
-Context:
-${context}
-
-Question: ${query}
-
-Please provide a comprehensive answer based on the context above. If the context doesn't contain enough information to answer the question, please say so and provide what information you can find.
-
-Answer:`;
-
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant that answers questions based on PDF document context. Provide accurate, comprehensive answers using only the information from the provided context.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7
-      });
-
-      return response.choices[0].message.content;
+      return await llmService.chat(
+        'rag',
+        promptService.buildMessages('rag', {
+          userMessage: query,
+          context: relevantChunks.map((chunk) => ({ text: chunk.text, source: [chunk.filename, chunk.citation].filter(Boolean).join(', ') })),
+          persona,
+        }),
+        { maxTokens: 1000, temperature: 0.7 }
+      );
     } catch (error) {
       if (error.status === 429 || error.message.includes('quota') || error.message.includes('rate limit')) {
-        logger.warn('RAGService', 'OpenAI quota exceeded, using fallback response', { error: error.message });
+        logger.warn('RAGService', 'LLM quota exceeded, using fallback response', { error: error.message });
         return this.generateFallbackResponse(query, relevantChunks);
       }
       logger.error('RAGService', 'RAG response generation failed', { error: error.message });
@@ -757,7 +883,7 @@ Answer:`;
   }
 
   /**
-   * @description Generate fallback response when OpenAI is not available
+   * @description Generate fallback response when the LLM provider is not available
    * @param {string} query - User query
    * @param {Array} relevantChunks - Retrieved chunks
    * @returns {string} Fallback response
@@ -767,23 +893,30 @@ Answer:`;
       return `I couldn't find any relevant information in the PDF to answer your question: "${query}". The document may not contain information related to your query, or the text extraction may have been limited.`;
     }
 
+    // Cite each excerpt, naming its document when they come from different documents
+    const multipleSources = new Set(relevantChunks.map(chunk => chunk.filename)).size > 1;
     const context = relevantChunks
-      .map((chunk, index) => `• ${chunk.text}`)
+      .map(chunk => {
+        const source = [multipleSources && chunk.filename, chunk.citation].filter(Boolean).join(', ');
+        return source ? `• [${source}] ${chunk.text}` : `• ${chunk.text}`;
+      })
       .join('\n\n');
 
-    return `Based on the PDF content, here's what I found related to your question "${query}":\n\n${context}\n\nNote: This response was generated using basic text matching since advanced AI processing is currently unavailable. For more accurate answers, please ensure the OpenAI API is properly configured.`;
+    return `Based on the ${multipleSources ? 'documents' : 'PDF content'}, here's what I found related to your question "${query}":\n\n${context}\n\nNote: This response was generated using basic text matching since advanced AI processing is currently unavailable. For more accurate answers, please ensure the LLM provider is properly configured.`;
   }
 
   /**
    * @description Process RAG query
    * @param {string} query - User query
-   * @param {string} filename - PDF filename
-   * @returns {Promise<Object>} RAG response
+   * @param {string|string[]|null} [filenames] - PDF filename(s) to answer from; every document when omitted
+   * @param {Object} [persona] - Persona answering the question
+   * @param {number} [limit=3] - Number of chunks to answer from
+   * @returns {Promise<Object>} RAG response; references name the document they came from and their citation
    */
-  async processRAGQuery(query, filename) {
+  async processRAGQuery(query, filenames, persona, limit = 3) {
     try {
       // Search for relevant chunks
-      const relevantChunks = await this.searchChunks(query, filename, 3);
+      const relevantChunks = await this.searchChunks(query, filenames, limit);
       
       if (relevantChunks.length === 0) {
         return {
@@ -794,13 +927,16 @@ Answer:`;
       }
 
       // Generate RAG response
-      const answer = await this.generateRAGResponse(query, relevantChunks);
+      const answer = await this.generateRAGResponse(query, relevantChunks, persona);
 
       return {
         answer,
         references: relevantChunks.map(chunk => ({
           text: chunk.text,
           similarity: chunk.similarity,
+          score: chunk.score,
+          filename: chunk.filename,
+          citation: chunk.citation,
           metadata: chunk.metadata
         })),
         confidence: relevantChunks[0].similarity
@@ -812,42 +948,44 @@ Answer:`;
   }
 
   /**
-   * @description List all processed PDFs
-   * @returns {Array} List of PDFs
+   * @description Names of all documents in the knowledge base, in memory or on disk
+   * @returns {Promise<string[]>} PDF filenames
    */
-  listProcessedPDFs() {
-    const pdfs = [];
-    
-    // Check memory
-    for (const [filename, kbEntry] of this.knowledgeBase) {
-      pdfs.push({
-        filename,
-        chunksCount: kbEntry.chunks.length,
-        processedAt: kbEntry.metadata.processedAt
-      });
-    }
+  async listFilenames() {
+    await this.migration;
 
-    // Check file system
+    const filenames = new Set(this.knowledgeBase.keys());
     try {
       if (fs.existsSync(this.kbDir)) {
-        const files = fs.readdirSync(this.kbDir);
-        const jsonFiles = files.filter(file => file.endsWith('.json'));
-        
-        for (const file of jsonFiles) {
-          const filename = file.replace('.json', '');
-          if (!pdfs.find(pdf => pdf.filename === filename)) {
-            pdfs.push({
-              filename,
-              chunksCount: 'Unknown',
-              processedAt: 'Unknown'
-            });
-          }
-        }
+        fs.readdirSync(this.kbDir)
+          .filter(file => file.endsWith('.json'))
+          .forEach(file => filenames.add(file.slice(0, -'.json'.length)));
       }
     } catch (error) {
       logger.error('RAGService', 'Failed to list files', { error: error.message });
     }
+    return [...filenames];
+  }
 
+  /**
+   * @description List all processed PDFs
+   * @returns {Promise<Array>} List of PDFs
+   */
+  async listProcessedPDFs() {
+    const pdfs = [];
+    for (const filename of await this.listFilenames()) {
+      const kbEntry = await this.loadKnowledgeBase(filename);
+      if (!kbEntry) continue;
+      pdfs.push({
+        filename,
+        chunksCount: kbEntry.chunks.length,
+        processedAt: kbEntry.metadata?.processedAt ?? null,
+        textLength: kbEntry.metadata?.textLength ?? kbEntry.originalText?.length ?? null,
+        pages: kbEntry.metadata?.pages ?? null,
+        embedding: kbEntry.metadata?.embedding ?? null,
+        needsReembedding: this.needsReembedding(kbEntry)
+      });
+    }
     return pdfs;
   }
 }
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Background re-embedding of the knowledge base. Every entry records the embedding provider,
+ * model and dimension its vectors came from; when the configured embedding model differs (a new provider,
+ * model or API key), stored vectors cannot be compared with new queries, so this job re-embeds the stale
+ * documents one at a time. It runs at startup when anything is stale and can be started through
+ * POST /rag/index/rebuild; GET /rag/index reports its progress.
+ */
+
+import { logger } from '../utils/logger.js';
+import { ragService } from './ragService.js';
+import { sessionEvents } from './sessionEvents.js';
+
+class ReindexService {
+  constructor() {
+    this.job = null; // { state, target, total, completed, failed, current, startedAt, finishedAt }
+    this.running = null; // promise of the job in progress
+
+    // Legacy data is imported first, so its documents are part of the startup check
+    ragService.migration.then(() => this.start()).catch((error) => {
+      logger.error('ReindexService', 'Startup re-embedding failed', { error: error.message });
+    });
+  }
+
+  isRunning() {
+    return this.running !== null;
+  }
+
+  /**
+   * @description Documents whose vectors do not come from the current embedding model
+   * @param {Object} [options]
+   * @param {boolean} [options.all=false] - Every document, stale or not
+   * @returns {Promise<string[]>} PDF filenames
+   */
+  async staleDocuments({ all = false } = {}) {
+    const stale = [];
+    for (const filename of await ragService.listFilenames()) {
+      const kbEntry = await ragService.loadKnowledgeBase(filename);
+      if (kbEntry && (all || ragService.needsReembedding(kbEntry))) stale.push(filename);
+    }
+    return stale;
+  }
+
+  /**
+   * @description Start re-embedding in the background unless a job is already running
+   * @param {Object} [options]
+   * @param {boolean} [options.all=false] - Re-embed every document, not only stale ones
+   * @returns {Promise<boolean>} False when a job was already running; true once the job has been started
+   * (or when nothing needed re-embedding)
+   */
+  async start({ all = false } = {}) {
+    if (this.isRunning()) return false;
+
+    const filenames = await this.staleDocuments({ all });
+    if (filenames.length === 0) return true;
+    // Another caller may have started a job while the documents were being checked
+    if (this.isRunning()) return false;
+
+    this.job = {
+      state: 'running',
+      target: ragService.currentEmbeddingModel(),
+      total: filenames.length,
+      completed: 0,
+      failed: [],
+      current: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+    logger.info('ReindexService', 'Re-embedding documents', { count: filenames.length, target: this.job.target });
+    this.running = this.run(this.job, filenames).finally(() => {
+      this.running = null;
+    });
+    return true;
+  }
+
+  async run(job, filenames) {
+    for (const filename of filenames) {
+      job.current = filename;
+      try {
+        await ragService.reembedDocument(filename);
+        job.completed++;
+        sessionEvents.publish(null, 'ingestion', { filename, stage: 'reembedded', progress: job.completed / job.total });
+      } catch (error) {
+        job.failed.push({ filename, error: error.message });
+        logger.warn('ReindexService', 'Failed to re-embed document', { filename, error: error.message });
+      }
+    }
+    job.current = null;
+    job.state = job.failed.length > 0 ? 'failed' : 'done';
+    job.finishedAt = new Date().toISOString();
+    logger.info('ReindexService', 'Re-embedding finished', { completed: job.completed, failed: job.failed.length });
+  }
+
+  /**
+   * @description Embedding model in use, how many documents match it and the last (or current) job
+   * @returns {Promise<Object>} Status for GET /rag/index
+   */
+  async status() {
+    const documents = await ragService.listProcessedPDFs();
+    const stale = documents.filter((document) => document.needsReembedding);
+    return {
+      model: ragService.currentEmbeddingModel(),
+      documents: documents.length,
+      current: documents.length - stale.length,
+      stale: stale.map(({ filename, embedding }) => ({ filename, embedding })),
+      job: this.job && { ...this.job, failed: [...this.job.failed] },
+    };
+  }
+}
+
+export const reindexService = new ReindexService();
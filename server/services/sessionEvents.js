@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Server-to-browser event bus for avatar sessions. Controllers and services publish typed
+ * events and GET /events/:sessionId streams them to the browser over SSE:
+ *   transcript - { role, text, source } a line said by the user or the avatar
+ *   speech     - { state: sent|started|finished|failed, item } avatar speaking state from the speech queue
+ *   ingestion  - { filename, stage, progress, ... } knowledge-base processing progress
+ *   session    - { state: started|expiring|ended, ... } session lifecycle and idle-expiry warnings
+ *   error      - { message, code, context } failures that happened outside the client's own request
+ * Events published without a session (e.g. re-embedding of the shared knowledge base) only reach the operator
+ * stream of every session, never another client's session stream.
+ */
+
+import { EventEmitter } from 'events';
+import { speechQueue } from './speechQueue.js';
+
+export const EVENT_TYPES = ['transcript', 'speech', 'ingestion', 'session', 'error'];
+// Recent events kept per session so a reconnecting client can catch up via Last-Event-ID
+const REPLAY_LIMIT = 50;
+// Pseudo session id that receives the events of every session (operator view)
+export const ALL_SESSIONS = '*';
+
+class SessionEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // one listener per open event stream
+    this.eventCounter = 0;
+    this.recent = new Map(); // session_id (or ALL_SESSIONS) -> last REPLAY_LIMIT events
+
+    speechQueue.on('speech', ({ type, sessionId, item }) => {
+      if (type === 'closed') return;
+      this.publish(sessionId, 'speech', { state: type, item });
+      if (type === 'sent' && item.transcript) {
+        this.publish(sessionId, 'transcript', { role: 'avatar', text: item.text, source: item.transcript });
+      }
+      if (type === 'failed') {
+        this.publish(sessionId, 'error', { message: item.error, context: 'speech' });
+      }
+    });
+  }
+
+  remember(key, event) {
+    const events = this.recent.get(key) || [];
+    events.push(event);
+    if (events.length > REPLAY_LIMIT) events.shift();
+    this.recent.set(key, events);
+  }
+
+  /**
+   * @description Publish an event
+   * @param {string|null} sessionId - HeyGen session id, or null for an event only the operator stream receives
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @returns {Object} The event: { id, type, session_id, timestamp, data }
+   */
+  publish(sessionId, type, data) {
+    const event = {
+      id: ++this.eventCounter,
+      type,
+      session_id: sessionId || null,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+    if (sessionId) this.remember(sessionId, event);
+    this.remember(ALL_SESSIONS, event);
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * @description Receive the events of a session; ALL_SESSIONS also receives events published without one
+   * @param {string} sessionId - HeyGen session id, or ALL_SESSIONS for every session
+   * @param {Function} listener - Called with each event
+   * @param {Object} [options]
+   * @param {number} [options.afterId] - First replay the remembered events with a greater id
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(sessionId, listener, { afterId } = {}) {
+    const matches = (event) => sessionId === ALL_SESSIONS || event.session_id === sessionId;
+
+    if (afterId !== undefined) {
+      (this.recent.get(sessionId) || []).filter((event) => event.id > afterId).forEach(listener);
+    }
+
+    const onEvent = (event) => {
+      if (matches(event)) listener(event);
+    };
+    this.on('event', onEvent);
+    return () => this.off('event', onEvent);
+  }
+
+  /**
+   * @description Forget the remembered events of a session that has ended
+   * @param {string} sessionId - HeyGen session id
+   */
+  forget(sessionId) {
+    this.recent.delete(sessionId);
+  }
+}
+
+export const sessionEvents = new SessionEventBus();
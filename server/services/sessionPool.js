@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Optional pool of pre-created HeyGen sessions. Opening a session (streaming.new) takes
+ * seconds, so when config.heygen.pool.size is set the pool keeps that many sessions created ahead of time
+ * for every avatar configuration (avatar, voice and session options) clients asked for recently, and
+ * POST /persona/heygen/session/create hands one out instead of waiting for HeyGen. Pooled sessions are
+ * stopped once they reach maxAgeMs, and a configuration nobody asked for within idleMs is no longer kept
+ * warm, so idle sessions do not run up costs. Pooled sessions share the concurrent session limit with
+ * client sessions; the pool gives up a session when a client needs the slot.
+ */
+
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { heygenService } from './heygenService.js';
+import { personaStore } from './personaStore.js';
+import { sessionRegistry } from './sessionRegistry.js';
+import { resolveSessionSettings } from '../utils/sessionOptions.js';
+
+// Sessions are interchangeable when every setting they were created with matches
+const settingsKey = (settings) =>
+  JSON.stringify(Object.entries(settings).filter(([, value]) => value !== undefined && value !== null).sort(([a], [b]) => a.localeCompare(b)));
+
+const createSession = (settings) =>
+  heygenService.createSession(settings.avatarName, settings.voiceId, {
+    rate: settings.voiceRate,
+    emotion: settings.voiceEmotion,
+    quality: settings.quality,
+    idleTimeoutSeconds: settings.idleTimeoutSeconds,
+    videoEncoding: settings.videoEncoding,
+    knowledgeBaseId: settings.knowledgeBaseId,
+    language: settings.language,
+  });
+
+class SessionPool {
+  constructor() {
+    const options = config.heygen.pool;
+    this.size = options.size;
+    this.maxAgeMs = options.maxAgeMs;
+    this.idleMs = options.idleMs;
+    this.configurations = new Map(); // settings key -> { settings, sessions, creating, lastRequestedAt }
+    this.stats = { hits: 0, misses: 0, created: 0, discarded: 0, failed: 0 };
+    this.maintaining = false;
+
+    if (!this.isEnabled()) return;
+    this.timer = setInterval(() => this.maintain(), options.checkIntervalMs);
+    this.timer.unref();
+    // The default persona is what kiosks and demos open, so it is warm from startup
+    this.warm(resolveSessionSettings(personaStore.getAvatarSettings()).settings);
+  }
+
+  isEnabled() {
+    return this.size > 0;
+  }
+
+  /**
+   * @description Number of sessions the pool holds open on HeyGen, including ones being created
+   * @returns {number} Pooled session count
+   */
+  count() {
+    let count = 0;
+    for (const entry of this.configurations.values()) count += entry.sessions.length + entry.creating;
+    return count;
+  }
+
+  hasRoom() {
+    return sessionRegistry.activeCount() + this.count() < sessionRegistry.maxConcurrent;
+  }
+
+  entryFor(settings) {
+    const key = settingsKey(settings);
+    let entry = this.configurations.get(key);
+    if (!entry) {
+      entry = { settings: { ...settings }, sessions: [], creating: 0, lastRequestedAt: Date.now() };
+      this.configurations.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * @description Keep sessions with these avatar settings ready; the configuration stays warm until
+   * nobody has asked for it within idleMs
+   * @param {Object} settings - Session settings as returned by resolveSessionSettings()
+   * @returns {Promise<void>} Resolves once the configuration is filled as far as the session limit allows
+   */
+  async warm(settings) {
+    const entry = this.entryFor(settings);
+    entry.lastRequestedAt = Date.now();
+    await this.replenish(entry);
+  }
+
+  async replenish(entry) {
+    while (entry.sessions.length + entry.creating < this.size && this.hasRoom()) {
+      entry.creating++;
+      try {
+        const sessionInfo = await createSession(entry.settings);
+        entry.sessions.push({ sessionInfo, createdAt: Date.now() });
+        this.stats.created++;
+        logger.info('SessionPool', 'Session pre-created', { session_id: sessionInfo.session_id, avatar_name: entry.settings.avatarName, ready: entry.sessions.length });
+      } catch (error) {
+        // Retried on the next maintenance pass rather than hammering a failing API
+        this.stats.failed++;
+        logger.warn('SessionPool', 'Failed to pre-create session', { avatar_name: entry.settings.avatarName, error: error.message });
+        break;
+      } finally {
+        entry.creating--;
+      }
+    }
+  }
+
+  async discard(pooled, reason) {
+    this.stats.discarded++;
+    logger.info('SessionPool', 'Stopping pooled session', { session_id: pooled.sessionInfo.session_id, reason });
+    try {
+      await heygenService.stopSession(pooled.sessionInfo.session_id);
+    } catch (error) {
+      logger.warn('SessionPool', 'Failed to stop pooled session', { session_id: pooled.sessionInfo.session_id, error: error.message });
+    }
+  }
+
+  // Gives up the oldest pooled session when the pool holds the slot a client session needs
+  async makeRoom() {
+    if (this.hasRoom()) return;
+    let oldest = null;
+    for (const entry of this.configurations.values()) {
+      for (const pooled of entry.sessions) {
+        if (!oldest || pooled.createdAt < oldest.pooled.createdAt) oldest = { entry, pooled };
+      }
+    }
+    if (!oldest) return;
+    oldest.entry.sessions.splice(oldest.entry.sessions.indexOf(oldest.pooled), 1);
+    await this.discard(oldest.pooled, 'capacity');
+  }
+
+  /**
+   * @description Get a session for a client: a pooled one with matching settings when available,
+   * otherwise a newly created one. The configuration is refilled in the background either way.
+   * @param {Object} settings - Session settings as returned by resolveSessionSettings()
+   * @returns {Promise<{sessionInfo: Object, pooled: boolean}>} HeyGen session info (session_id, sdp, ...)
+   * and whether it came from the pool
+   */
+  async acquire(settings) {
+    if (!this.isEnabled()) return { sessionInfo: await createSession(settings), pooled: false };
+
+    const entry = this.entryFor(settings);
+    entry.lastRequestedAt = Date.now();
+    // Refilled after the caller has registered the session, so the refill sees it in the active count
+    const refill = () => setImmediate(() => this.replenish(entry));
+
+    const pooled = entry.sessions.shift();
+    if (pooled) {
+      this.stats.hits++;
+      logger.info('SessionPool', 'Handing out pooled session', { session_id: pooled.sessionInfo.session_id, age_ms: Date.now() - pooled.createdAt });
+      refill();
+      return { sessionInfo: pooled.sessionInfo, pooled: true };
+    }
+
+    this.stats.misses++;
+    await this.makeRoom();
+    const sessionInfo = await createSession(settings);
+    refill();
+    return { sessionInfo, pooled: false };
+  }
+
+  /**
+   * @description Stop pooled sessions older than maxAgeMs and those of configurations idle for longer than
+   * idleMs, then refill the configurations that are still in use
+   */
+  async maintain() {
+    // A pass waiting on slow HeyGen calls may outlast the interval
+    if (this.maintaining) return;
+    this.maintaining = true;
+    try {
+      const now = Date.now();
+      for (const [key, entry] of this.configurations) {
+        const idle = now - entry.lastRequestedAt > this.idleMs;
+        const expired = entry.sessions.filter((pooled) => idle || now - pooled.createdAt > this.maxAgeMs);
+        entry.sessions = entry.sessions.filter((pooled) => !expired.includes(pooled));
+        for (const pooled of expired) await this.discard(pooled, idle ? 'unused' : 'expired');
+
+        if (idle) {
+          if (entry.creating === 0) this.configurations.delete(key);
+          continue;
+        }
+        await this.replenish(entry);
+      }
+    } finally {
+      this.maintaining = false;
+    }
+  }
+
+  /**
+   * @description Pool settings, counters and the sessions ready per configuration
+   * @returns {Object} Status for GET /persona/heygen/pool
+   */
+  status() {
+    return {
+      enabled: this.isEnabled(),
+      size: this.size,
+      maxAgeMs: this.maxAgeMs,
+      idleMs: this.idleMs,
+      pooled: this.count(),
+      stats: { ...this.stats },
+      configurations: [...this.configurations.values()].map((entry) => ({
+        ...entry.settings,
+        ready: entry.sessions.length,
+        creating: entry.creating,
+        lastRequestedAt: new Date(entry.lastRequestedAt).toISOString(),
+      })),
+    };
+  }
+}
+
+export const sessionPool = new SessionPool();
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Tracks every HeyGen streaming session this server opens so that abandoned sessions are
+ * stopped (and stop being billed) and the number of concurrent sessions stays within a limit
+ */
+
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { conversationService } from './conversationService.js';
+import { heygenService } from './heygenService.js';
+import { personaStore } from './personaStore.js';
+import { sessionEvents } from './sessionEvents.js';
+import { speechQueue } from './speechQueue.js';
+
+// created/started sessions count against the limit; stopping/stopped ones do not
+const ACTIVE_STATES = new Set(['created', 'started']);
+
+class SessionRegistry {
+  constructor() {
+    this.sessions = new Map(); // session_id -> session record
+    this.maxConcurrent = config.heygen.sessions.maxConcurrent;
+    this.idleTimeoutMs = config.heygen.sessions.idleTimeoutMs;
+    this.historyMs = config.heygen.sessions.historyMs;
+    this.expiryWarningMs = config.heygen.sessions.expiryWarningMs;
+
+    this.reaper = setInterval(() => this.reapIdle(), config.heygen.sessions.reapIntervalMs);
+    this.reaper.unref();
+  }
+
+  isActive(record) {
+    return ACTIVE_STATES.has(record.state);
+  }
+
+  /**
+   * @description Number of sessions that are open on HeyGen
+   * @returns {number} Active session count
+   */
+  activeCount() {
+    let count = 0;
+    for (const record of this.sessions.values()) {
+      if (this.isActive(record)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * @description Check whether another session may be opened
+   * @returns {boolean} False when the concurrent session limit is reached
+   */
+  hasCapacity() {
+    return this.activeCount() < this.maxConcurrent;
+  }
+
+  /**
+   * @description Start tracking a session that was just created on HeyGen
+   * @param {string} sessionId - HeyGen session id
+   * @param {Object} details
+   * @param {string} [details.owner] - Who opened it (X-Session-Owner header or client IP)
+   * @param {string} [details.personaId] - Persona the session speaks as
+   * @param {Object} [details.settings] - Avatar settings the session was created with
+   * @returns {Object} Session record
+   */
+  register(sessionId, { owner, personaId, settings } = {}) {
+    const now = Date.now();
+    const record = {
+      sessionId,
+      owner: owner || 'unknown',
+      personaId: personaId || null,
+      avatarName: settings?.avatarName || null,
+      voiceId: settings?.voiceId || null,
+      // HeyGen closes the session itself after this much inactivity unless it is kept alive (0: never)
+      heygenIdleTimeoutSeconds: settings?.idleTimeoutSeconds || 0,
+      state: 'created',
+      createdAt: now,
+      lastActivityAt: now,
+      stoppedAt: null,
+      stopReason: null,
+      expiryWarned: false,
+    };
+    this.sessions.set(sessionId, record);
+    speechQueue.setVoice(sessionId, { voiceId: settings?.voiceId, rate: settings?.voiceRate, language: settings?.language });
+    logger.info('SessionRegistry', 'Session registered', { session_id: sessionId, owner: record.owner, active: this.activeCount() });
+    return record;
+  }
+
+  /**
+   * @description Get a session record
+   * @param {string} sessionId - HeyGen session id
+   * @returns {Object|null} Session record (including stopped sessions still kept in the history)
+   */
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * @description Record activity on an active session so it is not reaped
+   * @param {string} sessionId - HeyGen session id
+   * @param {string} [state] - New state, e.g. 'started'
+   * @returns {Object|null} Session record, or null if the session is unknown or no longer active
+   */
+  touch(sessionId, state) {
+    const record = this.sessions.get(sessionId);
+    if (!record || !this.isActive(record)) return null;
+
+    record.lastActivityAt = Date.now();
+    record.expiryWarned = false;
+    if (state && state !== record.state) {
+      record.state = state;
+      sessionEvents.publish(sessionId, 'session', { state });
+    }
+    return record;
+  }
+
+  /**
+   * @description List tracked sessions, newest first
+   * @param {Object} [filter]
+   * @param {boolean} [filter.activeOnly=false] - Leave out stopped sessions
+   * @returns {Object[]} Session records with ISO timestamps, idle time and when an active session expires
+   */
+  list({ activeOnly = false } = {}) {
+    this.pruneHistory();
+    const now = Date.now();
+    return [...this.sessions.values()]
+      .filter((record) => !activeOnly || this.isActive(record))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map((record) => ({
+        ...record,
+        createdAt: new Date(record.createdAt).toISOString(),
+        lastActivityAt: new Date(record.lastActivityAt).toISOString(),
+        stoppedAt: record.stoppedAt && new Date(record.stoppedAt).toISOString(),
+        idleMs: this.isActive(record) ? now - record.lastActivityAt : null,
+        expiresAt: this.isActive(record) ? new Date(record.lastActivityAt + this.idleTimeoutMs).toISOString() : null,
+      }));
+  }
+
+  /**
+   * @description Forget server-side state tied to a session that is no longer open
+   * @param {string} sessionId - HeyGen session id
+   * @param {string} reason - Why it ended: client, idle or expired (HeyGen no longer knows the session)
+   */
+  release(sessionId, reason) {
+    const record = this.sessions.get(sessionId);
+    if (record) {
+      record.state = 'stopped';
+      record.stoppedAt = Date.now();
+      record.stopReason = reason;
+    }
+    speechQueue.drop(sessionId);
+    sessionEvents.publish(sessionId, 'session', { state: 'ended', reason });
+    conversationService.delete(sessionId);
+    personaStore.clearActive(sessionId);
+    logger.info('SessionRegistry', 'Session released', { session_id: sessionId, reason, active: this.activeCount() });
+  }
+
+  /**
+   * @description Stop a session on HeyGen and release it. The session is released even when HeyGen
+   * reports an error, since HeyGen closes sessions it does not know anyway.
+   * @param {string} sessionId - HeyGen session id
+   * @param {string} reason - Why it is stopped: client or idle
+   * @returns {Promise<Object>} HeyGen response
+   */
+  async stop(sessionId, reason) {
+    const record = this.sessions.get(sessionId);
+    if (record) record.state = 'stopping';
+
+    try {
+      return await heygenService.stopSession(sessionId);
+    } finally {
+      this.release(sessionId, reason);
+    }
+  }
+
+  /**
+   * @description Stop every active session without activity within the idle timeout, and warn the
+   * subscribers of sessions that are about to reach it
+   * @returns {Promise<string[]>} Ids of the stopped sessions
+   */
+  async reapIdle() {
+    const now = Date.now();
+    for (const record of this.sessions.values()) {
+      const expiresAt = record.lastActivityAt + this.idleTimeoutMs;
+      if (this.isActive(record) && !record.expiryWarned && expiresAt - now <= this.expiryWarningMs && expiresAt > now) {
+        record.expiryWarned = true;
+        sessionEvents.publish(record.sessionId, 'session', { state: 'expiring', expires_at: new Date(expiresAt).toISOString() });
+      }
+    }
+
+    const idle = [...this.sessions.values()].filter(
+      (record) => this.isActive(record) && now - record.lastActivityAt > this.idleTimeoutMs
+    );
+
+    for (const record of idle) {
+      logger.warn('SessionRegistry', 'Stopping idle session', {
+        session_id: record.sessionId,
+        owner: record.owner,
+        idle_ms: now - record.lastActivityAt,
+      });
+      try {
+        await this.stop(record.sessionId, 'idle');
+      } catch (error) {
+        logger.error('SessionRegistry', 'Failed to stop idle session', { session_id: record.sessionId, error: error.message });
+      }
+    }
+    this.pruneHistory();
+    return idle.map((record) => record.sessionId);
+  }
+
+  /**
+   * @description Drop stopped sessions older than the configured history window
+   */
+  pruneHistory() {
+    const now = Date.now();
+    for (const [sessionId, record] of this.sessions) {
+      if (record.state === 'stopped' && now - record.stoppedAt > this.historyMs) {
+        this.sessions.delete(sessionId);
+        sessionEvents.forget(sessionId);
+      }
+    }
+  }
+}
+
+export const sessionRegistry = new SessionRegistry();
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Per-session speech queue. Everything the avatar says (typed text, streamed sentences, RAG
+ * answers) goes through here, so one item is spoken at a time instead of requests talking over each other.
+ * An item is handed to HeyGen, then the queue waits for its speaking time (as reported by HeyGen, otherwise
+ * estimated) before sending the next. Emits a `speech` event when an item is handed to HeyGen, when the
+ * avatar starts or finishes it and when it cannot be sent.
+ */
+
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+import { HeygenSessionNotFoundError } from '../utils/heygenErrors.js';
+import { heygenService } from './heygenService.js';
+import { speechTimingService } from './speechTimingService.js';
+
+export const PRIORITIES = ['normal', 'high'];
+// Finished items kept per session for the queue state endpoint
+const HISTORY_LIMIT = 20;
+
+// Public view of an item, without the promise handles and the raw estimate
+const toView = ({ settle: _settle, estimate: _estimate, ...item }) => item;
+
+class SpeechQueueService extends EventEmitter {
+  constructor() {
+    super();
+    this.queues = new Map(); // session_id -> { pending, current, history, processing, wake, timer }
+    this.voices = new Map(); // session_id -> { voiceId, rate, language } used for duration estimates
+    this.itemCounter = 0;
+  }
+
+  /**
+   * @description Set the voice a session speaks with, so durations are estimated for that voice
+   * @param {string} sessionId - HeyGen session id
+   * @param {Object} voice - voiceId, rate and optionally language
+   */
+  setVoice(sessionId, voice) {
+    this.voices.set(sessionId, voice);
+  }
+
+  getQueue(sessionId) {
+    if (!this.queues.has(sessionId)) {
+      this.queues.set(sessionId, { pending: [], current: null, history: [], processing: false, wake: null, timer: null });
+    }
+    return this.queues.get(sessionId);
+  }
+
+  /**
+   * @description Queue text for the avatar to speak. High-priority items go ahead of normal ones but
+   * never cut off the item being spoken; interrupt() does that.
+   * @param {string} sessionId - HeyGen session id
+   * @param {string} text - Text to speak
+   * @param {Object} [options]
+   * @param {string} [options.priority='normal'] - normal or high
+   * @param {string} [options.source='text'] - Who queued it: text, stream or rag
+   * @param {string} [options.group] - Tag shared by related items so they can be cleared together
+   * @param {string} [options.transcript] - Transcript source (ai, manual, rag) under which the text is published
+   * as an avatar transcript line once it is sent; not published when omitted
+   * @returns {{id: string, position: number, estimatedDurationMs: number, sent: Promise<{status: string,
+   * task: Object|null, durationMs: number}>}} Item id, position in the queue (0 = next), estimated speaking
+   * time and a promise that settles once the item is handed to HeyGen (status sent, with the expected
+   * speaking time) or cancelled (status cancelled); it rejects with the HeyGen error if sending fails. The
+   * promise only settles when the queue reaches the item, so requests should not wait for it; the outcome
+   * is also emitted as `speech` events.
+   */
+  enqueue(sessionId, text, { priority = 'normal', source = 'text', group = null, transcript = null } = {}) {
+    const queue = this.getQueue(sessionId);
+    const estimate = speechTimingService.estimate(text, this.voices.get(sessionId));
+    const item = {
+      id: `speech-${++this.itemCounter}`,
+      text,
+      priority,
+      source,
+      group,
+      transcript,
+      status: 'pending',
+      enqueuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      taskId: null,
+      language: estimate.language,
+      estimatedDurationMs: estimate.durationMs,
+      durationMs: null, // speaking time the queue waits for: HeyGen's when reported, else the estimate
+      durationSource: null,
+      speakingAt: null,
+      spokenMs: null,
+      error: null,
+      estimate,
+    };
+    const sent = new Promise((resolve, reject) => {
+      item.settle = { resolve, reject };
+    });
+    // Failures are reported as speech events, so a caller that does not wait for the item needs no handler
+    sent.catch(() => {});
+
+    let position = queue.pending.length;
+    if (priority === 'high') {
+      const firstNormal = queue.pending.findIndex((pending) => pending.priority !== 'high');
+      if (firstNormal !== -1) position = firstNormal;
+    }
+    queue.pending.splice(position, 0, item);
+    logger.info('SpeechQueue', 'Speech queued', { session_id: sessionId, id: item.id, priority, source, position });
+
+    this.process(sessionId, queue);
+    return { id: item.id, position, estimatedDurationMs: item.estimatedDurationMs, sent };
+  }
+
+  /**
+   * @description Speak queued items one after another until the queue is empty
+   */
+  async process(sessionId, queue) {
+    if (queue.processing) return;
+    queue.processing = true;
+
+    while (queue.pending.length > 0) {
+      const item = queue.pending.shift();
+      queue.current = item;
+      item.status = 'sending';
+      item.startedAt = new Date().toISOString();
+
+      let task;
+      try {
+        task = await heygenService.sendText(sessionId, item.text);
+      } catch (error) {
+        item.error = error.message;
+        this.finish(queue, item, 'failed');
+        item.settle.reject(error);
+        logger.warn('SpeechQueue', 'Failed to send speech', { session_id: sessionId, id: item.id, error: error.message });
+        this.emit('speech', { type: 'failed', sessionId, item: toView(item) });
+        // Nothing else can be spoken in a session HeyGen no longer knows
+        if (error instanceof HeygenSessionNotFoundError) this.failPending(queue, error);
+        continue;
+      }
+
+      item.taskId = task?.task_id ?? null;
+      if (task?.duration_ms > 0) {
+        item.durationMs = task.duration_ms;
+        item.durationSource = 'heygen';
+        speechTimingService.observe(item.estimate, task.duration_ms, this.voices.get(sessionId)?.voiceId);
+      } else {
+        item.durationMs = item.estimatedDurationMs;
+        item.durationSource = 'estimate';
+      }
+      item.settle.resolve({ status: 'sent', task: task ?? null, durationMs: item.durationMs });
+      this.emit('speech', { type: 'sent', sessionId, item: toView(item) });
+
+      if (item.status === 'sending') {
+        item.status = 'speaking';
+        item.speakingAt = new Date().toISOString();
+        this.emit('speech', { type: 'started', sessionId, item: toView(item) });
+        await this.waitWhileSpeaking(queue, item.durationMs);
+        item.spokenMs = Date.now() - Date.parse(item.speakingAt);
+      } else if (item.status === 'interrupted') {
+        // interrupt() arrived while the text was on its way to HeyGen
+        await this.stopAvatar(sessionId);
+      }
+      this.finish(queue, item, item.status === 'speaking' ? 'done' : item.status);
+      if (item.speakingAt) this.emit('speech', { type: 'finished', sessionId, item: toView(item) });
+    }
+
+    queue.current = null;
+    queue.processing = false;
+  }
+
+  // Resolves after `ms`, or earlier when interrupt() wakes the queue
+  waitWhileSpeaking(queue, ms) {
+    return new Promise((resolve) => {
+      queue.wake = resolve;
+      queue.timer = setTimeout(resolve, ms);
+    });
+  }
+
+  wakeUp(queue) {
+    clearTimeout(queue.timer);
+    queue.wake?.();
+    queue.wake = null;
+  }
+
+  finish(queue, item, status) {
+    item.status = status;
+    item.finishedAt = new Date().toISOString();
+    queue.history.unshift(item);
+    queue.history.length = Math.min(queue.history.length, HISTORY_LIMIT);
+  }
+
+  failPending(queue, error) {
+    for (const item of queue.pending.splice(0)) {
+      item.error = error.message;
+      this.finish(queue, item, 'failed');
+      item.settle.reject(error);
+    }
+  }
+
+  async stopAvatar(sessionId) {
+    try {
+      await heygenService.interruptTask(sessionId);
+    } catch (error) {
+      logger.warn('SpeechQueue', 'Failed to interrupt avatar', { session_id: sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * @description Cancel queued items that have not been sent yet
+   * @param {string} sessionId - HeyGen session id
+   * @param {Object} [filter]
+   * @param {string} [filter.group] - Only cancel items queued with this group
+   * @returns {number} Number of cancelled items
+   */
+  clear(sessionId, { group } = {}) {
+    const queue = this.queues.get(sessionId);
+    if (!queue) return 0;
+
+    const cancelled = queue.pending.filter((item) => !group || item.group === group);
+    queue.pending = queue.pending.filter((item) => !cancelled.includes(item));
+    for (const item of cancelled) {
+      this.finish(queue, item, 'cancelled');
+      item.settle.resolve({ status: 'cancelled', task: null, durationMs: 0 });
+    }
+    if (cancelled.length > 0) {
+      logger.info('SpeechQueue', 'Queued speech cancelled', { session_id: sessionId, count: cancelled.length, group });
+    }
+    return cancelled.length;
+  }
+
+  /**
+   * @description Stop the avatar mid-sentence. The queue then continues with the next item unless
+   * `clear` is set, which also cancels everything still queued.
+   * @param {string} sessionId - HeyGen session id
+   * @param {Object} [options]
+   * @param {boolean} [options.clear=false] - Also cancel queued items
+   * @returns {Promise<{interrupted: string|null, cancelled: number}>} Id of the interrupted item and
+   * number of cancelled items
+   */
+  async interrupt(sessionId, { clear = false } = {}) {
+    const cancelled = clear ? this.clear(sessionId) : 0;
+    const queue = this.queues.get(sessionId);
+    const current = queue?.current;
+
+    if (current?.status === 'sending') {
+      // process() stops the avatar as soon as HeyGen has accepted the text
+      current.status = 'interrupted';
+    } else {
+      if (current?.status === 'speaking') {
+        current.status = 'interrupted';
+        this.wakeUp(queue);
+      }
+      // The avatar may also be finishing speech that did not go through the queue
+      await heygenService.interruptTask(sessionId);
+    }
+
+    logger.info('SpeechQueue', 'Speech interrupted', { session_id: sessionId, id: current?.id ?? null, cancelled });
+    return { interrupted: current?.id ?? null, cancelled };
+  }
+
+  /**
+   * @description Queue state of a session
+   * @param {string} sessionId - HeyGen session id
+   * @returns {{current: Object|null, pending: Object[], history: Object[]}} Item being spoken, items
+   * waiting (in speaking order) and recently finished items (newest first)
+   */
+  getState(sessionId) {
+    const queue = this.queues.get(sessionId);
+    return {
+      current: queue?.current ? toView(queue.current) : null,
+      pending: (queue?.pending || []).map(toView),
+      history: (queue?.history || []).map(toView),
+    };
+  }
+
+  /**
+   * @description Forget the queue of a session that has ended; queued items are cancelled and listeners
+   * get a `closed` event
+   * @param {string} sessionId - HeyGen session id
+   */
+  drop(sessionId) {
+    const queue = this.queues.get(sessionId);
+    this.voices.delete(sessionId);
+    if (queue) {
+      this.clear(sessionId);
+      if (queue.current) queue.current.status = 'cancelled';
+      this.wakeUp(queue);
+      this.queues.delete(sessionId);
+    }
+    this.emit('speech', { type: 'closed', sessionId });
+  }
+}
+
+export const speechQueue = new SpeechQueueService();
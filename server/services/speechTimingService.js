@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Calibrated speaking-time estimates. The text-based estimate from utils/speechDuration.js is
+ * scaled by a factor learned per voice and language from observed timings (the durations HeyGen reports
+ * for spoken tasks). Factors are saved to disk so calibration survives restarts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { estimateSpeechDuration } from '../utils/speechDuration.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Weight of a new observation in the moving average
+const LEARNING_RATE = 0.2;
+// Observations of very short texts are dominated by latency rather than speaking rate
+const MIN_OBSERVED_MS = 1000;
+// Observed/estimated ratios outside this range are treated as measurement errors
+const MIN_FACTOR = 0.4;
+const MAX_FACTOR = 2.5;
+
+class SpeechTimingService {
+  constructor() {
+    this.filePath = config.speech.calibrationFile || path.join(__dirname, '../data/speech-calibration.json');
+    this.calibration = new Map(); // "<voiceId>:<language>" -> { factor, samples, updatedAt }
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [key, entry] of Object.entries(saved)) this.calibration.set(key, entry);
+      logger.info('SpeechTiming', 'Calibration loaded', { entries: this.calibration.size });
+    } catch (error) {
+      logger.warn('SpeechTiming', 'Failed to load calibration, starting uncalibrated', { error: error.message });
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.calibration), null, 2));
+    } catch (error) {
+      logger.warn('SpeechTiming', 'Failed to save calibration', { error: error.message });
+    }
+  }
+
+  key(voiceId, language) {
+    return `${voiceId || 'default'}:${language}`;
+  }
+
+  /**
+   * @description Estimate how long a voice takes to say a text
+   * @param {string} text - Text to speak
+   * @param {Object} [voice]
+   * @param {string} [voice.voiceId] - HeyGen voice id; the avatar's own voice when empty
+   * @param {number} [voice.rate=1] - Voice rate (0.5-1.5)
+   * @param {string} [voice.language] - Language code; detected from the text when missing
+   * @returns {{durationMs: number, rawMs: number, language: string, factor: number}} Calibrated estimate,
+   * the uncalibrated estimate it was derived from, the language and the calibration factor applied
+   */
+  estimate(text, { voiceId, rate, language } = {}) {
+    const { durationMs: rawMs, language: detected } = estimateSpeechDuration(text, { language, rate });
+    const factor = this.calibration.get(this.key(voiceId, detected))?.factor ?? 1;
+    return { durationMs: Math.round(rawMs * factor), rawMs, language: detected, factor };
+  }
+
+  /**
+   * @description Learn from how long a text actually took to speak
+   * @param {Object} estimate - Result of estimate() for the text
+   * @param {number} observedMs - Measured speaking time
+   * @param {string} [voiceId] - HeyGen voice id the text was spoken with
+   * @returns {number|null} Updated factor, or null if the observation was ignored
+   */
+  observe(estimate, observedMs, voiceId) {
+    if (!(observedMs >= MIN_OBSERVED_MS) || !(estimate?.rawMs > 0)) return null;
+
+    const ratio = observedMs / estimate.rawMs;
+    if (ratio < MIN_FACTOR || ratio > MAX_FACTOR) {
+      logger.warn('SpeechTiming', 'Ignoring implausible speech timing', { voiceId, observedMs, estimatedMs: estimate.rawMs });
+      return null;
+    }
+
+    const key = this.key(voiceId, estimate.language);
+    const entry = this.calibration.get(key);
+    // The first observations count more so a new voice converges quickly
+    const weight = entry ? Math.max(LEARNING_RATE, 1 / (entry.samples + 1)) : 1;
+    const factor = entry ? entry.factor + (ratio - entry.factor) * weight : ratio;
+
+    this.calibration.set(key, {
+      factor: Math.round(factor * 1000) / 1000,
+      samples: (entry?.samples || 0) + 1,
+      updatedAt: new Date().toISOString(),
+    });
+    this.save();
+    return factor;
+  }
+}
+
+export const speechTimingService = new SpeechTimingService();
@@ -1,4 +1,4 @@
-import { persona } from "./utils/persona.js";
+import { defaultPersona } from "./utils/persona.js";
 
 /**
  * Initialize the chatbot with the persona of Surya
@@ -12,7 +12,7 @@ async function initializeSuryaBot() {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                persona_name: persona.name
+                persona_name: defaultPersona.name
             })
         });
         
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  it('opens after the threshold of consecutive failures', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 60000 });
+    assert.equal(breaker.recordFailure(), false);
+    assert.equal(breaker.recordFailure(), false);
+    assert.equal(breaker.recordFailure(), true);
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.allowRequest(), false);
+    assert.ok(breaker.retryAfterMs() > 59000);
+  });
+
+  it('starts counting again after a success', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 60000 });
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    assert.equal(breaker.recordFailure(), false);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.retryAfterMs(), 0);
+  });
+
+  it('lets a single trial call through after the cooldown', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest({ timeoutMs: 5000 }), true);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.allowRequest(), false);
+    // Other callers are told to come back once the trial call has had its time
+    assert.ok(breaker.retryAfterMs() > 4000);
+  });
+
+  it('closes when the trial call succeeds and re-opens when it fails', () => {
+    const closing = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    closing.recordFailure();
+    closing.allowRequest();
+    closing.recordSuccess();
+    assert.equal(closing.state, 'closed');
+
+    const reopening = new CircuitBreaker({ failureThreshold: 5, cooldownMs: 0 });
+    for (let i = 0; i < 5; i++) reopening.recordFailure();
+    reopening.allowRequest();
+    assert.equal(reopening.recordFailure(), true);
+    assert.equal(reopening.state, 'open');
+  });
+
+  it('asks for at least a second while a short trial call is in flight', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    breaker.recordFailure();
+    breaker.allowRequest({ timeoutMs: 10 });
+    assert.equal(breaker.retryAfterMs(), 1000);
+  });
+});
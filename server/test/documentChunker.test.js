@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  chunkDocument,
+  countTokens,
+  formatCitation,
+  parseBlocks,
+} from '../utils/documentChunker.js';
+
+const guide = [
+  {
+    page: 1,
+    text: '1 Introduction\nThis guide explains the product. It is short.\n\n2 Installation\n1. Install the package\n2. Run the server',
+  },
+  {
+    page: 2,
+    text: '3 Pricing\n3.1 Volume discounts\nTeams over fifty seats pay less. Discounts are applied auto-\nmatically.',
+  },
+];
+
+const sentences = (count) =>
+  Array.from({ length: count }, (_, i) => `Sentence number ${i} talks about topic ${i}.`).join(' ');
+
+describe('parseBlocks', () => {
+  it('reads numbered and all-caps headings with their section numbers', () => {
+    const headings = parseBlocks([
+      { page: 1, text: '3.2 Volume discounts\nText.\n\nPRICING AND TERMS\nMore text.' },
+    ])
+      .filter((block) => block.type === 'heading')
+      .map(({ section, heading }) => ({ section, heading }));
+    assert.deepEqual(headings, [
+      { section: '3.2', heading: 'Volume discounts' },
+      { section: null, heading: 'PRICING AND TERMS' },
+    ]);
+  });
+
+  it('reads numbered steps as list items of the current section', () => {
+    const lists = parseBlocks(guide).filter((block) => block.type === 'list');
+    assert.deepEqual(
+      lists.map(({ text, section }) => [text, section]),
+      [
+        ['1. Install the package', '2'],
+        ['2. Run the server', '2'],
+      ],
+    );
+  });
+
+  it('joins the lines of a paragraph and undoes hyphenation', () => {
+    const paragraph = parseBlocks(guide).find((block) => block.text.startsWith('Teams'));
+    assert.equal(
+      paragraph.text,
+      'Teams over fifty seats pay less. Discounts are applied automatically.',
+    );
+  });
+});
+
+describe('chunkDocument', () => {
+  it('starts every chunk with its section heading and records page and section', () => {
+    const chunks = chunkDocument(guide, { chunkTokens: 40, overlapTokens: 10 });
+    assert.deepEqual(chunks[0], {
+      text: '1 Introduction\nThis guide explains the product. It is short.',
+      metadata: { page: 1, pageEnd: 1, section: '1', heading: 'Introduction' },
+    });
+    assert.equal(chunks[1].text, '2 Installation\n1. Install the package\n2. Run the server');
+  });
+
+  it('carries a heading without text of its own into the next heading', () => {
+    const pricing = chunkDocument(guide, { chunkTokens: 40, overlapTokens: 10 })[2];
+    assert.equal(
+      pricing.text.split('\n').slice(0, 2).join('\n'),
+      '3 Pricing\n3.1 Volume discounts',
+    );
+    assert.equal(pricing.metadata.section, '3.1');
+  });
+
+  it('keeps a trailing heading without text as a chunk of its own', () => {
+    const chunks = chunkDocument([{ page: 7, text: 'Intro text here.\n\n9 Appendix' }]);
+    assert.deepEqual(chunks[chunks.length - 1], {
+      text: '9 Appendix',
+      metadata: { page: 7, pageEnd: 7, section: '9', heading: 'Appendix' },
+    });
+  });
+
+  it('stays within the token budget and overlaps consecutive chunks', () => {
+    const chunks = chunkDocument([{ page: null, text: `PRICING\n${sentences(30)}` }], {
+      chunkTokens: 60,
+      overlapTokens: 15,
+    });
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(countTokens(chunk.text) <= 60);
+      assert.ok(chunk.text.startsWith('PRICING\n'));
+    }
+    const lastSentence = chunks[0].text.split('. ').pop();
+    assert.ok(chunks[1].text.includes(lastSentence));
+  });
+
+  it('does not overlap chunks when the overlap is 0', () => {
+    const chunks = chunkDocument([{ page: null, text: sentences(30) }], {
+      chunkTokens: 60,
+      overlapTokens: 0,
+    });
+    const text = chunks.map((chunk) => chunk.text).join(' ');
+    assert.equal(text, sentences(30));
+  });
+});
+
+describe('formatCitation', () => {
+  it('names the page range and the section number or heading', () => {
+    assert.equal(
+      formatCitation({ page: 12, pageEnd: 12, section: '3.2', heading: 'Volume discounts' }),
+      'page 12, section 3.2',
+    );
+    assert.equal(
+      formatCitation({ page: 4, pageEnd: 5, section: null, heading: 'Pricing' }),
+      'pages 4-5, section "Pricing"',
+    );
+  });
+
+  it('returns null without page and section', () => {
+    assert.equal(formatCitation({ page: null, pageEnd: null, section: null, heading: null }), null);
+    assert.equal(formatCitation(undefined), null);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyze,
+  bm25Scores,
+  reciprocalRankFusion,
+  stem,
+  tokenize,
+} from '../utils/lexicalSearch.js';
+
+describe('stem', () => {
+  it('reduces inflections to a shared stem', () => {
+    assert.equal(stem('plans'), 'plan');
+    assert.equal(stem('planned'), 'plan');
+    assert.equal(stem('planning'), 'plan');
+    assert.equal(stem('studies'), 'study');
+    assert.equal(stem('boxes'), 'box');
+  });
+
+  it('leaves short words, words with digits and -ss/-us/-is endings alone', () => {
+    assert.equal(stem('was'), 'was');
+    assert.equal(stem('v2s'), 'v2s');
+    assert.equal(stem('class'), 'class');
+    assert.equal(stem('status'), 'status');
+    assert.equal(stem('analysis'), 'analysis');
+  });
+});
+
+describe('tokenize', () => {
+  it('lowercases, drops stopwords and stems', () => {
+    assert.deepEqual(tokenize('The Planning of the Projects'), ['plan', 'project']);
+  });
+
+  it('keeps words with inner punctuation whole as well as in parts', () => {
+    assert.deepEqual(tokenize('XR-200 pricing'), ['xr-200', 'xr', '200', 'pric']);
+  });
+});
+
+describe('bm25Scores', () => {
+  const documents = [
+    'Pricing starts at ten dollars per seat.',
+    'The avatar speaks English and Spanish.',
+    'Volume pricing: pricing drops for teams over fifty seats.',
+  ].map(analyze);
+
+  it('scores documents without any query term 0', () => {
+    const scores = bm25Scores(tokenize('pricing'), documents);
+    assert.equal(scores[1], 0);
+    assert.ok(scores[0] > 0 && scores[2] > 0);
+  });
+
+  it('ranks documents with more matching terms higher', () => {
+    const [first, , third] = bm25Scores(tokenize('volume pricing for teams'), documents);
+    assert.ok(third > first);
+  });
+
+  it('returns no scores for no documents', () => {
+    assert.deepEqual(bm25Scores(['pricing'], []), []);
+  });
+});
+
+describe('reciprocalRankFusion', () => {
+  it('puts items ranked well by several rankings first', () => {
+    const fused = reciprocalRankFusion([
+      ['a', 'b', 'c'],
+      ['b', 'c', 'a'],
+      ['b', 'a'],
+    ]);
+    assert.deepEqual(
+      fused.map(({ key }) => key),
+      ['b', 'a', 'c'],
+    );
+  });
+
+  it('scores an item 1 / (k + rank) per ranking', () => {
+    const [only] = reciprocalRankFusion([['x'], ['x']], 10);
+    assert.equal(only.score, 2 / 11);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Integration tests of the app in offline mode: scripted chat, reproducible embeddings and
+ * document search, and the fake HeyGen session lifecycle. No network is used and every run gives the
+ * same results.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Set before the app is loaded, since config reads the environment once. Everything the app writes goes
+// to a throwaway directory.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'avatar-offline-'));
+Object.assign(process.env, {
+  OFFLINE_MODE: 'true',
+  MOCK_SCRIPT_PATH: '',
+  UPLOAD_DIR: path.join(dataDir, 'uploads'),
+  PERSONA_DIR: path.join(dataDir, 'personas'),
+  PROMPT_OVERRIDE_DIR: path.join(dataDir, 'templates'),
+  SPEECH_CALIBRATION_FILE: path.join(dataDir, 'speech-calibration.json'),
+  HEYGEN_POOL_SIZE: '0',
+});
+
+const { logger } = await import('../utils/logger.js');
+logger.debugMode = false;
+const { default: app } = await import('../app.js');
+const { llmService } = await import('../services/llmService.js');
+
+/**
+ * @description One-page PDF with a line of text per entry, enough for pdf-parse to read pages and headings
+ */
+const makePdf = (lines) => {
+  const content = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map((line) => `(${line}) Tj T*`).join(' ')} ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+let server;
+let baseUrl;
+
+const request = async (method, urlPath, body) => {
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: body && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {},
+    body: body instanceof FormData ? body : body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('chat', () => {
+  it("answers with scripted replies in the persona's name", async () => {
+    const { status, body } = await request('POST', '/openai/complete', { prompt: 'Hello!' });
+    assert.equal(status, 200);
+    assert.equal(body.text, "Hi there! I'm Surya Ghosh. How can I help you today?");
+  });
+
+  it('gives the same reply to the same conversation every time', async () => {
+    const ask = async () => {
+      const first = await request('POST', '/openai/complete', { prompt: 'What do you study?' });
+      const second = await request('POST', '/openai/complete', {
+        prompt: 'Tell me more',
+        conversation_id: first.body.conversation_id,
+      });
+      return [first.body.text, second.body.text];
+    };
+    const [question, followUp] = await ask();
+    assert.equal(
+      question,
+      'As Surya Ghosh, I understand you\'re asking: "What do you study?". This is a scripted offline reply.',
+    );
+    assert.equal(followUp, `Sure. Building on what we just discussed: ${question}`);
+    assert.deepEqual(await ask(), [question, followUp]);
+  });
+
+  it('keeps the conversation history', async () => {
+    const first = await request('POST', '/openai/complete', { prompt: 'Hi' });
+    const id = first.body.conversation_id;
+    await request('POST', '/openai/complete', { prompt: 'Who are you?', conversation_id: id });
+
+    const { status, body } = await request('GET', `/openai/conversation/${id}`);
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.messages.map(({ role, content }) => [role, content]),
+      [
+        ['user', 'Hi'],
+        ['assistant', first.body.text],
+        ['user', 'Who are you?'],
+        ['assistant', "I'm Surya Ghosh. Ask me anything about my work, my projects or my goals."],
+      ],
+    );
+  });
+});
+
+describe('embeddings', () => {
+  it('embeds the same text to the same vector', async () => {
+    const [a, b, other] = await llmService.embed('embeddings', [
+      'volume discounts for teams',
+      'volume discounts for teams',
+      'email support',
+    ]);
+    assert.equal(a.length, 384);
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a, other);
+  });
+
+  it('ranks texts by meaning', async () => {
+    const [query, close, far] = await llmService.embed('embeddings', [
+      'discount for large teams',
+      'teams get a volume discount',
+      'the avatar speaks Spanish',
+    ]);
+    const similarity = (x, y) => x.reduce((sum, value, index) => sum + value * y[index], 0);
+    assert.ok(similarity(query, close) > similarity(query, far));
+  });
+});
+
+describe('documents', () => {
+  const guide = makePdf([
+    '1 Pricing',
+    'Teams over fifty seats get a volume discount.',
+    '2 Support',
+    'Support is available by email on weekdays.',
+  ]);
+
+  it('indexes an uploaded PDF by page and section', async () => {
+    const form = new FormData();
+    form.append('pdf', new Blob([guide], { type: 'application/pdf' }), 'guide.pdf');
+    const { status, body } = await request('POST', '/rag/upload', form);
+    assert.equal(status, 200);
+    assert.equal(body.data.chunksCount, 2);
+  });
+
+  it('finds the matching section, the same way on every search', async () => {
+    const search = () =>
+      request('POST', '/rag/search', {
+        query: 'Is there a volume discount for teams?',
+        filename: 'guide.pdf',
+      });
+    const { status, body } = await search();
+    assert.equal(status, 200);
+    assert.equal(
+      body.data.results[0].text,
+      '1 Pricing\nTeams over fifty seats get a volume discount.',
+    );
+    assert.equal(body.data.results[0].citation, 'page 1, section 1');
+    assert.deepEqual((await search()).body, body);
+  });
+
+  it('imports the legacy PDF data of the repository and embeds it in the background', async () => {
+    const { body } = await request('GET', '/rag/list');
+    assert.ok(body.data.pdfs.some((document) => document.filename === 'CV_Morozov_Frontend.pdf'));
+
+    let index;
+    for (let attempt = 0; attempt < 100; attempt++) {
+      index = (await request('GET', '/rag/index')).body.data;
+      if (index.stale.length === 0 && index.job?.state !== 'running') break;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    assert.deepEqual(index.stale, []);
+    const search = await request('POST', '/rag/search', {
+      query: 'frontend developer',
+      filename: 'CV_Morozov_Frontend.pdf',
+    });
+    assert.equal(search.status, 200);
+    assert.ok(search.body.data.results.length > 0);
+  });
+});
+
+describe('HeyGen session lifecycle', () => {
+  it('creates, starts, speaks through and stops a fake session', async () => {
+    const created = await request('POST', '/persona/heygen/session/create', {});
+    assert.equal(created.status, 200);
+    const sessionId = created.body.data.session_id;
+    assert.match(sessionId, /^mock-session-\d+$/);
+
+    const started = await request('POST', '/persona/heygen/session/start', {
+      session_id: sessionId,
+      sdp: { type: 'answer', sdp: '' },
+    });
+    assert.equal(started.status, 200);
+
+    const spoken = await request('POST', '/persona/heygen/text', {
+      session_id: sessionId,
+      text: 'Hello there',
+    });
+    assert.equal(spoken.status, 200);
+    assert.equal(spoken.body.message, 'Text queued');
+    assert.equal(spoken.body.speech.position, 0);
+
+    const sessions = await request('GET', '/persona/heygen/sessions');
+    assert.ok(
+      sessions.body.data.sessions.some(
+        (session) => session.sessionId === sessionId && session.state === 'started',
+      ),
+    );
+
+    const stopped = await request('POST', '/persona/heygen/session/stop', {
+      session_id: sessionId,
+    });
+    assert.equal(stopped.status, 200);
+    assert.equal(stopped.body.message, 'Session stopped successfully');
+
+    const afterStop = await request('POST', '/persona/heygen/text', {
+      session_id: sessionId,
+      text: 'Still there?',
+    });
+    assert.equal(afterStop.status, 410);
+  });
+
+  it('rejects unknown sessions', async () => {
+    const { status } = await request('POST', '/persona/heygen/text', {
+      session_id: 'mock-session-unknown',
+      text: 'Hi',
+    });
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffPersonas, summarizeChanges } from '../utils/personaDiff.js';
+
+const before = {
+  id: 'ada',
+  version: 1,
+  name: 'Ada',
+  title: 'Engineer',
+  avatar: { quality: 'low' },
+  sections: [
+    { key: 'traits', label: 'Traits', type: 'list', items: ['Curious', 'Loud'] },
+    { key: 'bio', label: 'Bio', type: 'text', text: 'Builds things.' },
+  ],
+};
+
+describe('diffPersonas', () => {
+  it('reports field, list item and section changes and ignores managed fields', () => {
+    const after = {
+      ...before,
+      version: 2,
+      title: 'Principal Engineer',
+      avatar: { quality: 'high' },
+      sections: [
+        { key: 'traits', label: 'Traits', type: 'list', items: ['Curious', 'Calm'] },
+        { key: 'bio', label: 'Bio', type: 'text', text: 'Builds things.' },
+        { key: 'goals', label: 'Goals', type: 'list', items: ['Ship'] },
+      ],
+    };
+    assert.deepEqual(diffPersonas(before, after), [
+      { path: 'title', type: 'changed', before: 'Engineer', after: 'Principal Engineer' },
+      { path: 'avatar.quality', type: 'changed', before: 'low', after: 'high' },
+      {
+        path: 'sections.traits.items',
+        type: 'changed',
+        before: ['Curious', 'Loud'],
+        after: ['Curious', 'Calm'],
+        addedItems: ['Calm'],
+        removedItems: ['Loud'],
+      },
+      { path: 'sections.goals', type: 'added', after: after.sections[2] },
+    ]);
+  });
+
+  it('matches sections by key and reports a new order', () => {
+    const after = { ...before, sections: [...before.sections].reverse() };
+    assert.deepEqual(diffPersonas(before, after), [
+      { path: 'sections', type: 'reordered', before: ['traits', 'bio'], after: ['bio', 'traits'] },
+    ]);
+  });
+
+  it('finds no changes between equal personas', () => {
+    assert.deepEqual(diffPersonas(before, { ...before, updatedAt: 'later' }), []);
+  });
+});
+
+describe('summarizeChanges', () => {
+  it('names the changed fields and sections once each', () => {
+    const changes = diffPersonas(before, {
+      ...before,
+      title: 'Dr',
+      sections: [{ key: 'traits', label: 'Traits', type: 'list', items: ['Calm'] }],
+    });
+    assert.equal(
+      summarizeChanges(changes),
+      'Changed title, changed section "traits", removed section "bio"',
+    );
+  });
+
+  it('says so when nothing changed', () => {
+    assert.equal(summarizeChanges([]), 'No changes');
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mergePersona,
+  migrateLegacyPersona,
+  toSectionKey,
+  validateAvatar,
+  validatePersona,
+} from '../utils/personaSchema.js';
+
+describe('validatePersona', () => {
+  it('normalizes a valid persona and derives missing section keys', () => {
+    const { persona, errors } = validatePersona({
+      name: '  Ada ',
+      title: 'Engineer',
+      sections: [
+        { label: 'Web Dev Stack', type: 'list', items: [' React ', 'Node'] },
+        { key: 'bio', label: 'Bio', type: 'text', text: 'Builds things.' },
+        { key: 'rules', label: 'Rules', type: 'rules', do: ['Be brief'] },
+      ],
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(persona, {
+      name: 'Ada',
+      title: 'Engineer',
+      sections: [
+        { key: 'web-dev-stack', label: 'Web Dev Stack', type: 'list', items: ['React', 'Node'] },
+        { key: 'bio', label: 'Bio', type: 'text', text: 'Builds things.' },
+        { key: 'rules', label: 'Rules', type: 'rules', do: ['Be brief'], dont: [] },
+      ],
+    });
+  });
+
+  it('reports every invalid field', () => {
+    const { errors } = validatePersona({
+      title: 3,
+      bogus: true,
+      sections: [
+        { key: 'a', label: 'A', type: 'list', items: ['ok', ''] },
+        { key: 'a', label: 'Again', type: 'facts', items: [{ key: 'Degree' }] },
+        { label: 'Unknown', type: 'poem' },
+      ],
+    });
+    assert.deepEqual(errors, [
+      { field: 'bogus', message: 'is not a persona field' },
+      { field: 'name', message: 'is required' },
+      { field: 'title', message: 'must be a string' },
+      { field: 'sections[0].items[1]', message: 'must be a non-empty string' },
+      { field: 'sections[1].items[0].value', message: 'is required' },
+      { field: 'sections[1].key', message: 'duplicates section key "a"' },
+      { field: 'sections[2].type', message: 'must be one of: text, list, facts, rules, samples' },
+    ]);
+  });
+
+  it('accepts personas in the legacy student-profile shape', () => {
+    const { persona, errors } = validatePersona({
+      name: 'Surya',
+      education: { degree: 'B.Tech', year: '3rd Year' },
+      traits: ['Curious'],
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      persona.sections.map((section) => section.key),
+      ['education', 'traits'],
+    );
+  });
+
+  it('rejects data that is not an object', () => {
+    assert.deepEqual(validatePersona([]), {
+      persona: null,
+      errors: [{ field: '', message: 'Persona must be an object' }],
+    });
+  });
+});
+
+describe('validateAvatar', () => {
+  it('keeps valid settings and drops cleared ones', () => {
+    const errors = [];
+    const avatar = validateAvatar(
+      {
+        avatarName: ' Wayne ',
+        voiceRate: 1.2,
+        quality: 'high',
+        idleTimeoutSeconds: 0,
+        voiceId: '',
+        language: 'pt-BR',
+      },
+      errors,
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(avatar, {
+      avatarName: 'Wayne',
+      voiceRate: 1.2,
+      quality: 'high',
+      idleTimeoutSeconds: 0,
+      language: 'pt-BR',
+    });
+  });
+
+  it('reports out-of-range and unknown settings', () => {
+    const errors = [];
+    validateAvatar(
+      { voiceRate: 2, idleTimeoutSeconds: 10, videoEncoding: 'AV1', colour: 'red' },
+      errors,
+    );
+    assert.deepEqual(
+      errors.map((error) => error.field),
+      ['avatar.voiceRate', 'avatar.idleTimeoutSeconds', 'avatar.videoEncoding', 'avatar.colour'],
+    );
+  });
+});
+
+describe('mergePersona', () => {
+  const existing = {
+    name: 'Ada',
+    avatar: { avatarName: 'Wayne', quality: 'low' },
+    sections: [
+      { key: 'bio', label: 'Bio', type: 'text', text: 'Old' },
+      { key: 'skills', label: 'Skills', type: 'list', items: ['JS'] },
+    ],
+  };
+
+  it('replaces sections by key, appends new ones and merges avatar settings', () => {
+    const merged = mergePersona(existing, {
+      avatar: { quality: 'high' },
+      sections: [
+        { key: 'bio', label: 'Bio', type: 'text', text: 'New' },
+        { label: 'Goals', type: 'list', items: ['Ship'] },
+      ],
+    });
+    assert.deepEqual(merged.avatar, { avatarName: 'Wayne', quality: 'high' });
+    assert.deepEqual(
+      merged.sections.map((section) => [section.label, section.text || section.items]),
+      [
+        ['Bio', 'New'],
+        ['Skills', ['JS']],
+        ['Goals', ['Ship']],
+      ],
+    );
+  });
+
+  it('leaves sections alone when the changes have none', () => {
+    assert.equal(mergePersona(existing, { title: 'Dr' }).sections, existing.sections);
+  });
+});
+
+describe('migrateLegacyPersona', () => {
+  it('only produces sections for the legacy fields that are present', () => {
+    const migrated = migrateLegacyPersona({
+      name: 'Surya',
+      personality: { style: 'Upbeat', goals: ['Graduate'] },
+    });
+    assert.deepEqual(migrated, {
+      name: 'Surya',
+      sections: [
+        { key: 'style', label: 'Personality & Style', type: 'text', text: 'Upbeat' },
+        { key: 'goals', label: 'Current Goals', type: 'list', items: ['Graduate'] },
+      ],
+    });
+  });
+
+  it('returns section-shaped data unchanged', () => {
+    const persona = { name: 'Ada', sections: [] };
+    assert.equal(migrateLegacyPersona(persona), persona);
+  });
+});
+
+describe('toSectionKey', () => {
+  it('turns a label into a key', () => {
+    assert.equal(toSectionKey('  Personality & Style! '), 'personality-style');
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTemplate, renderTemplate } from '../utils/promptTemplate.js';
+
+describe('renderTemplate', () => {
+  it('looks up dotted names and joins arrays', () => {
+    assert.equal(
+      renderTemplate('{{name}} knows {{skills}} ({{school.name}}){{missing}}', {
+        name: 'Ada',
+        skills: ['JS', 'Go'],
+        school: { name: 'MIT' },
+      }),
+      'Ada knows JS, Go (MIT)',
+    );
+  });
+
+  it('repeats sections per item and renders inverted sections for empty values', () => {
+    const source = '{{#items}}- {{.}}\n{{/items}}{{^items}}Nothing yet\n{{/items}}';
+    assert.equal(renderTemplate(source, { items: ['a', 'b'] }), '- a\n- b\n');
+    assert.equal(renderTemplate(source, { items: [] }), 'Nothing yet\n');
+  });
+
+  it('reads outer values inside a section', () => {
+    assert.equal(
+      renderTemplate('{{#facts}}{{key}} of {{name}}; {{/facts}}', {
+        name: 'Ada',
+        facts: [{ key: 'Degree' }],
+      }),
+      'Degree of Ada; ',
+    );
+  });
+
+  it('removes lines holding only a section, comment or partial tag', () => {
+    const source = 'Start\n{{! note }}\n{{#on}}\nOn\n{{/on}}\nEnd';
+    assert.equal(renderTemplate(source, { on: true }), 'Start\nOn\nEnd');
+  });
+
+  it('inserts partials and stops runaway nesting', () => {
+    const partials = { greeting: 'Hi {{name}}', loop: '{{> loop}}' };
+    assert.equal(
+      renderTemplate('{{> greeting}}!', { name: 'Ada' }, (name) => partials[name]),
+      'Hi Ada!',
+    );
+    assert.throws(
+      () => renderTemplate('{{> loop}}', {}, (name) => partials[name]),
+      /nested too deeply/,
+    );
+  });
+});
+
+describe('parseTemplate', () => {
+  it('rejects unbalanced sections', () => {
+    assert.throws(() => parseTemplate('{{#a}}text'), /Unclosed section \{\{#a\}\}/);
+    assert.throws(() => parseTemplate('{{#a}}text{{/b}}'), /Unexpected closing tag \{\{\/b\}\}/);
+  });
+});
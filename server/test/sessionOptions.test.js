@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSessionSettings } from '../utils/sessionOptions.js';
+
+const limits = {
+  clientOptions: ['avatar_name', 'voice_rate', 'quality', 'idle_timeout'],
+  qualities: ['low', 'medium'],
+  maxIdleTimeoutSeconds: 0,
+};
+const capped = { ...limits, maxIdleTimeoutSeconds: 600 };
+
+describe('resolveSessionSettings', () => {
+  it('lets allowed request fields override the persona settings', () => {
+    const result = resolveSessionSettings(
+      { avatarName: 'Wayne', voiceId: 'voice-1', quality: 'low' },
+      { avatar_name: 'Anna', voice_rate: 1.1, quality: 'medium' },
+      limits,
+    );
+    assert.deepEqual(result, {
+      settings: { avatarName: 'Anna', voiceId: 'voice-1', quality: 'medium', voiceRate: 1.1 },
+      errors: [],
+      adjusted: [],
+    });
+  });
+
+  it('reports errors by request field', () => {
+    const { errors } = resolveSessionSettings(
+      {},
+      { voice_id: 'x', voice_rate: 3, quality: 'high', idle_timeout: 0 },
+      capped,
+    );
+    assert.deepEqual(errors, [
+      { field: 'voice_id', message: 'cannot be set by clients on this server' },
+      { field: 'voice_rate', message: 'must be a number from 0.5 to 1.5' },
+      { field: 'quality', message: 'must be one of: low, medium' },
+      { field: 'idle_timeout', message: 'must be from 30 to 600 seconds' },
+    ]);
+  });
+
+  it('lowers persona settings beyond the limits instead of refusing them', () => {
+    const { settings, errors, adjusted } = resolveSessionSettings(
+      { quality: 'high', idleTimeoutSeconds: 0 },
+      {},
+      capped,
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(settings, { quality: 'medium', idleTimeoutSeconds: 600 });
+    assert.deepEqual(adjusted, ['quality', 'idleTimeoutSeconds']);
+  });
+
+  it('ignores empty request fields', () => {
+    const { settings, errors } = resolveSessionSettings(
+      { avatarName: 'Wayne' },
+      { avatar_name: '', quality: null },
+      limits,
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(settings, { avatarName: 'Wayne' });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Consecutive-failure circuit breaker. After `failureThreshold` failures in a row the
+ * circuit opens and calls are refused for `cooldownMs`; then a single trial call is let through
+ * (half-open) and its outcome closes or re-opens the circuit.
+ */
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - How long the circuit stays open
+   */
+  constructor({ failureThreshold, cooldownMs }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed'; // closed | open | half-open
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+    this.trialEndsAt = 0; // when the half-open trial call times out at the latest
+  }
+
+  /**
+   * @description Check whether a call may go through; moves an expired open circuit to half-open
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=1000] - Longest the call may take; while it is the half-open trial,
+   * other callers are told to retry after it
+   * @returns {boolean} False while the circuit is open or a half-open trial is in flight
+   */
+  allowRequest({ timeoutMs = 1000 } = {}) {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      this.trialEndsAt = Date.now() + timeoutMs;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @description Milliseconds until a refused call is worth retrying
+   * @returns {number} Remaining cooldown while open; while half-open, the time left until the trial call
+   * has finished (at least a second); 0 when closed
+   */
+  retryAfterMs() {
+    if (this.state === 'open') return Math.max(0, this.cooldownMs - (Date.now() - this.openedAt));
+    if (this.state === 'half-open') return Math.max(1000, this.trialEndsAt - Date.now());
+    return 0;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @description Count a failure
+   * @returns {boolean} True if this failure opened the circuit
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      return true;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Structure-aware chunking of document text. Page text is parsed into headings, paragraphs
+ * and list items; chunks are packed from whole sentences up to a token budget, never span two sections,
+ * repeat their section heading and overlap the previous chunk by a few sentences. Every chunk records the
+ * pages and section it came from, so answers can cite "page 12, section 3.2".
+ */
+
+import { splitSentences } from './sentenceSplitter.js';
+
+// "3.2 Pricing", "4 Results", "A.1 Glossary"; the leading number is kept short so years are not headings.
+// "4. Results" is read as a list item: numbered steps ("1. Install the package") look the same.
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,3})*|[A-Z](?:\.\d{1,3})+)\.?\s+(\p{Lu}.{0,80})$/u;
+const LIST_ITEM = /^(?:[-•*▪◦–·]|\d{1,3}[.)]|[a-z][.)])\s+/;
+const HEADING_MAX_WORDS = 12;
+
+/**
+ * @description Estimated token count of a text: about one token per four characters of a word, one per
+ * punctuation mark. Close enough to budget chunks for any embedding or chat model.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export const countTokens = (text) => {
+  let tokens = 0;
+  for (const [piece] of String(text || '').matchAll(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu)) {
+    tokens += Math.max(1, Math.round(piece.length / 4));
+  }
+  return tokens;
+};
+
+/**
+ * @description Recognise a heading line: numbered ("3.2 Pricing"), markdown ("## Pricing") or a short
+ * all-caps title ("PRICING AND TERMS")
+ * @param {string} line - Trimmed line
+ * @returns {{section: string|null, title: string}|null} Section number (when numbered) and title, or null
+ */
+const parseHeading = (line) => {
+  if (line.split(/\s+/).length > HEADING_MAX_WORDS || /[.,;:]$/.test(line)) return null;
+
+  const markdown = line.match(/^#{1,6}\s+(.+)$/);
+  if (markdown) return parseHeading(markdown[1]) || { section: null, title: markdown[1] };
+
+  const numbered = line.match(NUMBERED_HEADING);
+  if (numbered) return { section: numbered[1], title: numbered[2] };
+
+  if (/\p{Lu}{3}/u.test(line) && line === line.toUpperCase()) return { section: null, title: line };
+  return null;
+};
+
+/**
+ * @description Parse pages into blocks. Lines of a paragraph are joined (undoing hyphenation at line
+ * ends); a blank line, list marker or heading starts a new block. List markers are checked first, so
+ * numbered steps are never taken for section headings.
+ * @param {Array<{page: number|null, text: string}>} pages - Text of each page, in order
+ * @returns {Array<{type: string, text: string, page: number|null, pageEnd: number|null, section: string|null,
+ * heading: string|null}>} Blocks of type 'heading', 'paragraph' or 'list', with the pages they span and the
+ * section they belong to
+ */
+export const parseBlocks = (pages) => {
+  const blocks = [];
+  let current = null;
+  let section = null;
+  let heading = null;
+
+  const close = () => {
+    if (current && current.text) blocks.push(current);
+    current = null;
+  };
+
+  for (const { page, text } of pages) {
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/\s+/g, ' ').trim();
+      if (!line) {
+        close();
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        close();
+        current = { type: 'list', text: line, page, pageEnd: page, section, heading };
+        continue;
+      }
+
+      const parsedHeading = parseHeading(line);
+      if (parsedHeading) {
+        close();
+        ({ section, title: heading } = parsedHeading);
+        blocks.push({ type: 'heading', text: line, page, pageEnd: page, section, heading });
+        continue;
+      }
+
+      if (!current) {
+        current = { type: 'paragraph', text: line, page, pageEnd: page, section, heading };
+        continue;
+      }
+
+      // A paragraph may run onto the next page
+      current.pageEnd = page;
+      if (/\p{L}-$/u.test(current.text) && /^\p{Ll}/u.test(line)) {
+        current.text = current.text.slice(0, -1) + line;
+      } else {
+        current.text += ` ${line}`;
+      }
+    }
+  }
+  close();
+  return blocks;
+};
+
+/**
+ * @description Split a block into pieces of at most maxTokens: whole sentences where possible, words for
+ * a sentence that is longer than the budget on its own
+ */
+const splitBlock = (text, maxTokens) =>
+  splitSentences(text).flatMap((sentence) => {
+    if (countTokens(sentence) <= maxTokens) return [sentence];
+    const pieces = [];
+    let piece = '';
+    for (const word of sentence.split(/\s+/)) {
+      if (piece && countTokens(`${piece} ${word}`) > maxTokens) {
+        pieces.push(piece);
+        piece = word;
+      } else {
+        piece = piece ? `${piece} ${word}` : word;
+      }
+    }
+    return piece ? [...pieces, piece] : pieces;
+  });
+
+/**
+ * @description Chunk a document. Headings are repeated at the top of their section's chunks; a heading
+ * with no text of its own ("3 Pricing" directly followed by "3.2 Volume discounts") is carried into the
+ * next section's heading, or becomes a chunk of its own, so every heading reaches the index.
+ * @param {Array<{page: number|null, text: string}>} pages - Text of each page, in order; page is null when
+ * the text has no page numbers
+ * @param {Object} [options]
+ * @param {number} [options.chunkTokens=256] - Largest chunk, in estimated tokens
+ * @param {number} [options.overlapTokens=40] - Sentences from the end of a chunk repeated at the start of
+ * the next one in the same section, up to this many tokens
+ * @returns {Array<{text: string, metadata: {page: number|null, pageEnd: number|null, section: string|null,
+ * heading: string|null}}>} Chunks, in document order
+ */
+export const chunkDocument = (pages, { chunkTokens = 256, overlapTokens = 40 } = {}) => {
+  const chunks = [];
+  let units = []; // { text, tokens, page, pageEnd, newBlock }
+  let context = null; // heading block of the section being chunked
+  let contextChunked = false; // whether the section has produced a chunk yet
+
+  const headingTokens = () => (context ? countTokens(context.text) : 0);
+  const emit = ({ headingOnly = false } = {}) => {
+    if (units.length === 0 && !headingOnly) return;
+    contextChunked = true;
+    const body = units.map((unit, index) => (index === 0 ? '' : unit.newBlock ? '\n' : ' ') + unit.text).join('');
+    // A heading-only chunk is located by its heading; others by their text
+    const pageNumbers = (units.length > 0 ? units : [context]).flatMap((unit) => [unit.page, unit.pageEnd]).filter((page) => page !== null && page !== undefined);
+    chunks.push({
+      text: [context?.text, body].filter(Boolean).join('\n'),
+      metadata: {
+        page: pageNumbers.length > 0 ? Math.min(...pageNumbers) : null,
+        pageEnd: pageNumbers.length > 0 ? Math.max(...pageNumbers) : null,
+        section: context?.section ?? null,
+        heading: context?.heading ?? null,
+      },
+    });
+  };
+
+  for (let block of parseBlocks(pages)) {
+    if (block.type === 'heading') {
+      emit();
+      units = [];
+      if (context && !contextChunked) {
+        if (countTokens(`${context.text}\n${block.text}`) <= chunkTokens / 2) {
+          block = { ...block, text: `${context.text}\n${block.text}`, page: context.page };
+        } else {
+          emit({ headingOnly: true });
+        }
+      }
+      context = block;
+      contextChunked = false;
+      continue;
+    }
+
+    const budget = Math.max(chunkTokens - headingTokens(), 1);
+    splitBlock(block.text, budget).forEach((text, index) => {
+      const unit = { text, tokens: countTokens(text), page: block.page, pageEnd: block.pageEnd, newBlock: index === 0 };
+      const used = units.reduce((sum, { tokens }) => sum + tokens, 0);
+      if (units.length > 0 && used + unit.tokens > budget) {
+        emit();
+        // Carry the last sentences over, as long as they leave room for the new one
+        const carried = [];
+        let carriedTokens = 0;
+        for (const previous of [...units].reverse()) {
+          if (carriedTokens + previous.tokens > overlapTokens || carriedTokens + previous.tokens + unit.tokens > budget) break;
+          carried.unshift(previous);
+          carriedTokens += previous.tokens;
+        }
+        units = carried.length < units.length ? carried : [];
+      }
+      units.push(unit);
+    });
+  }
+  emit();
+  if (context && !contextChunked) emit({ headingOnly: true });
+  return chunks;
+};
+
+/**
+ * @description Human-readable location of a chunk
+ * @param {Object} [metadata] - Chunk metadata from chunkDocument()
+ * @returns {string|null} E.g. "page 12, section 3.2", "pages 4-5, section "Pricing"", or null when the chunk
+ * has neither page nor section
+ */
+export const formatCitation = (metadata) => {
+  if (!metadata) return null;
+  const parts = [];
+  const { page, pageEnd, section, heading } = metadata;
+  if (page !== null && page !== undefined) {
+    parts.push(pageEnd && pageEnd !== page ? `pages ${page}-${pageEnd}` : `page ${page}`);
+  }
+  if (section) parts.push(`section ${section}`);
+  else if (heading) parts.push(`section "${heading}"`);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
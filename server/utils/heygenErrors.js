@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Typed errors raised by the HeyGen client. Each carries the HTTP status the API should
+ * answer with, so controllers can pass HeyGen failures on without inspecting messages.
+ */
+
+export class HeygenError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status=502] - HTTP status to answer the client with
+   * @param {number} [details.upstreamStatus] - HTTP status HeyGen answered with
+   * @param {string} [details.operation] - HeyGen endpoint, e.g. streaming.task
+   * @param {boolean} [details.transient=false] - Whether retrying may succeed
+   * @param {boolean} [details.unsent=false] - Whether the request provably never reached HeyGen (no connection
+   * could be made), so even a call that is not idempotent can be repeated
+   */
+  constructor(message, { status = 502, upstreamStatus, operation, transient = false, unsent = false } = {}) {
+    super(message);
+    this.name = 'HeygenError';
+    this.code = 'HEYGEN_ERROR';
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.operation = operation;
+    this.transient = transient;
+    this.unsent = unsent;
+  }
+}
+
+// The API key is missing or rejected; a server configuration problem, not the client's
+export class HeygenAuthError extends HeygenError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: 502 });
+    this.name = 'HeygenAuthError';
+    this.code = 'HEYGEN_AUTH';
+  }
+}
+
+// Rate limit, concurrent session limit or exhausted credits
+export class HeygenQuotaError extends HeygenError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: 429 });
+    this.name = 'HeygenQuotaError';
+    this.code = 'HEYGEN_QUOTA';
+  }
+}
+
+// HeyGen no longer knows the session (expired, stopped elsewhere or never existed)
+export class HeygenSessionNotFoundError extends HeygenError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: 404 });
+    this.name = 'HeygenSessionNotFoundError';
+    this.code = 'HEYGEN_SESSION_NOT_FOUND';
+  }
+}
+
+export class HeygenTimeoutError extends HeygenError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: 504, transient: true });
+    this.name = 'HeygenTimeoutError';
+    this.code = 'HEYGEN_TIMEOUT';
+  }
+}
+
+// Raised without calling HeyGen while the circuit breaker is open
+export class HeygenUnavailableError extends HeygenError {
+  constructor(message, { retryAfterMs, ...details } = {}) {
+    super(message, { ...details, status: 503 });
+    this.name = 'HeygenUnavailableError';
+    this.code = 'HEYGEN_UNAVAILABLE';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Lexical retrieval for the knowledge base: tokenisation with stopwords and light suffix
+ * stemming, BM25 scoring, and reciprocal-rank fusion of several rankings (e.g. BM25 and vector similarity)
+ */
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before', 'being',
+  'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'had', 'has', 'have', 'having', 'he',
+  'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'more', 'most',
+  'my', 'no', 'nor', 'not', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours',
+]);
+
+// Removed by stem(), checked in order; a stem keeps at least three characters
+const SUFFIXES = ['ational', 'ization', 'fulness', 'iveness', 'ments', 'ment', 'ness', 'ingly', 'ings', 'ing', 'edly', 'ed', 'ly'];
+
+// Words such as product codes, versions and names with inner punctuation (XR-200, v2.1, node.js)
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu;
+const WORD_SEPARATOR = /[-_./]/;
+
+const undouble = (word) => (/([^aeiouyls])\1$/.test(word) ? word.slice(0, -1) : word);
+
+/**
+ * @description Reduce an English word to a stem shared by its inflections (plans, planned, planning -> plan).
+ * Deliberately light: stems only need to agree between documents and queries, not be real words.
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies') || word.endsWith('ied')) return `${word.slice(0, -3)}y`;
+  for (const suffix of SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) return undouble(word.slice(0, -suffix.length));
+  }
+  if (/(ch|sh|ss|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * @description Split text into index terms: lowercase, stopwords removed, stemmed. A word with inner
+ * punctuation is kept whole (for exact matches on codes such as XR-200) as well as split into its parts.
+ * @param {string} text - Text to tokenise
+ * @returns {string[]} Terms, in order, with repeats
+ */
+export const tokenize = (text) => {
+  const terms = [];
+  for (const [word] of String(text || '').toLowerCase().normalize('NFKC').matchAll(WORD_PATTERN)) {
+    const parts = word.split(WORD_SEPARATOR);
+    if (parts.length > 1) terms.push(word);
+    for (const part of parts) {
+      if (STOPWORDS.has(part) || (part.length < 2 && !/\d/.test(part))) continue;
+      terms.push(stem(part));
+    }
+  }
+  return terms;
+};
+
+/**
+ * @description Term frequencies of a text, the unit BM25 scores
+ * @param {string} text - Text to analyse
+ * @returns {{terms: Map<string, number>, length: number}} Term -> count, and the number of terms
+ */
+export const analyze = (text) => {
+  const tokens = tokenize(text);
+  const terms = new Map();
+  tokens.forEach((term) => terms.set(term, (terms.get(term) || 0) + 1));
+  return { terms, length: tokens.length };
+};
+
+/**
+ * @description Okapi BM25 score of each document for a query. Document frequencies come from the given
+ * documents, so the scores rank a search over exactly those documents.
+ * @param {string[]} queryTerms - Query terms from tokenize()
+ * @param {Array<{terms: Map<string, number>, length: number}>} documents - Documents from analyze()
+ * @param {Object} [options]
+ * @param {number} [options.k1=1.2] - Term frequency saturation
+ * @param {number} [options.b=0.75] - Document length normalisation
+ * @returns {number[]} Score per document, 0 when no query term occurs in it
+ */
+export const bm25Scores = (queryTerms, documents, { k1 = 1.2, b = 0.75 } = {}) => {
+  if (documents.length === 0) return [];
+  const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / documents.length || 1;
+  const idf = new Map(
+    [...new Set(queryTerms)].map((term) => {
+      const frequency = documents.filter((document) => document.terms.has(term)).length;
+      return [term, Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5))];
+    })
+  );
+
+  return documents.map((document) => {
+    let score = 0;
+    for (const [term, weight] of idf) {
+      const count = document.terms.get(term);
+      if (!count) continue;
+      score += (weight * count * (k1 + 1)) / (count + k1 * (1 - b + (b * document.length) / averageLength));
+    }
+    return score;
+  });
+};
+
+/**
+ * @description Fuse rankings with reciprocal rank fusion: an item scores 1 / (k + rank) in every ranking it
+ * appears in, so items ranked well by several rankings come first without comparing their raw scores
+ * @param {Array<Array<*>>} rankings - Item keys, best first
+ * @param {number} [k=60] - Damping constant; larger values flatten the advantage of top ranks
+ * @returns {Array<{key: *, score: number}>} Fused ranking, best first
+ */
+export const reciprocalRankFusion = (rankings, k = 60) => {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((key, index) => scores.set(key, (scores.get(key) || 0) + 1 / (k + index + 1)));
+  }
+  return [...scores].map(([key, score]) => ({ key, score })).sort((a, b) => b.score - a.score);
+};
@@ -1,55 +1,103 @@
-export let persona = {
+// Seed for the default persona; personaStore copies it to disk on first run
+export const defaultPersona = {
   "name": "Surya Ghosh",
   "title": "The Passionate Tech Explorer",
-  "education": {
-    "degree": "B.Tech in Electronics and Communication Engineering",
-    "year": "3rd Year, 6th Semester",
-    "institution": "Future Institute of Engineering and Management"
-  },
-  "traits": [
-    "Curious",
-    "passionate",
-    "disciplined",
-    "hardworking",
-    "socially active"
-  ],
-  "technical": {
-    "languages": [
-      "Java",
-      "C"
-    ],
-    "webStack": [
-      "React",
-      "Next.js",
-      "Hono.js",
-      "Drizzle ORM",
-      "MongoDB"
-    ],
-    "projects": [
-      "Women Safety App (gender classification + SMS alerts)",
-      "CloneX – AI-powered digital human clone",
-      "Obstacle Avoiding Robot",
-      "Firefighting Robot with separate sensing unit",
-      "ReelsPro – Media sharing Next.js app",
-      "Astro.js based documentation site with login and backend",
-      "Chat + Music Sync App"
-    ]
-  },
-  "personality": {
-    "style": "Goal-oriented, practical, and project-driven learner with a love for real-world applications",
-    "interests": [
-      "Artificial Intelligence & Deep Learning",
-      "Robotics",
-      "Full Stack Web Development",
-      "Hackathons & Competitive Coding",
-      "Building tech for social good"
-    ],
-    "goals": [
-      "Revise and strengthen DSA, Java, and C fundamentals",
-      "Build a successful hackathon project (April 12–13)",
-      "Contribute daily to research work",
-      "Maintain consistency despite distractions",
-      "Balance academics, project work, and personal life"
-    ]
-  }
-};
\ No newline at end of file
+  "sections": [
+    {
+      "key": "education",
+      "label": "Education",
+      "type": "facts",
+      "items": [
+        {
+          "key": "Degree",
+          "value": "B.Tech in Electronics and Communication Engineering"
+        },
+        {
+          "key": "Year",
+          "value": "3rd Year, 6th Semester"
+        },
+        {
+          "key": "Institution",
+          "value": "Future Institute of Engineering and Management"
+        }
+      ]
+    },
+    {
+      "key": "traits",
+      "label": "Core Traits",
+      "type": "list",
+      "items": [
+        "Curious",
+        "passionate",
+        "disciplined",
+        "hardworking",
+        "socially active"
+      ]
+    },
+    {
+      "key": "languages",
+      "label": "Languages Known",
+      "type": "list",
+      "items": [
+        "Java",
+        "C"
+      ]
+    },
+    {
+      "key": "web-stack",
+      "label": "Web Dev Stack",
+      "type": "list",
+      "items": [
+        "React",
+        "Next.js",
+        "Hono.js",
+        "Drizzle ORM",
+        "MongoDB"
+      ]
+    },
+    {
+      "key": "projects",
+      "label": "Projects",
+      "type": "list",
+      "items": [
+        "Women Safety App (gender classification + SMS alerts)",
+        "CloneX – AI-powered digital human clone",
+        "Obstacle Avoiding Robot",
+        "Firefighting Robot with separate sensing unit",
+        "ReelsPro – Media sharing Next.js app",
+        "Astro.js based documentation site with login and backend",
+        "Chat + Music Sync App"
+      ]
+    },
+    {
+      "key": "style",
+      "label": "Personality & Style",
+      "type": "text",
+      "text": "Goal-oriented, practical, and project-driven learner with a love for real-world applications"
+    },
+    {
+      "key": "interests",
+      "label": "Interests",
+      "type": "list",
+      "items": [
+        "Artificial Intelligence & Deep Learning",
+        "Robotics",
+        "Full Stack Web Development",
+        "Hackathons & Competitive Coding",
+        "Building tech for social good"
+      ]
+    },
+    {
+      "key": "goals",
+      "label": "Current Goals",
+      "type": "list",
+      "items": [
+        "Revise and strengthen DSA, Java, and C fundamentals",
+        "Build a successful hackathon project (April 12–13)",
+        "Contribute daily to research work",
+        "Maintain consistency despite distractions",
+        "Balance academics, project work, and personal life"
+      ]
+    }
+  ]
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Field-level diff between two persona snapshots; sections are matched by key, not position
+ */
+
+const IGNORED_FIELDS = new Set(['id', 'version', 'createdAt', 'updatedAt']);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diffValues = (before, after, path, changes) => {
+  if (same(before, after)) return;
+
+  if (before === undefined) {
+    changes.push({ path, type: 'added', after });
+  } else if (after === undefined) {
+    changes.push({ path, type: 'removed', before });
+  } else if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      diffValues(before[key], after[key], `${path}.${key}`, changes);
+    }
+  } else if (isStringArray(before) && isStringArray(after)) {
+    changes.push({
+      path,
+      type: 'changed',
+      before,
+      after,
+      addedItems: after.filter((item) => !before.includes(item)),
+      removedItems: before.filter((item) => !after.includes(item)),
+    });
+  } else {
+    changes.push({ path, type: 'changed', before, after });
+  }
+};
+
+/**
+ * @description List what changed between two personas
+ * @param {Object} before - Older persona
+ * @param {Object} after - Newer persona
+ * @returns {Array<{path: string, type: 'added'|'removed'|'changed', before?: *, after?: *}>} Changes, e.g.
+ * { path: 'sections.traits.items', type: 'changed', addedItems: ['Calm'], removedItems: [] }
+ */
+export const diffPersonas = (before, after) => {
+  const changes = [];
+
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (IGNORED_FIELDS.has(field) || field === 'sections') continue;
+    diffValues(before[field], after[field], field, changes);
+  }
+
+  const beforeSections = new Map((before.sections || []).map((section) => [section.key, section]));
+  const afterSections = new Map((after.sections || []).map((section) => [section.key, section]));
+  for (const key of new Set([...beforeSections.keys(), ...afterSections.keys()])) {
+    diffValues(beforeSections.get(key), afterSections.get(key), `sections.${key}`, changes);
+  }
+
+  const beforeOrder = [...beforeSections.keys()].filter((key) => afterSections.has(key));
+  const afterOrder = [...afterSections.keys()].filter((key) => beforeSections.has(key));
+  if (!same(beforeOrder, afterOrder)) {
+    changes.push({ path: 'sections', type: 'reordered', before: beforeOrder, after: afterOrder });
+  }
+
+  return changes;
+};
+
+/**
+ * @description One-line human readable summary of a diff, used when the editor gives none
+ * @param {Array<Object>} changes - Result of diffPersonas()
+ * @returns {string} Summary
+ */
+export const summarizeChanges = (changes) => {
+  if (changes.length === 0) return 'No changes';
+
+  const describe = ({ path, type }) => {
+    const [root, sectionKey] = path.split('.');
+    const target = root === 'sections' && sectionKey ? `section "${sectionKey}"` : root;
+    if (type === 'reordered') return 'reordered sections';
+    if (root === 'sections' && path.split('.').length === 2) return `${type} ${target}`;
+    return `changed ${target}`;
+  };
+  const parts = [...new Set(changes.map(describe))];
+  const summary = parts.join(', ');
+  return summary.charAt(0).toUpperCase() + summary.slice(1);
+};
@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Persona schema: a name and title plus a list of generic sections.
+ *
+ * Section types:
+ *   text    { text: string }                                  free-form description
+ *   list    { items: string[] }                               e.g. interests, skills
+ *   facts   { items: Array<{ key: string, value: string }> }  key/value facts
+ *   rules   { do: string[], dont: string[] }                  behaviour rules
+ *   samples { items: string[] }                               sample utterances in the persona's voice
+ *
+ * Every section also has a unique `key` and a display `label`.
+ *
+ * `documents` optionally lists knowledge-base documents (uploaded PDF filenames) attached to the persona.
+ *
+ * `avatar` optionally sets how the persona looks and sounds in HeyGen sessions; unset keys fall back to
+ * config.heygen: { avatarName, voiceId, voiceRate (0.5-1.5), voiceEmotion, quality, idleTimeoutSeconds
+ * (HeyGen's own idle timeout, 30-3600, 0 disables it), videoEncoding, knowledgeBaseId, language }
+ */
+
+export const SECTION_TYPES = ['text', 'list', 'facts', 'rules', 'samples'];
+export const VOICE_EMOTIONS = ['Excited', 'Serious', 'Friendly', 'Soothing', 'Broadcaster'];
+export const SESSION_QUALITIES = ['low', 'medium', 'high'];
+export const VIDEO_ENCODINGS = ['H264', 'VP8'];
+// Range HeyGen accepts for activity_idle_timeout, in seconds
+export const IDLE_TIMEOUT_RANGE = [30, 3600];
+
+// Top-level fields a client may set; id, version and timestamps are managed by the store
+const PERSONA_FIELDS = ['name', 'title', 'summary', 'sections', 'documents', 'avatar'];
+const MANAGED_FIELDS = ['id', 'version', 'createdAt', 'updatedAt'];
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_TEXT_LENGTH = 5000;
+const VOICE_RATE_RANGE = [0.5, 1.5];
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * @description Turn a label into a section key ("Web Dev Stack" -> "web-dev-stack")
+ * @param {string} label - Section label
+ * @returns {string} Section key
+ */
+export const toSectionKey = (label) =>
+  String(label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 64);
+
+/**
+ * @description Check whether data uses the original fixed student profile shape
+ * @param {Object} data - Persona data
+ * @returns {boolean} True for the legacy shape
+ */
+export const isLegacyPersona = (data) =>
+  !!data && !Array.isArray(data.sections) && ['education', 'traits', 'technical', 'personality'].some((key) => key in data);
+
+/**
+ * @description Convert the legacy education/technical/personality profile into sections.
+ * Only the legacy fields that are present produce sections, so partial legacy updates stay partial.
+ * @param {Object} data - Persona data in either shape
+ * @returns {Object} Persona data in the section shape
+ */
+export const migrateLegacyPersona = (data) => {
+  if (!isLegacyPersona(data)) return data;
+
+  const { education, traits, technical, personality, ...rest } = data;
+  const sections = [];
+  const addList = (key, label, items) => {
+    if (Array.isArray(items)) sections.push({ key, label, type: 'list', items });
+  };
+
+  if (education) {
+    const items = [
+      { key: 'Degree', value: education.degree },
+      { key: 'Year', value: education.year },
+      { key: 'Institution', value: education.institution },
+    ].filter((fact) => isNonEmptyString(fact.value));
+    sections.push({ key: 'education', label: 'Education', type: 'facts', items });
+  }
+  addList('traits', 'Core Traits', traits);
+  if (technical) {
+    addList('languages', 'Languages Known', technical.languages);
+    addList('web-stack', 'Web Dev Stack', technical.webStack);
+    addList('projects', 'Projects', technical.projects);
+  }
+  if (personality) {
+    if (isNonEmptyString(personality.style)) {
+      sections.push({ key: 'style', label: 'Personality & Style', type: 'text', text: personality.style });
+    }
+    addList('interests', 'Interests', personality.interests);
+    addList('goals', 'Current Goals', personality.goals);
+  }
+
+  return { ...rest, sections };
+};
+
+/**
+ * @description Merge changes into a persona: top-level fields are replaced, avatar settings are merged,
+ * sections are replaced or appended by key
+ * @param {Object} existing - Stored persona
+ * @param {Object} changes - Partial persona in either shape
+ * @returns {Object} Merged persona (not validated)
+ */
+export const mergePersona = (existing, changes) => {
+  const { sections, ...fields } = migrateLegacyPersona(changes);
+  const merged = { ...existing, ...fields };
+
+  if (fields.avatar && typeof fields.avatar === 'object' && existing.avatar) {
+    merged.avatar = { ...existing.avatar, ...fields.avatar };
+  }
+
+  if (Array.isArray(sections)) {
+    const byKey = new Map((existing.sections || []).map((section) => [section.key, section]));
+    for (const section of sections) {
+      byKey.set(section?.key || toSectionKey(section?.label), section);
+    }
+    merged.sections = [...byKey.values()];
+  }
+  return merged;
+};
+
+const validateStringList = (value, field, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push({ field, message: 'must be an array of strings' });
+    return [];
+  }
+  const items = [];
+  value.forEach((item, index) => {
+    if (!isNonEmptyString(item)) {
+      errors.push({ field: `${field}[${index}]`, message: 'must be a non-empty string' });
+    } else {
+      items.push(item.trim());
+    }
+  });
+  return items;
+};
+
+const validateSection = (section, field, errors) => {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push({ field, message: 'must be an object' });
+    return null;
+  }
+
+  const label = isNonEmptyString(section.label) ? section.label.trim() : '';
+  if (!label) errors.push({ field: `${field}.label`, message: 'is required' });
+
+  const key = section.key === undefined ? toSectionKey(label) : section.key;
+  if (!KEY_PATTERN.test(key || '')) {
+    errors.push({ field: `${field}.key`, message: 'must use lowercase letters, digits, dashes or underscores' });
+  }
+
+  if (!SECTION_TYPES.includes(section.type)) {
+    errors.push({ field: `${field}.type`, message: `must be one of: ${SECTION_TYPES.join(', ')}` });
+    return null;
+  }
+
+  const normalized = { key, label, type: section.type };
+  switch (section.type) {
+    case 'text':
+      if (!isNonEmptyString(section.text)) {
+        errors.push({ field: `${field}.text`, message: 'is required' });
+      } else if (section.text.length > MAX_TEXT_LENGTH) {
+        errors.push({ field: `${field}.text`, message: `must be at most ${MAX_TEXT_LENGTH} characters` });
+      }
+      normalized.text = typeof section.text === 'string' ? section.text.trim() : '';
+      break;
+    case 'list':
+    case 'samples':
+      normalized.items = validateStringList(section.items, `${field}.items`, errors);
+      break;
+    case 'facts':
+      if (!Array.isArray(section.items)) {
+        errors.push({ field: `${field}.items`, message: 'must be an array of { key, value } facts' });
+        normalized.items = [];
+        break;
+      }
+      normalized.items = section.items.map((fact, index) => {
+        if (!isNonEmptyString(fact?.key)) {
+          errors.push({ field: `${field}.items[${index}].key`, message: 'is required' });
+        }
+        if (!isNonEmptyString(fact?.value)) {
+          errors.push({ field: `${field}.items[${index}].value`, message: 'is required' });
+        }
+        return { key: String(fact?.key ?? '').trim(), value: String(fact?.value ?? '').trim() };
+      });
+      break;
+    case 'rules':
+      normalized.do = section.do === undefined ? [] : validateStringList(section.do, `${field}.do`, errors);
+      normalized.dont = section.dont === undefined ? [] : validateStringList(section.dont, `${field}.dont`, errors);
+      if (normalized.do.length === 0 && normalized.dont.length === 0) {
+        errors.push({ field, message: 'needs at least one do or dont rule' });
+      }
+      break;
+  }
+  return normalized;
+};
+
+/**
+ * @description Validate and normalize avatar settings (also used for the options of a single session)
+ * @param {Object} avatar - Avatar settings
+ * @param {Array} errors - Receives { field: 'avatar.<key>', message } for each invalid setting
+ * @returns {Object|undefined} Normalized settings, without the cleared (null or empty) ones
+ */
+export const validateAvatar = (avatar, errors) => {
+  if (!avatar || typeof avatar !== 'object' || Array.isArray(avatar)) {
+    errors.push({ field: 'avatar', message: 'must be an object' });
+    return undefined;
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(avatar)) {
+    if (value === null || value === '') continue; // cleared in the form: fall back to the default
+    switch (key) {
+      case 'avatarName':
+      case 'voiceId':
+      case 'knowledgeBaseId':
+        if (!isNonEmptyString(value)) errors.push({ field: `avatar.${key}`, message: 'must be a non-empty string' });
+        else normalized[key] = value.trim();
+        break;
+      case 'voiceRate':
+        if (typeof value !== 'number' || value < VOICE_RATE_RANGE[0] || value > VOICE_RATE_RANGE[1]) {
+          errors.push({ field: 'avatar.voiceRate', message: `must be a number from ${VOICE_RATE_RANGE[0]} to ${VOICE_RATE_RANGE[1]}` });
+        } else {
+          normalized.voiceRate = value;
+        }
+        break;
+      case 'voiceEmotion':
+        if (!VOICE_EMOTIONS.includes(value)) errors.push({ field: 'avatar.voiceEmotion', message: `must be one of: ${VOICE_EMOTIONS.join(', ')}` });
+        else normalized.voiceEmotion = value;
+        break;
+      case 'quality':
+        if (!SESSION_QUALITIES.includes(value)) errors.push({ field: 'avatar.quality', message: `must be one of: ${SESSION_QUALITIES.join(', ')}` });
+        else normalized.quality = value;
+        break;
+      case 'idleTimeoutSeconds':
+        if (value !== 0 && !(Number.isInteger(value) && value >= IDLE_TIMEOUT_RANGE[0] && value <= IDLE_TIMEOUT_RANGE[1])) {
+          errors.push({ field: 'avatar.idleTimeoutSeconds', message: `must be 0 (no timeout) or a whole number of seconds from ${IDLE_TIMEOUT_RANGE[0]} to ${IDLE_TIMEOUT_RANGE[1]}` });
+        } else {
+          normalized.idleTimeoutSeconds = value;
+        }
+        break;
+      case 'videoEncoding':
+        if (!VIDEO_ENCODINGS.includes(value)) errors.push({ field: 'avatar.videoEncoding', message: `must be one of: ${VIDEO_ENCODINGS.join(', ')}` });
+        else normalized.videoEncoding = value;
+        break;
+      case 'language':
+        if (typeof value !== 'string' || !LANGUAGE_PATTERN.test(value)) errors.push({ field: 'avatar.language', message: 'must be a language code such as en or pt-BR' });
+        else normalized.language = value;
+        break;
+      default:
+        errors.push({ field: `avatar.${key}`, message: 'is not an avatar setting' });
+    }
+  }
+  return normalized;
+};
+
+/**
+ * @description Validate persona data and normalize it (trimmed strings, derived section keys).
+ * Legacy-shaped data is migrated first.
+ * @param {Object} data - Persona data
+ * @returns {{persona: Object, errors: Array<{field: string, message: string}>}} Normalized persona and
+ * per-field errors (empty when valid)
+ */
+export const validatePersona = (data) => {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { persona: null, errors: [{ field: '', message: 'Persona must be an object' }] };
+  }
+
+  const input = migrateLegacyPersona(data);
+  for (const field of Object.keys(input)) {
+    if (!PERSONA_FIELDS.includes(field) && !MANAGED_FIELDS.includes(field)) {
+      errors.push({ field, message: 'is not a persona field' });
+    }
+  }
+
+  if (!isNonEmptyString(input.name)) {
+    errors.push({ field: 'name', message: 'is required' });
+  }
+  for (const field of ['title', 'summary']) {
+    if (input[field] !== undefined && typeof input[field] !== 'string') {
+      errors.push({ field, message: 'must be a string' });
+    }
+  }
+
+  const documents = input.documents === undefined ? undefined : validateStringList(input.documents, 'documents', errors);
+  const avatar = input.avatar === undefined ? undefined : validateAvatar(input.avatar, errors);
+
+  const sections = [];
+  if (input.sections !== undefined && !Array.isArray(input.sections)) {
+    errors.push({ field: 'sections', message: 'must be an array' });
+  } else {
+    const seenKeys = new Set();
+    (input.sections || []).forEach((section, index) => {
+      const normalized = validateSection(section, `sections[${index}]`, errors);
+      if (!normalized) return;
+      if (seenKeys.has(normalized.key)) {
+        errors.push({ field: `sections[${index}].key`, message: `duplicates section key "${normalized.key}"` });
+      }
+      seenKeys.add(normalized.key);
+      sections.push(normalized);
+    });
+  }
+
+  const persona = {
+    name: typeof input.name === 'string' ? input.name.trim() : input.name,
+    title: typeof input.title === 'string' ? input.title.trim() : '',
+    ...(input.summary !== undefined && { summary: input.summary }),
+    sections,
+    ...(documents !== undefined && { documents }),
+    ...(avatar && Object.keys(avatar).length > 0 && { avatar }),
+  };
+  return { persona, errors };
+};
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Minimal mustache-style template renderer for prompts.
+ *
+ * Supported tags:
+ *   {{name}} / {{a.b}}   value lookup (arrays are joined with ", "; missing values render as "")
+ *   {{.}}                 current item inside a section
+ *   {{#name}}...{{/name}} section: repeated for each array item, rendered once for other truthy values
+ *   {{^name}}...{{/name}} inverted section: rendered when the value is missing, false or empty
+ *   {{> name}}            partial: another template inserted in place
+ *   {{! comment}}         ignored
+ *
+ * Output is not HTML-escaped. A section, comment or partial tag on a line of its own removes that line.
+ */
+
+const TAG_PATTERN = /\{\{\s*([#^/!>]?)\s*([^}]*?)\s*\}\}/g;
+const STANDALONE_PATTERN = /^[ \t]*(\{\{\s*[#^/!>][^}]*\}\})[ \t]*\r?\n/gm;
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * @description Parse template source into a tree of text, variable, section and partial nodes
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Parsed nodes
+ * @throws {Error} When sections are not balanced
+ */
+export const parseTemplate = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  const text = String(source).replace(STANDALONE_PATTERN, '$1');
+  let cursor = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [tag, type, name] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > cursor) {
+      current.children.push({ type: 'text', value: text.slice(cursor, match.index) });
+    }
+    cursor = match.index + tag.length;
+
+    if (type === '!') continue;
+    if (type === '#' || type === '^') {
+      const section = { type: type === '#' ? 'section' : 'inverted', name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag {{/${name}}}`);
+      }
+      stack.pop();
+    } else if (type === '>') {
+      current.children.push({ type: 'partial', name });
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (cursor < text.length) {
+    root.children.push({ type: 'text', value: text.slice(cursor) });
+  }
+  return root.children;
+};
+
+/**
+ * @description Resolve a (dotted) name against the context stack, innermost context first
+ */
+const lookup = (name, contexts) => {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const [head, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[head]);
+    }
+  }
+  return undefined;
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+const formatValue = (value) => {
+  if (value == null || value === false) return '';
+  if (Array.isArray(value)) return value.map(formatValue).filter(Boolean).join(', ');
+  if (typeof value === 'object') return '';
+  return String(value);
+};
+
+const renderNodes = (nodes, contexts, resolvePartial, depth) => {
+  let output = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'variable':
+        output += formatValue(lookup(node.name, contexts));
+        break;
+      case 'section': {
+        const value = lookup(node.name, contexts);
+        if (isEmpty(value)) break;
+        const items = Array.isArray(value) ? value : [value];
+        for (const item of items) {
+          output += renderNodes(node.children, [...contexts, item], resolvePartial, depth);
+        }
+        break;
+      }
+      case 'inverted':
+        if (isEmpty(lookup(node.name, contexts))) {
+          output += renderNodes(node.children, contexts, resolvePartial, depth);
+        }
+        break;
+      case 'partial': {
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw new Error(`Partials nested too deeply at {{> ${node.name}}}`);
+        }
+        const source = resolvePartial(node.name);
+        output += renderNodes(parseTemplate(source), contexts, resolvePartial, depth + 1);
+        break;
+      }
+    }
+  }
+  return output;
+};
+
+/**
+ * @description Render a template with the given variables
+ * @param {string} source - Template source
+ * @param {Object} variables - Values available to the template
+ * @param {Function} [resolvePartial] - name => template source, used for {{> name}}
+ * @returns {string} Rendered text
+ */
+export const renderTemplate = (source, variables = {}, resolvePartial = () => '') => {
+  return renderNodes(parseTemplate(source), [variables], resolvePartial, 0);
+};
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Incremental sentence splitter for token streams
+ */
+
+// Abbreviations that end with a period but do not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'approx', 'no', 'inc', 'ltd',
+]);
+
+export class SentenceSplitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minLength=12] - Sentences shorter than this are merged into the next one
+   */
+  constructor({ minLength = 12 } = {}) {
+    this.buffer = '';
+    this.minLength = minLength;
+  }
+
+  /**
+   * @description Add streamed text and return the sentences it completed
+   * @param {string} text - Next chunk of streamed text
+   * @returns {string[]} Completed sentences, in order
+   */
+  push(text) {
+    this.buffer += text || '';
+    const sentences = [];
+    let start = 0;
+
+    // A boundary is terminal punctuation (optionally followed by closing quotes/brackets) plus whitespace
+    const boundary = /[.!?…]+["')\]]*(?=\s)|\n{2,}/g;
+    let match;
+    while ((match = boundary.exec(this.buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const candidate = this.buffer.slice(start, end).trim();
+
+      if (match[0].startsWith('.') && this.endsWithAbbreviation(candidate)) continue;
+      if (candidate.length < this.minLength) continue;
+
+      sentences.push(candidate);
+      start = end;
+    }
+
+    this.buffer = this.buffer.slice(start);
+    return sentences;
+  }
+
+  /**
+   * @description Return whatever text is left once the stream has ended
+   * @returns {string|null} Remaining text, or null if nothing is buffered
+   */
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    return rest || null;
+  }
+
+  endsWithAbbreviation(sentence) {
+    const lastWord = sentence.split(/\s+/).pop() || '';
+    const word = lastWord.replace(/^["'(\[]+/, '').replace(/\.+$/, '').toLowerCase();
+    // Single letters cover initials such as "J. R. R. Tolkien"
+    return ABBREVIATIONS.has(word) || /^[a-z]$/.test(word);
+  }
+}
+
+/**
+ * @description Split a complete text into sentences using the same rules as the streaming splitter
+ * @param {string} text - Text to split
+ * @returns {string[]} Sentences
+ */
+export const splitSentences = (text) => {
+  const splitter = new SentenceSplitter();
+  const sentences = splitter.push(`${text} `);
+  const rest = splitter.flush();
+  return rest ? [...sentences, rest] : sentences;
+};
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Options of a HeyGen streaming session. A session uses its persona's avatar settings (see
+ * personaSchema), which the create request may override field by field; what clients may override and
+ * which values are allowed is limited by config.heygen.sessionLimits.
+ */
+
+import { config } from '../config/config.js';
+import { validateAvatar, SESSION_QUALITIES, IDLE_TIMEOUT_RANGE } from './personaSchema.js';
+
+// Request field -> persona avatar setting
+export const SESSION_OPTION_FIELDS = {
+  avatar_name: 'avatarName',
+  voice_id: 'voiceId',
+  voice_rate: 'voiceRate',
+  voice_emotion: 'voiceEmotion',
+  quality: 'quality',
+  idle_timeout: 'idleTimeoutSeconds',
+  video_encoding: 'videoEncoding',
+  knowledge_base_id: 'knowledgeBaseId',
+  language: 'language',
+};
+
+const requestField = (setting) => Object.keys(SESSION_OPTION_FIELDS).find((field) => SESSION_OPTION_FIELDS[field] === setting);
+
+// Highest allowed quality that is not above the given one, or the lowest allowed quality
+const fitQuality = (quality, allowed) => {
+  const rank = SESSION_QUALITIES.indexOf(quality);
+  const fitting = allowed.filter((candidate) => SESSION_QUALITIES.indexOf(candidate) <= rank);
+  return fitting.length > 0
+    ? fitting.reduce((best, candidate) => (SESSION_QUALITIES.indexOf(candidate) > SESSION_QUALITIES.indexOf(best) ? candidate : best))
+    : allowed.reduce((lowest, candidate) => (SESSION_QUALITIES.indexOf(candidate) < SESSION_QUALITIES.indexOf(lowest) ? candidate : lowest));
+};
+
+const exceedsIdleCap = (seconds, cap) => cap > 0 && (seconds === 0 || seconds > cap);
+
+/**
+ * @description Work out the settings of a new session from the persona's settings and the request
+ * @param {Object} defaults - Persona avatar settings (personaStore.getAvatarSettings())
+ * @param {Object} body - Create request body; fields of SESSION_OPTION_FIELDS override the defaults
+ * @param {Object} [limits] - Server-side limits, defaults to config.heygen.sessionLimits
+ * @returns {{settings: Object, errors: Array<{field: string, message: string}>, adjusted: string[]}} Settings
+ * the session is created with, request errors (by request field) and the persona settings that were lowered
+ * to fit the limits
+ */
+export const resolveSessionSettings = (defaults, body = {}, limits = config.heygen.sessionLimits) => {
+  const errors = [];
+  const requested = {};
+
+  for (const [field, setting] of Object.entries(SESSION_OPTION_FIELDS)) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (!limits.clientOptions.includes(field)) {
+      errors.push({ field, message: 'cannot be set by clients on this server' });
+      continue;
+    }
+    requested[setting] = value;
+  }
+
+  const avatarErrors = [];
+  const overrides = validateAvatar(requested, avatarErrors) || {};
+  for (const error of avatarErrors) {
+    errors.push({ ...error, field: requestField(error.field.replace(/^avatar\./, '')) || error.field });
+  }
+
+  if (overrides.quality && !limits.qualities.includes(overrides.quality)) {
+    errors.push({ field: 'quality', message: `must be one of: ${limits.qualities.join(', ')}` });
+  }
+  if (overrides.idleTimeoutSeconds !== undefined && exceedsIdleCap(overrides.idleTimeoutSeconds, limits.maxIdleTimeoutSeconds)) {
+    errors.push({ field: 'idle_timeout', message: `must be from ${IDLE_TIMEOUT_RANGE[0]} to ${limits.maxIdleTimeoutSeconds} seconds` });
+  }
+
+  // Persona settings predate or ignore the deployment's limits; they are lowered rather than refused
+  const fitted = { ...defaults };
+  const adjusted = [];
+  if (fitted.quality && !limits.qualities.includes(fitted.quality)) {
+    fitted.quality = fitQuality(fitted.quality, limits.qualities);
+    adjusted.push('quality');
+  }
+  if (exceedsIdleCap(fitted.idleTimeoutSeconds ?? 0, limits.maxIdleTimeoutSeconds)) {
+    fitted.idleTimeoutSeconds = limits.maxIdleTimeoutSeconds;
+    adjusted.push('idleTimeoutSeconds');
+  }
+
+  return { settings: { ...fitted, ...overrides }, errors, adjusted };
+};
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Speaking-time estimate for avatar speech. Alphabetic text is timed per syllable, Chinese,
+ * Japanese and Korean per character; numbers are timed as the words they are read out as, and
+ * punctuation adds pauses. Calibration against observed timings lives in speechTimingService.
+ */
+
+// Milliseconds per syllable (per character for zh/ja/ko) at voice rate 1.0
+const LANGUAGE_TIMINGS = {
+  en: 210,
+  es: 170,
+  fr: 180,
+  it: 175,
+  pt: 185,
+  de: 215,
+  nl: 205,
+  ru: 195,
+  hi: 190,
+  zh: 240,
+  ja: 140,
+  ko: 190,
+};
+const DEFAULT_LANGUAGE = 'en';
+
+// Pauses (ms at voice rate 1.0) inserted after punctuation that is followed by more speech; matched in
+// this order and removed once counted, so "..." is one pause rather than three
+const PAUSES = [
+  { pattern: /\n\s*\n/g, ms: 600 },
+  { pattern: /(\.\.\.|…)(?=\s*\S)/g, ms: 550 },
+  { pattern: /[.!?。！？](?=\s*\S)/g, ms: 450 },
+  { pattern: /[;:；：](?=\s*\S)/g, ms: 300 },
+  { pattern: /\s[-–—]\s|—/g, ms: 250 },
+  { pattern: /[,，、](?=\s*\S)/g, ms: 200 },
+];
+
+const CHARACTER_TIMED = new Set(['zh', 'ja', 'ko']);
+const VOWEL_GROUPS = /[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýÿœаеёиоуыэюя]+/giu;
+const NUMBER_PATTERN = /[$€£]?\d[\d,]*(\.\d+)?%?/g;
+
+/**
+ * @description Guess the language from the script the text is written in; alphabetic Latin text is
+ * treated as English unless a language is given
+ * @param {string} text - Text to speak
+ * @returns {string} Language code
+ */
+export const detectLanguage = (text) => {
+  const count = (pattern) => (text.match(pattern) || []).length;
+  const kana = count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const han = count(/\p{Script=Han}/gu);
+  const hangul = count(/\p{Script=Hangul}/gu);
+  const letters = count(/\p{L}/gu) || 1;
+
+  if (kana > 0 && (kana + han) / letters > 0.3) return 'ja';
+  if (han / letters > 0.3) return 'zh';
+  if (hangul / letters > 0.3) return 'ko';
+  if (count(/\p{Script=Cyrillic}/gu) / letters > 0.5) return 'ru';
+  if (count(/\p{Script=Devanagari}/gu) / letters > 0.5) return 'hi';
+  return DEFAULT_LANGUAGE;
+};
+
+// Syllables of a number read out loud: about two per non-zero digit plus the scale words (thousand,
+// million), so "1,200,000" is one mil-lion two hun-dred thou-sand; "3.5%" is three point five per-cent
+const numberSyllables = (token) => {
+  const [integer, fraction = ''] = token.replace(/[^\d.]/g, '').split('.');
+  const scaleWords = Math.max(0, Math.ceil(integer.length / 3) - 1);
+  let syllables = Math.max(2, integer.replace(/0/g, '').length * 2 + scaleWords * 2);
+  if (fraction) syllables += 1 + Math.round(fraction.length * 1.5);
+  if (token.endsWith('%')) syllables += 2;
+  if (/^[$€£]/.test(token)) syllables += 2;
+  return syllables;
+};
+
+const wordSyllables = (word) => {
+  const groups = word.match(VOWEL_GROUPS)?.length || 0;
+  // Silent final e: "time", "made" (but not "table")
+  const silentE = groups > 1 && /[^aeiouyl]e$/i.test(word) ? 1 : 0;
+  return Math.max(1, groups - silentE);
+};
+
+/**
+ * @description Estimate how long the avatar takes to say a text
+ * @param {string} text - Text to speak
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language code; detected from the script when missing
+ * @param {number} [options.rate=1] - Voice rate (0.5-1.5); higher is faster
+ * @returns {{durationMs: number, language: string}} Estimated duration and the language it was timed as
+ */
+export const estimateSpeechDuration = (text, { language, rate = 1 } = {}) => {
+  const trimmed = (text || '').trim();
+  const lang = LANGUAGE_TIMINGS[language] ? language : detectLanguage(trimmed);
+  if (!trimmed) return { durationMs: 0, language: lang };
+
+  let units = 0;
+  const rest = trimmed.replace(NUMBER_PATTERN, (token) => {
+    units += numberSyllables(token);
+    return ' ';
+  });
+
+  if (CHARACTER_TIMED.has(lang)) {
+    units += (rest.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) || []).length;
+    // Latin words mixed into CJK text (names, brands)
+    units += (rest.match(/[a-z]+/gi) || []).reduce((sum, word) => sum + wordSyllables(word), 0);
+  } else if (lang === 'hi') {
+    // Consonants and independent vowels; vowel signs are marks (\p{M}) and do not add a syllable
+    units += (rest.match(/(?=\p{L})\p{Script=Devanagari}/gu) || []).length;
+    units += (rest.match(/[a-z]+/gi) || []).reduce((sum, word) => sum + wordSyllables(word), 0);
+  } else {
+    units += (rest.match(/[\p{L}']+/gu) || []).reduce((sum, word) => sum + wordSyllables(word), 0);
+  }
+
+  let pauseMs = 0;
+  let punctuation = trimmed;
+  for (const { pattern, ms } of PAUSES) {
+    punctuation = punctuation.replace(pattern, () => {
+      pauseMs += ms;
+      return ' ';
+    });
+  }
+  const durationMs = (units * LANGUAGE_TIMINGS[lang] + pauseMs) / (rate > 0 ? rate : 1);
+
+  return { durationMs: Math.round(durationMs), language: lang };
+};
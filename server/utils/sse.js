@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Minimal Server-Sent Events helper for Express responses
+ */
+
+/**
+ * @description Switch a response into an SSE stream
+ * @param {Object} res - Express response object
+ * @param {Object} [options]
+ * @param {number} [options.heartbeatMs] - Send a comment line at this interval so proxies keep long-lived
+ * streams open
+ * @returns {{send: Function, close: Function, isClosed: Function}} Stream handle
+ */
+export const openEventStream = (res, { heartbeatMs } = {}) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx, Render) so events arrive immediately
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const heartbeat = heartbeatMs ? setInterval(() => res.write(': ping\n\n'), heartbeatMs) : null;
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    // `id` lets a reconnecting EventSource resume with the Last-Event-ID header
+    send(event, data, id) {
+      if (closed) return;
+      res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+    isClosed() {
+      return closed;
+    },
+  };
+};